@@ -0,0 +1,298 @@
+// analyzeSitemapUrls.js
+// Indexes every URL across a sitemap tree and reports URLs listed in more than
+// one sitemap, near-duplicates and URLs on a different host than the index
+
+import { createObjectCsvWriter } from 'csv-writer'
+import { fileURLToPath } from 'url'
+import path from 'path'
+import { streamSitemapEntries, isUrl } from './sitemapSource.js'
+
+const DEFAULT_SOURCE = 'https://goodparty.org/sitemap.xml'
+const DEFAULT_OUTPUT = 'csv_output/sitemap_url_analysis.csv'
+
+// Ways two URLs can differ and still point at the same page
+const NEAR_DUPLICATE_KINDS = ['trailing-slash', 'case', 'encoding']
+
+/**
+ * Normalize a URL for near-duplicate matching: drop a trailing slash, lowercase
+ * and percent-decode the path. Each step can be turned off to find out which
+ * one makes two URLs match. Returns null for unparseable URLs.
+ */
+function normalizeUrl(loc, { trailingSlash = true, lowercase = true, decode = true } = {}) {
+  let url
+  try {
+    url = new URL(loc)
+  } catch {
+    return null
+  }
+
+  let pathname = url.pathname
+  if (decode) {
+    try {
+      pathname = decodeURIComponent(pathname)
+    } catch {
+      // Malformed escapes are left as they are
+    }
+  }
+  if (lowercase) pathname = pathname.toLowerCase()
+  if (trailingSlash && pathname.length > 1) pathname = pathname.replace(/\/+$/, '')
+
+  return `${url.protocol}//${url.host}${pathname}${url.search}`
+}
+
+/**
+ * Which of NEAR_DUPLICATE_KINDS separate two URLs: a kind is involved when the
+ * URLs still differ with every other normalization step applied
+ */
+function nearDuplicateKinds(a, b) {
+  const without = {
+    'trailing-slash': { trailingSlash: false },
+    case: { lowercase: false },
+    encoding: { decode: false },
+  }
+  const kinds = NEAR_DUPLICATE_KINDS.filter(kind => normalizeUrl(a, without[kind]) !== normalizeUrl(b, without[kind]))
+  // URL parsing already percent-encodes raw characters (café -> caf%C3%A9), so
+  // URLs that only differ that way match under every step
+  return kinds.length > 0 ? kinds : ['encoding']
+}
+
+class SitemapUrlIndex {
+  /**
+   * @param {string} host - the host the sitemap index is served from; URLs on any other host are flagged
+   */
+  constructor(host) {
+    this.host = host
+    this.sitemaps = []            // sitemap URL per id, so each URL stores small ids
+    this.sitemapIds = new Map()
+    this.urls = new Map()         // loc -> [sitemap ids]
+    this.normalized = new Map()   // normalized loc -> first loc seen
+    this.variants = new Map()     // normalized loc -> Set of locs, once a second variant shows up
+    this.foreignHosts = []
+    this.invalidUrls = []
+    this.totalEntries = 0
+  }
+
+  /**
+   * Add one <url> entry listed in `sitemap`
+   */
+  add(loc, sitemap) {
+    this.totalEntries++
+
+    if (!this.sitemapIds.has(sitemap)) {
+      this.sitemapIds.set(sitemap, this.sitemaps.length)
+      this.sitemaps.push(sitemap)
+    }
+    const sitemapId = this.sitemapIds.get(sitemap)
+
+    const listedIn = this.urls.get(loc)
+    if (listedIn) {
+      listedIn.push(sitemapId)
+      return
+    }
+    this.urls.set(loc, [sitemapId])
+
+    const key = normalizeUrl(loc)
+    if (!key) {
+      this.invalidUrls.push({ url: loc, sitemap })
+      return
+    }
+
+    const host = new URL(loc).host
+    if (this.host && host !== this.host) {
+      this.foreignHosts.push({ url: loc, sitemap, host })
+    }
+
+    const first = this.normalized.get(key)
+    if (!first) {
+      this.normalized.set(key, loc)
+    } else {
+      const variants = this.variants.get(key) || new Set([first])
+      variants.add(loc)
+      this.variants.set(key, variants)
+    }
+  }
+
+  /**
+   * URLs listed more than once, with the distinct sitemaps they appear in
+   */
+  getDuplicates() {
+    const duplicates = []
+    for (const [url, ids] of this.urls) {
+      if (ids.length > 1) {
+        duplicates.push({ url, occurrences: ids.length, sitemaps: [...new Set(ids)].map(id => this.sitemaps[id]) })
+      }
+    }
+    return duplicates
+  }
+
+  /**
+   * Groups of URLs that differ only by trailing slash, case or percent-encoding
+   */
+  getNearDuplicates() {
+    return [...this.variants].map(([normalized, variants]) => {
+      const urls = [...variants]
+      const kinds = new Set(urls.slice(1).flatMap(url => nearDuplicateKinds(urls[0], url)))
+      return {
+        normalized,
+        kinds: NEAR_DUPLICATE_KINDS.filter(kind => kinds.has(kind)),
+        variants: urls.map(url => ({ url, sitemaps: [...new Set(this.urls.get(url))].map(id => this.sitemaps[id]) }))
+      }
+    })
+  }
+
+  /**
+   * One CSV row per finding
+   */
+  toRows() {
+    return [
+      ...this.getDuplicates().map(({ url, occurrences, sitemaps }) => ({
+        issue: sitemaps.length > 1 ? 'cross-sitemap-duplicate' : 'duplicate',
+        url,
+        related: '',
+        sitemaps: sitemaps.join(' | '),
+        detail: `listed ${occurrences} times in ${sitemaps.length} sitemap(s)`
+      })),
+      ...this.getNearDuplicates().flatMap(({ normalized, kinds, variants }) => variants.map(({ url, sitemaps }) => ({
+        issue: 'near-duplicate',
+        url,
+        related: variants.filter(variant => variant.url !== url).map(variant => variant.url).join(' | '),
+        sitemaps: sitemaps.join(' | '),
+        detail: `${kinds.join(', ')} (normalized: ${normalized})`
+      }))),
+      ...this.foreignHosts.map(({ url, sitemap, host }) => ({
+        issue: 'foreign-host',
+        url,
+        related: '',
+        sitemaps: sitemap,
+        detail: `host ${host}, expected ${this.host}`
+      })),
+      ...this.invalidUrls.map(({ url, sitemap }) => ({
+        issue: 'invalid-url',
+        url,
+        related: '',
+        sitemaps: sitemap,
+        detail: 'not a parseable absolute URL'
+      }))
+    ]
+  }
+
+  /**
+   * Totals for the console summary
+   */
+  getSummary() {
+    const duplicates = this.getDuplicates()
+    return {
+      sitemaps: this.sitemaps.length,
+      entries: this.totalEntries,
+      uniqueUrls: this.urls.size,
+      duplicates: duplicates.length,
+      crossSitemapDuplicates: duplicates.filter(({ sitemaps }) => sitemaps.length > 1).length,
+      nearDuplicateGroups: this.variants.size,
+      foreignHosts: this.foreignHosts.length,
+      invalidUrls: this.invalidUrls.length,
+    }
+  }
+
+  /**
+   * Write every finding as CSV
+   */
+  async writeCsv(outputCsv) {
+    const csvWriter = createObjectCsvWriter({
+      path: outputCsv,
+      header: [
+        { id: 'issue', title: 'Issue' },
+        { id: 'url', title: 'URL' },
+        { id: 'related', title: 'Related URLs' },
+        { id: 'sitemaps', title: 'Sitemaps' },
+        { id: 'detail', title: 'Detail' }
+      ]
+    })
+    await csvWriter.writeRecords(this.toRows())
+  }
+}
+
+/**
+ * Index every URL reachable from a sitemap or sitemap index.
+ * `host` defaults to the host of `source` when it is a URL.
+ */
+async function analyzeSitemapUrls(source, { host } = {}) {
+  const index = new SitemapUrlIndex(host || (isUrl(source) ? new URL(source).host : null))
+  for await (const { loc, sitemap } of streamSitemapEntries(source)) {
+    index.add(loc, sitemap)
+  }
+  return index
+}
+
+/**
+ * Print the summary and the first few findings of each kind
+ */
+function printAnalysis(index) {
+  const summary = index.getSummary()
+  const examples = 5
+
+  console.log('\n=== SITEMAP URL ANALYSIS ===\n')
+  console.log(`  Sitemaps: ${summary.sitemaps}`)
+  console.log(`  URL entries: ${summary.entries}`)
+  console.log(`  Unique URLs: ${summary.uniqueUrls}`)
+  console.log(`  Listed more than once: ${summary.duplicates} (${summary.crossSitemapDuplicates} across sitemaps)`)
+  console.log(`  Near-duplicate groups: ${summary.nearDuplicateGroups}`)
+  console.log(`  Foreign-host URLs: ${summary.foreignHosts}`)
+  console.log(`  Invalid URLs: ${summary.invalidUrls}`)
+
+  const duplicates = index.getDuplicates().filter(({ sitemaps }) => sitemaps.length > 1)
+  if (duplicates.length > 0) {
+    console.log('\nURLs in more than one sitemap:')
+    duplicates.slice(0, examples).forEach(({ url, sitemaps }) => {
+      console.log(`  ${url}`)
+      sitemaps.forEach(sitemap => console.log(`    ${sitemap}`))
+    })
+  }
+
+  const nearDuplicates = index.getNearDuplicates()
+  if (nearDuplicates.length > 0) {
+    console.log('\nNear-duplicates:')
+    nearDuplicates.slice(0, examples).forEach(({ kinds, variants }) => {
+      console.log(`  [${kinds.join(', ')}] ${variants.map(({ url }) => url).join('  vs  ')}`)
+    })
+  }
+
+  if (index.foreignHosts.length > 0) {
+    console.log(`\nURLs not on ${index.host}:`)
+    index.foreignHosts.slice(0, examples).forEach(({ url, sitemap }) => console.log(`  ${url} (in ${sitemap})`))
+  }
+}
+
+// CLI interface
+const __filename = fileURLToPath(import.meta.url)
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2)
+  let source = DEFAULT_SOURCE
+  let output = DEFAULT_OUTPUT
+  let host
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--output') {
+      output = args[++i]
+    } else if (args[i] === '--host') {
+      host = args[++i]
+    } else if (args[i] === '--help') {
+      console.log('Usage: node analyzeSitemapUrls.js [sitemapUrl|file] [--host goodparty.org] [--output csv_output/sitemap_url_analysis.csv]')
+      process.exit(0)
+    } else {
+      source = args[i]
+    }
+  }
+
+  analyzeSitemapUrls(source, { host })
+    .then(async (index) => {
+      printAnalysis(index)
+      await index.writeCsv(output)
+      console.log(`\nFindings written to ${output}`)
+    })
+    .catch((error) => {
+      console.error('Analysis failed:', error)
+      process.exitCode = 1
+    })
+}
+
+export { SitemapUrlIndex, analyzeSitemapUrls, normalizeUrl, nearDuplicateKinds }
@@ -1,43 +1,203 @@
-const fs = require('fs');
-const csv = require('csv-parser');
-const axios = require('axios');
-const pLimit = require('p-limit');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import csv from 'csv-parser';
+import axios from 'axios';
+import pLimit from 'p-limit';
+import { createObjectCsvWriter as createCsvWriter } from 'csv-writer';
+import { streamSitemapEntries } from './sitemapSource.js';
+import { withRetry } from './retry.js';
+import { getDefaultScheduler } from './requestScheduler.js';
+import { traceRedirects, formatChain, HARD_HOP_LIMIT } from './redirects.js';
+import { PageInspector } from './pageInspection.js';
+import { Soft404Detector, formatSignals } from './soft404.js';
+import { InternalLinkGraph } from './linkCrawl.js';
+import { DEFAULT_ROUTE_FAMILIES, compileFamilies, classifyUrl } from './processElectionGroupings.js';
 
 /**
- * Audit a slice of URLs from a sitemap CSV and write all non-200 responses to disk.
+ * Collapse a set of row numbers into sorted inclusive ranges, e.g. {1,2,3,7} -> [[1,3],[7,7]].
+ */
+function compressRows(rows) {
+  const ranges = [];
+  for (const row of [...rows].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && row === last[1] + 1) {
+      last[1] = row;
+    } else {
+      ranges.push([row, row]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Path of a report written next to the main output CSV, e.g.
+ * `x_non_200_responses.csv` -> `x_seo_findings.csv` for the suffix `_seo_findings`.
+ */
+function siblingCsv(outputCsv, suffix) {
+  if (!outputCsv) return outputCsv;
+  return outputCsv.includes('_non_200_responses')
+    ? outputCsv.replace('_non_200_responses', suffix)
+    : outputCsv.replace(/(\.csv)?$/, `${suffix}.csv`);
+}
+
+/**
+ * Read a checkpoint file, or return null if there is none.
+ */
+function readCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) return null;
+  return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+}
+
+/**
+ * Audit a slice of URLs from a sitemap CSV (or a live XML sitemap) and write all non-200 responses (and soft 404s)
+ * to disk.
  *
  * @param {Object} options
  * @param {string} options.inputCsv      Path to the sitemap CSV containing *all* URLs.
+ * @param {string} [options.sitemap]     Sitemap / sitemap index URL or local .xml/.xml.gz file to read
+ *                                       URLs from instead of inputCsv. Rows are numbered in <loc> order.
  * @param {string} options.outputCsv     Destination CSV for non-200 responses.
- * @param {number} options.firstRow      First (1-based) data row to process.
- * @param {number} options.lastRow       Last (inclusive) data row to process.
+ * @param {number} options.firstRow      First (1-based) data row to process (optional with `sitemap`).
+ * @param {number} options.lastRow       Last (inclusive) data row to process (optional with `sitemap`).
+ * @param {Array<[number, number]>} [options.ranges]  Inclusive row ranges to process instead of
+ *                                       firstRow/lastRow (for non-contiguous groupings).
  * @param {number} [options.concurrencyLimit=10]  Max concurrent HTTP requests.
+ * @param {number} [options.requestsPerSecond=10] Starting (and maximum) request rate per host; lowered
+ *                                       automatically while errors / 429s rise.
+ * @param {Object} [options.scheduler]   Request scheduler to share (default: the process-wide scheduler).
  * @param {number} [options.timeout=10000]        Request timeout in ms.
- * @param {number} [options.maxNon404Results=0]   Early-stop after N non-404 errors (0 = no limit).
- * @returns {Promise<{count404:number, non404ErrorCount:number}>}
+ * @param {number} [options.maxNon404Results=0]   Early-stop after N non-404 errors in this run (0 = no limit).
+ *                                       Errors restored from a checkpoint don't count, so --resume always
+ *                                       checks up to N more errors before stopping again.
+ * @param {number} [options.maxRedirects=5]      Flag redirect chains longer than this many hops (at most 20; chains
+ *                                       are never followed further than that).
+ * @param {number} [options.retries=3]           Retries for timeouts, network errors, 429 and 5xx responses.
+ * @param {number} [options.retryBaseDelay=500]   Base delay in ms for jittered exponential backoff (Retry-After wins).
+ * @param {boolean} [options.resume=false]        Continue from the checkpoint left by an interrupted run.
+ * @param {string} [options.checkpointFile]       Checkpoint path (default `<outputCsv>.checkpoint.json`).
+ * @param {number} [options.checkpointInterval=500] Save a checkpoint every N checked URLs (0 = never).
+ * @param {boolean} [options.detectSoft404s=true] Flag 200 pages that look like a not-found page (error template,
+ *                                       "not found" title / H1, no candidate or office name, body-size outlier
+ *                                       within the route family) with the status `soft-404`.
+ * @param {boolean} [options.inspectPages=false]  Run on-page SEO checks (title, meta description, canonical,
+ *                                       robots, H1, JSON-LD) on every HTML page that ends in a 200.
+ * @param {string} [options.seoOutputCsv]         Destination CSV for on-page findings (default
+ *                                       `<outputCsv>` with `_non_200_responses` replaced by `_seo_findings`).
+ * @param {number} [options.crawlDepth=0]         Check the internal links of audited pages, following links
+ *                                       this many hops from the sitemap pages (0 = off). Every sitemap URL
+ *                                       is read to tell listed links from unlisted ones.
+ * @param {string} [options.linksOutputCsv]       Destination CSV for broken, redirecting and unlisted internal
+ *                                       links (default `<outputCsv>` with `_internal_links`).
+ * Redirected URLs are written too, with their final URL, chain and flags. Those that end in a 404 count
+ * as 404s, those that end in a 200 count as redirects, anything else as a non-404 error. Soft 404s are counted
+ * separately.
+ *
+ * @returns {Promise<{count404:number, non404ErrorCount:number, redirectCount:number, recoveredCount:number,
+ *   soft404Count:number, seoFindingCount:number,
+ *   brokenLinkCount:number, unlistedLinkCount:number}>}
  */
 async function auditSitemapURLs({
   inputCsv = 'goodparty_sitemap_urls.csv',
+  sitemap,
   outputCsv,
-  firstRow,
-  lastRow,
+  ranges,
+  firstRow = ranges ? Math.min(...ranges.map(([first]) => first)) : (sitemap ? 1 : undefined),
+  lastRow = ranges ? Math.max(...ranges.map(([, last]) => last)) : (sitemap ? Infinity : undefined),
   concurrencyLimit = 10,
+  requestsPerSecond = 10,
+  scheduler = getDefaultScheduler({ concurrency: concurrencyLimit, requestsPerSecond }),
   timeout = 10000,
-  maxNon404Results = 0
+  maxNon404Results = 0,
+  maxRedirects = 5,
+  retries = 3,
+  retryBaseDelay = 500,
+  resume = false,
+  checkpointFile,
+  checkpointInterval = 500,
+  detectSoft404s = true,
+  inspectPages = false,
+  seoOutputCsv = siblingCsv(outputCsv, '_seo_findings'),
+  crawlDepth = 0,
+  linksOutputCsv = siblingCsv(outputCsv, '_internal_links')
 }) {
   if (!outputCsv || !firstRow || !lastRow) {
-    throw new Error('outputCsv, firstRow and lastRow are required parameters');
+    throw new Error('outputCsv, firstRow and lastRow are required parameters (firstRow/lastRow are optional with sitemap)');
+  }
+  if (maxRedirects > HARD_HOP_LIMIT) {
+    throw new Error(`maxRedirects must be at most ${HARD_HOP_LIMIT}, got ${maxRedirects}`);
   }
 
+  const rowRanges = ranges || [[firstRow, lastRow]];
+  const inRange = (n) => rowRanges.some(([first, last]) => n >= first && n <= last);
+
   // Per-execution state
-  const limit = pLimit.default(concurrencyLimit);
+  const limit = pLimit(concurrencyLimit);
   const results = [];
-  let rowNumber = 0;
   const tasks = [];
   let count404 = 0;
   let non404ErrorCount = 0;
+  let redirectCount = 0;
+  let recoveredCount = 0;
+  let sessionNon404ErrorCount = 0;
   let shouldStop = false;
+  const retryOptions = { retries, baseDelay: retryBaseDelay };
+  const families = compileFamilies(DEFAULT_ROUTE_FAMILIES);
+  let inspector = new PageInspector();
+  let soft404s = new Soft404Detector();
+  let links = new InternalLinkGraph({ maxDepth: crawlDepth });
+
+  // Checkpoint state: which rows have been checked, saved periodically with the results so far
+  const checkpointPath = checkpointFile || `${outputCsv}.checkpoint.json`;
+  const source = sitemap || inputCsv;
+  const checkedRows = new Set();
+  let checkedSinceCheckpoint = 0;
+  let checkpointWrite = Promise.resolve();
+
+  if (resume) {
+    const checkpoint = readCheckpoint(checkpointPath);
+    if (checkpoint && checkpoint.source === source && JSON.stringify(checkpoint.ranges) === JSON.stringify(rowRanges)) {
+      for (const [first, last] of checkpoint.checkedRows) {
+        for (let row = first; row <= last; row++) checkedRows.add(row);
+      }
+      results.push(...checkpoint.results);
+      count404 = checkpoint.count404;
+      non404ErrorCount = checkpoint.non404ErrorCount;
+      redirectCount = checkpoint.redirectCount || 0;
+      recoveredCount = checkpoint.recoveredCount || 0;
+      inspector = PageInspector.fromSnapshot(checkpoint.pages);
+      soft404s = Soft404Detector.fromSnapshot(checkpoint.soft404s);
+      links = InternalLinkGraph.fromSnapshot(checkpoint.links, { maxDepth: crawlDepth });
+      console.log(`Resuming from ${checkpointPath}: ${checkedRows.size} rows already checked.`);
+    } else if (checkpoint) {
+      console.warn(`Ignoring ${checkpointPath}: it was written for a different source or row range.`);
+    }
+  }
+
+  function saveCheckpoint() {
+    const snapshot = JSON.stringify({
+      source,
+      ranges: rowRanges,
+      checkedRows: compressRows(checkedRows),
+      count404,
+      non404ErrorCount,
+      redirectCount,
+      recoveredCount,
+      results,
+      pages: inspectPages ? inspector.toSnapshot() : undefined,
+      soft404s: detectSoft404s ? soft404s.toSnapshot() : undefined,
+      links: crawlDepth > 0 ? links.toSnapshot() : undefined,
+      updatedAt: new Date().toISOString()
+    });
+    // Chain writes so a slow write is never overtaken by an older snapshot
+    checkpointWrite = checkpointWrite
+      .then(async () => {
+        await fs.promises.writeFile(`${checkpointPath}.tmp`, snapshot);
+        await fs.promises.rename(`${checkpointPath}.tmp`, checkpointPath);
+      })
+      .catch((err) => console.warn(`Failed to save checkpoint ${checkpointPath}: ${err.message}`));
+    return checkpointWrite;
+  }
 
   // Configure writer lazily (after ensuring directory exists)
   const csvWriter = createCsvWriter({
@@ -45,101 +205,284 @@ async function auditSitemapURLs({
     header: [
       { id: 'url', title: 'URL' },
       { id: 'status', title: 'Status' },
-      { id: 'error', title: 'Error' }
+      { id: 'error', title: 'Error' },
+      { id: 'attempts', title: 'Attempts' },
+      { id: 'finalUrl', title: 'Final URL' },
+      { id: 'finalStatus', title: 'Final Status' },
+      { id: 'redirectHops', title: 'Redirect Hops' },
+      { id: 'redirectChain', title: 'Redirect Chain' },
+      { id: 'redirectFlags', title: 'Redirect Flags' },
+      { id: 'soft404Signals', title: 'Soft 404 Signals' }
     ]
   });
 
+  function countNon404Error() {
+    non404ErrorCount++;
+    sessionNon404ErrorCount++;
+    if (maxNon404Results > 0 && sessionNon404ErrorCount >= maxNon404Results) {
+      shouldStop = true;
+    }
+  }
+
+  // Request a URL, following redirects one hop at a time and retrying each hop
+  async function trace(url) {
+    let attempts = 0;
+    const traced = await traceRedirects(url, async (hopUrl) => {
+      const outcome = await withRetry(
+        () => scheduler.schedule(hopUrl, () => axios.get(hopUrl, { timeout, maxRedirects: 0, validateStatus: () => true })),
+        retryOptions
+      );
+      // Report the worst hop, so a persistent failure still shows every attempt
+      attempts = Math.max(attempts, outcome.attempts);
+      if (outcome.error) throw outcome.error;
+      return outcome.response;
+    }, { maxHops: maxRedirects });
+    return { ...traced, attempts };
+  }
+
+  function isHtml(response) {
+    return typeof response.data === 'string' && /html/i.test(response.headers['content-type'] || '');
+  }
+
   // Helper to audit a single URL
   async function checkUrl(url) {
-    if (shouldStop) return;
-    try {
-      const response = await axios.get(url, { timeout });
-      if (response.status !== 200) {
-        results.push({ url, status: response.status });
-        if (response.status === 404) {
-          count404++;
-        } else {
-          non404ErrorCount++;
-          if (maxNon404Results > 0 && non404ErrorCount >= maxNon404Results) {
-            shouldStop = true;
-          }
-        }
-      }
-    } catch (error) {
-      if (error.response) {
-        // Server responded with a non-2xx status
-        results.push({ url, status: error.response.status });
-        if (error.response.status === 404) {
-          count404++;
-        } else {
-          non404ErrorCount++;
-          if (maxNon404Results > 0 && non404ErrorCount >= maxNon404Results) {
-            shouldStop = true;
-          }
+    const { response, error, finalUrl, finalStatus, hops, flags, attempts } = await trace(url);
+
+    if (hops.length === 0 && response && response.status === 200) {
+      // Only pages the sitemap lists directly; redirected URLs go to the non-200 CSV instead
+      if (isHtml(response)) {
+        const { family, type } = classifyUrl(url, families);
+        if (detectSoft404s) {
+          soft404s.check(url, { html: response.data, family: type ? `${family}/${type}` : family, attempts });
         }
-      } else if (error.request) {
-        // No response received (e.g. network error)
-        results.push({ url, error: 'No response received' });
-        non404ErrorCount++;
-        if (maxNon404Results > 0 && non404ErrorCount >= maxNon404Results) {
-          shouldStop = true;
+        if (inspectPages) {
+          inspector.inspect(url, { html: response.data, family, xRobotsTag: response.headers['x-robots-tag'] });
         }
-      } else {
-        // Request setup error
-        results.push({ url, error: error.message });
-        non404ErrorCount++;
-        if (maxNon404Results > 0 && non404ErrorCount >= maxNon404Results) {
-          shouldStop = true;
+        if (crawlDepth > 0) {
+          links.addPage(url, response.data);
         }
       }
+      if (attempts > 1) {
+        // Transient failure that went away on retry
+        recoveredCount++;
+      }
+      return;
     }
+
+    const result = { url, attempts };
+    if (hops.length > 0) {
+      Object.assign(result, {
+        status: hops[0].status,
+        finalUrl,
+        finalStatus: finalStatus === null ? '' : finalStatus,
+        redirectHops: hops.length,
+        redirectChain: formatChain(hops),
+        redirectFlags: flags.join(' ')
+      });
+    } else if (response) {
+      result.status = response.status;
+    }
+
+    if (error) {
+      // No response received (e.g. network error) or request setup error
+      result.error = error.request ? 'No response received' : error.message;
+      countNon404Error();
+    } else if (response.status === 404) {
+      count404++;
+    } else if (hops.length > 0 && response.status === 200) {
+      redirectCount++;
+    } else {
+      countNon404Error();
+    }
+    results.push(result);
   }
 
-  // Wrap stream logic in a Promise so callers can await completion
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(inputCsv)
-      .pipe(csv({ headers: false }))
-      .on('data', (row) => {
-        if (shouldStop) return;
-        rowNumber++;
-        if (rowNumber > 1) { // Skip header
-          const dataRowNumber = rowNumber - 1;
-          if (dataRowNumber >= firstRow && dataRowNumber <= lastRow) {
-            const url = row[0];
-            tasks.push(limit(() => checkUrl(url)));
-          }
-        }
-      })
-      .on('end', async () => {
-        console.log(`Processing rows ${firstRow} to ${lastRow}...`);
-        await Promise.all(tasks);
-        await csvWriter.writeRecords(results);
-        console.log(`Completed with ${count404} 404 responses and ${non404ErrorCount} non-404 error responses.`);
-        resolve({ count404, non404ErrorCount });
-      })
-      .on('error', (err) => reject(err));
-  });
+  // Check an internal link target the sitemap doesn't list, and collect its own links if it's within crawlDepth
+  async function checkLink(url, depth) {
+    if (shouldStop) return;
+    const { response, error, finalUrl, finalStatus, hops } = await trace(url);
+    links.recordCheck(url, {
+      status: response ? (hops.length > 0 ? hops[0].status : response.status) : '',
+      finalUrl: hops.length > 0 ? finalUrl : '',
+      finalStatus: hops.length > 0 && finalStatus !== null ? finalStatus : '',
+      error: error ? (error.request ? 'No response received' : error.message) : ''
+    });
+    if (response && response.status === 200 && isHtml(response)) {
+      links.addPage(finalUrl, response.data, depth);
+    }
+  }
+
+  // Audit one row and record it for the next checkpoint
+  async function checkRow(url, dataRowNumber) {
+    if (shouldStop) return;
+    await checkUrl(url);
+    checkedRows.add(dataRowNumber);
+    if (checkpointInterval > 0 && ++checkedSinceCheckpoint >= checkpointInterval) {
+      checkedSinceCheckpoint = 0;
+      saveCheckpoint();
+    }
+  }
+
+  // Yields [dataRowNumber, url] for every URL in the source
+  async function* readUrls() {
+    if (sitemap) {
+      let dataRowNumber = 0;
+      for await (const { loc } of streamSitemapEntries(sitemap)) {
+        yield [++dataRowNumber, loc];
+      }
+      return;
+    }
+
+    let rowNumber = 0;
+    for await (const row of fs.createReadStream(inputCsv).pipe(csv({ headers: false }))) {
+      rowNumber++;
+      if (rowNumber > 1) { // Skip header
+        yield [rowNumber - 1, row[0]];
+      }
+    }
+  }
+
+  console.log(`Processing rows ${firstRow} to ${lastRow}${sitemap ? ` of ${sitemap}` : ''}...`);
+  for await (const [dataRowNumber, url] of readUrls()) {
+    if (crawlDepth > 0) {
+      // Links to sitemap URLs outside the audited rows are left to their own audit
+      links.addListed(url);
+      if (shouldStop || dataRowNumber > lastRow) continue;
+    } else if (shouldStop || dataRowNumber > lastRow) {
+      break;
+    }
+    if (inRange(dataRowNumber) && !checkedRows.has(dataRowNumber)) {
+      tasks.push(limit(() => checkRow(url, dataRowNumber)));
+    }
+  }
+
+  await Promise.all(tasks);
+
+  if (shouldStop) {
+    // Stopped early on maxNon404Results: keep every checked row for --resume. Saved before the link rounds and
+    // soft-404 rows below, which a resumed run recomputes from the restored link graph and detector.
+    await saveCheckpoint();
+  }
+
+  // Then the internal links of the audited pages, one hop further per round
+  for (let batch = links.takeUnchecked(); batch.length > 0 && !shouldStop; batch = links.takeUnchecked()) {
+    console.log(`Checking ${batch.length} internal links that are not in the sitemap...`);
+    await Promise.all(batch.map(({ url, depth }) => limit(() => checkLink(url, depth))));
+  }
+
+  // Body-size outliers need every page of the family, so soft 404s are only added now
+  const soft404Results = detectSoft404s ? soft404s.finish() : [];
+  for (const { url, attempts, signals } of soft404Results) {
+    results.push({ url, status: 'soft-404', attempts, soft404Signals: formatSignals(signals) });
+  }
+  const soft404Count = soft404Results.length;
+
+  await csvWriter.writeRecords(results);
+  if (inspectPages) {
+    await inspector.writeCsv(seoOutputCsv);
+  }
+  const linkRows = crawlDepth > 0 ? await links.writeCsv(linksOutputCsv, results) : [];
+  const brokenLinkCount = linkRows.filter(({ issue }) => issue === 'broken').length;
+  const unlistedLinkCount = linkRows.filter(({ issue }) => issue === 'not-in-sitemap').length;
+
+  if (shouldStop) {
+    console.log(`Stopped after ${non404ErrorCount} non-404 errors; resume with --resume from ${checkpointPath}.`);
+  } else {
+    // Every URL was processed, so the checkpoint is no longer needed
+    await checkpointWrite;
+    await fs.promises.rm(checkpointPath, { force: true });
+  }
+  console.log(`Completed with ${count404} 404 responses and ${non404ErrorCount} non-404 error responses.`);
+  if (redirectCount > 0) {
+    console.log(`${redirectCount} URLs redirect to a 200 page; see Final URL in ${outputCsv}.`);
+  }
+  if (recoveredCount > 0) {
+    console.log(`${recoveredCount} URLs failed at first but returned 200 on retry.`);
+  }
+  if (soft404Count > 0) {
+    console.log(`${soft404Count} URLs return 200 but look like a not-found page; see Status soft-404 in ${outputCsv}.`);
+  }
+  const seoFindingCount = inspectPages ? inspector.getFindings().length : 0;
+  if (inspectPages) {
+    const summary = Object.entries(inspector.getSummary()).map(([issue, count]) => `${issue}: ${count}`).join(', ');
+    console.log(`On-page checks: ${seoFindingCount} findings on ${inspector.pages} pages${summary ? ` (${summary})` : ''}; see ${seoOutputCsv}.`);
+  }
+  if (crawlDepth > 0) {
+    console.log(`Internal links: ${brokenLinkCount} broken, ${unlistedLinkCount} pages linked but not in the sitemap; see ${linksOutputCsv}.`);
+  }
+  for (const { host, rate, requests, throttled } of scheduler.getStats()) {
+    if (throttled > 0) {
+      console.log(`${host}: ${throttled} of ${requests} requests were rate limited (429); ended at ${rate.toFixed(1)} req/s.`);
+    }
+  }
+  return {
+    count404,
+    non404ErrorCount,
+    redirectCount,
+    recoveredCount,
+    soft404Count,
+    seoFindingCount,
+    brokenLinkCount,
+    unlistedLinkCount
+  };
 }
 
-module.exports = auditSitemapURLs;
+export { auditSitemapURLs };
 
 // -----------------------------------------------------------
-// CLI helper: node auditSitemapURLs.js <outputCsv> <firstRow> <lastRow> [inputCsv]
+// CLI helper: node auditSitemapURLs.js [options] <outputCsv> <firstRow> <lastRow> [inputCsv]
+//             node auditSitemapURLs.js [options] --sitemap <url|file.xml[.gz]> <outputCsv> [firstRow] [lastRow]
+// Options: --resume, --retries N, --rps N, --max-redirects N, --no-soft-404, --inspect-pages, --seo-output <csv>,
+//          --crawl-depth N, --links-output <csv>
 // -----------------------------------------------------------
 
-if (require.main === module) {
-  const [,, outputCsv, firstRowArg, lastRowArg, inputCsvArg] = process.argv;
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2);
+
+  // Remove a flag (and its value) from args, returning the value, true for a bare flag, or undefined
+  function takeFlag(name, hasValue = true) {
+    const index = args.indexOf(name);
+    if (index === -1) return undefined;
+    const [, value] = args.splice(index, hasValue ? 2 : 1);
+    return hasValue ? value : true;
+  }
+
+  const resume = takeFlag('--resume', false) || false;
+  const retries = takeFlag('--retries');
+  const requestsPerSecond = takeFlag('--rps');
+  const maxRedirects = takeFlag('--max-redirects');
+  const sitemap = takeFlag('--sitemap');
+  const detectSoft404s = !takeFlag('--no-soft-404', false);
+  const inspectPages = takeFlag('--inspect-pages', false) || false;
+  const seoOutputCsv = takeFlag('--seo-output');
+  const crawlDepth = takeFlag('--crawl-depth');
+  const linksOutputCsv = takeFlag('--links-output');
+  const [outputCsv, firstRowArg, lastRowArg, inputCsvArg] = args;
 
-  if (!outputCsv || !firstRowArg || !lastRowArg) {
-    console.error('Usage: node auditSitemapURLs.js <outputCsv> <firstRow> <lastRow> [inputCsv]');
+  if (!outputCsv || (!sitemap && (!firstRowArg || !lastRowArg))) {
+    console.error('Usage: node auditSitemapURLs.js [options] <outputCsv> <firstRow> <lastRow> [inputCsv]');
+    console.error('       node auditSitemapURLs.js [options] --sitemap <url|file.xml[.gz]> <outputCsv> [firstRow] [lastRow]');
+    console.error('Options: --resume  --retries N  --rps N  --max-redirects N  --no-soft-404  --inspect-pages  --seo-output <csv>');
+    console.error('         --crawl-depth N  --links-output <csv>');
     process.exit(1);
   }
 
   auditSitemapURLs({
     inputCsv: inputCsvArg || 'goodparty_sitemap_urls.csv',
+    sitemap,
     outputCsv,
-    firstRow: Number(firstRowArg),
-    lastRow: Number(lastRowArg)
+    firstRow: firstRowArg ? Number(firstRowArg) : undefined,
+    lastRow: lastRowArg ? Number(lastRowArg) : undefined,
+    retries: retries !== undefined ? Number(retries) : undefined,
+    requestsPerSecond: requestsPerSecond !== undefined ? Number(requestsPerSecond) : undefined,
+    maxRedirects: maxRedirects !== undefined ? Number(maxRedirects) : undefined,
+    resume,
+    detectSoft404s,
+    inspectPages,
+    seoOutputCsv,
+    crawlDepth: crawlDepth !== undefined ? Number(crawlDepth) : undefined,
+    linksOutputCsv
   }).catch((err) => {
     console.error(err);
     process.exit(1);
@@ -0,0 +1,76 @@
+// auditSitemapURLs.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { auditSitemapURLs } from './auditSitemapURLs.js'
+import { RequestScheduler } from './requestScheduler.js'
+
+const page = (title) => `<html><head><title>${title}</title></head><body><h1>${title}</h1></body></html>`
+
+// /bad* is a 500, /gone* a 404, /soft a 200 "not found" page, anything else a normal page
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/bad')) {
+      res.writeHead(500).end()
+    } else if (req.url.startsWith('/gone')) {
+      res.writeHead(404).end()
+    } else {
+      res.writeHead(200, { 'content-type': 'text/html' }).end(page(req.url === '/soft' ? 'Page not found' : 'About us'))
+    }
+  })
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+test('a run stopped on maxNon404Results resumes without counting any row twice', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  const server = await startServer()
+  t.after(() => server.close())
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const sitemap = path.join(dir, 'sitemap.xml')
+  const locs = ['/ok1', '/soft', '/bad1', '/ok2', '/bad2', '/gone1'].map((p) => `<url><loc>${base}${p}</loc></url>`)
+  fs.writeFileSync(sitemap, `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.join('')}</urlset>`)
+  const outputCsv = path.join(dir, 'out_non_200_responses.csv')
+
+  const options = {
+    sitemap,
+    outputCsv,
+    concurrencyLimit: 1,
+    retries: 0,
+    maxNon404Results: 2,
+    scheduler: new RequestScheduler({ requestsPerSecond: 1000, log: () => {} })
+  }
+
+  const first = await auditSitemapURLs(options)
+  assert.equal(first.non404ErrorCount, 2)
+  assert.equal(first.count404, 0)
+  const checkpoint = JSON.parse(fs.readFileSync(`${outputCsv}.checkpoint.json`, 'utf8'))
+  assert.deepEqual(checkpoint.checkedRows, [[1, 5]])
+  // soft-404 rows are derived from the detector snapshot on resume, not stored
+  assert.deepEqual(checkpoint.results.map(({ status }) => status), [500, 500])
+
+  // The limit counts this run's errors only, so the resume gets past the two restored ones
+  const second = await auditSitemapURLs({ ...options, resume: true })
+  assert.deepEqual(second, {
+    count404: 1,
+    non404ErrorCount: 2,
+    redirectCount: 0,
+    recoveredCount: 0,
+    soft404Count: 1,
+    seoFindingCount: 0,
+    brokenLinkCount: 0,
+    unlistedLinkCount: 0
+  })
+  assert.equal(fs.existsSync(`${outputCsv}.checkpoint.json`), false)
+
+  const rows = fs.readFileSync(outputCsv, 'utf8').trim().split('\n').slice(1)
+  assert.deepEqual(rows.map((row) => row.split(',').slice(0, 2).join(' ')).sort(), [
+    `${base}/bad1 500`, `${base}/bad2 500`, `${base}/gone1 404`, `${base}/soft soft-404`
+  ])
+})
@@ -1,11 +1,17 @@
-const fs = require('fs');
-const path = require('path');
-const csv = require('csv-parser');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const auditSitemapURLs = require('./auditSitemapURLs');
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import { createObjectCsvWriter as createCsvWriter } from 'csv-writer';
+import { auditSitemapURLs } from './auditSitemapURLs.js';
 
 const GROUPINGS_FILE = 'election_groupings.csv';
 const SITEMAP_CSV = 'goodparty_sitemap_urls.csv';
+// --resume: continue interrupted ranges from their checkpoints instead of starting them over
+const RESUME = process.argv.includes('--resume');
+// --inspect-pages: also run on-page SEO checks, written next to each non-200 CSV
+const INSPECT_PAGES = process.argv.includes('--inspect-pages');
+// --crawl-depth N: also check the internal links of audited pages, N hops deep
+const CRAWL_DEPTH = process.argv.includes('--crawl-depth') ? Number(process.argv[process.argv.indexOf('--crawl-depth') + 1]) : 0;
 
 /**
  * Read CSV into an array of row objects preserving column order.
@@ -24,13 +30,27 @@ function readCsv(filePath) {
 }
 
 /**
- * Build output CSV filename based on election group row.
+ * Build output CSV filename based on grouping row, e.g.
+ * csv_output/01_ak_elections_counties_non_200_responses.csv or csv_output/candidates_non_200_responses.csv
  */
 function buildOutputFilename(row) {
-  const number = row['Number'].padStart(2, '0'); // ensure leading zero
+  const number = row['Number'] ? row['Number'].padStart(2, '0') : ''; // ensure leading zero
   const state = row['State'];
-  const type = row['Type']; // 'counties' or 'positions'
-  return `csv_output/${number}_${state}_elections_${type}_non_200_responses.csv`;
+  const family = row['Family'] || 'elections'; // rows from before route families are all elections
+  const type = row['Type']; // e.g. 'counties' or 'positions'
+  const name = [number, state, family, type].filter(Boolean).join('_');
+  return `csv_output/${name}_non_200_responses.csv`;
+}
+
+/**
+ * Row ranges for a grouping row. Non-contiguous groups list theirs in "Ranges" as "first-last;first-last".
+ * @returns {Array<[number, number]>}
+ */
+function parseRanges(row) {
+  if (row['Ranges'] && row['Ranges'].trim() !== '') {
+    return row['Ranges'].split(';').map((range) => range.split('-').map(Number));
+  }
+  return [[Number(row['First Row']), Number(row['Last Row'])]];
 }
 
 (async function run() {
@@ -43,28 +63,29 @@ function buildOutputFilename(row) {
     // Skip rows that already have results (non-empty)
     if (row['404s'] && row['404s'].trim() !== '') continue;
 
-    const firstRow = Number(row['First Row']);
-    const lastRow = Number(row['Last Row']);
+    const ranges = parseRanges(row);
     const outputCsv = buildOutputFilename(row);
 
-    console.log(`\n=== Auditing ${outputCsv} (rows ${firstRow}-${lastRow}) ===`);
+    console.log(`\n=== Auditing ${outputCsv} (rows ${ranges.map((range) => range.join('-')).join(', ')}) ===`);
 
     try {
-      const { count404, non404ErrorCount } = await auditSitemapURLs({
+      const { count404, non404ErrorCount, soft404Count } = await auditSitemapURLs({
         inputCsv: SITEMAP_CSV,
         outputCsv,
-        firstRow,
-        lastRow
+        ranges,
+        resume: RESUME,
+        inspectPages: INSPECT_PAGES,
+        crawlDepth: CRAWL_DEPTH
       });
 
       // Update counts in memory
       row['404s'] = String(count404);
       row['Non-404 Errors'] = String(non404ErrorCount);
 
-      console.log(`Finished ${outputCsv}: ${count404} 404s, ${non404ErrorCount} other errors.`);
+      console.log(`Finished ${outputCsv}: ${count404} 404s, ${non404ErrorCount} other errors, ${soft404Count} soft 404s.`);
     } catch (err) {
       console.error(`Error processing ${outputCsv}:`, err);
-      // Leave counts blank so we can retry later
+      // Leave counts blank so we can retry later (with --resume from the last checkpoint)
     }
   }
 
@@ -0,0 +1,317 @@
+// buildReport.js
+// Builds one self-contained HTML dashboard from election_groupings.csv, the
+// per-range CSVs in csv_output/ and (optionally) live validator / health check runs
+
+import fs from 'fs'
+import path from 'path'
+import csv from 'csv-parser'
+import { fileURLToPath } from 'url'
+import { validateMultipleSitemaps, flattenResults } from './validateSitemapFiles.js'
+import { SitemapHealthCheck } from './sitemapHealthCheck.js'
+
+const GROUPINGS_FILE = 'election_groupings.csv'
+const OUTPUT_DIR = 'csv_output'
+const RESULTS_SUFFIX = '_non_200_responses.csv'
+const DEFAULT_OUTPUT = 'csv_output/audit_report.html'
+
+/**
+ * Read CSV into an array of row objects
+ */
+function readCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = []
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject)
+  })
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Render a sortable table. Cells are escaped unless passed as { html }.
+ */
+function renderTable(headers, rows) {
+  const cell = (value) => (value && typeof value === 'object' ? value.html : escapeHtml(value))
+  return `<table class="sortable">
+<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(value => `<td>${cell(value)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`
+}
+
+/**
+ * Sum counts per state and per family/type from the groupings file
+ */
+function summarizeGroupings(rows) {
+  const byState = {}
+  const byType = {}
+
+  for (const row of rows) {
+    const count404 = Number(row['404s'] || 0)
+    const otherErrors = Number(row['Non-404 Errors'] || 0)
+    const type = [row['Family'] || 'elections', row['Type']].filter(Boolean).join(' ')
+
+    if (row['State']) {
+      const state = byState[row['State']] ||= { number: row['Number'], groups: {}, count404: 0, otherErrors: 0 }
+      state.groups[type] = { count404, otherErrors, audited: row['404s'] !== '' }
+      state.count404 += count404
+      state.otherErrors += otherErrors
+    }
+
+    const totals = byType[type] ||= { count404: 0, otherErrors: 0, groups: 0, pending: 0 }
+    totals.count404 += count404
+    totals.otherErrors += otherErrors
+    totals.groups++
+    if (!row['404s']) totals.pending++
+  }
+
+  return { byState, byType }
+}
+
+/**
+ * Load every per-range results CSV
+ */
+async function loadResults(dir) {
+  if (!fs.existsSync(dir)) return []
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith(RESULTS_SUFFIX)).sort()
+  const results = []
+  for (const file of files) {
+    results.push({ group: file.slice(0, -RESULTS_SUFFIX.length), rows: await readCsv(path.join(dir, file)) })
+  }
+  return results
+}
+
+function renderGroupingSections({ byState, byType }) {
+  const types = Object.keys(byType)
+  const stateTypes = [...new Set(Object.values(byState).flatMap(state => Object.keys(state.groups)))]
+
+  const stateRows = Object.entries(byState).map(([state, { number, groups, count404, otherErrors }]) => [
+    number,
+    state.toUpperCase(),
+    ...stateTypes.flatMap(type => groups[type]
+      ? (groups[type].audited ? [groups[type].count404, groups[type].otherErrors] : ['pending', 'pending'])
+      : ['', '']),
+    count404,
+    otherErrors
+  ])
+
+  const typeRows = types.map(type => [type, byType[type].groups, byType[type].pending, byType[type].count404, byType[type].otherErrors])
+
+  return `<section>
+<h2>404s and other errors per state</h2>
+${renderTable(['#', 'State', ...stateTypes.flatMap(type => [`${type} 404s`, `${type} other`]), 'Total 404s', 'Total other'], stateRows)}
+</section>
+<section>
+<h2>404s and other errors per type</h2>
+${renderTable(['Type', 'Groups', 'Pending', '404s', 'Other errors'], typeRows)}
+</section>`
+}
+
+function renderResultsSection(results) {
+  const groups = results.map(({ group, rows }) => {
+    const byStatus = {}
+    rows.forEach(row => {
+      const status = row['Status'] || row['Error'] || 'unknown'
+      byStatus[status] = (byStatus[status] || 0) + 1
+    })
+    const statusSummary = Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ')
+    const columns = ['URL', 'Status', 'Error', 'Final URL', 'Redirect Flags'].filter(column => rows.some(row => row[column]))
+
+    return `<details>
+<summary><strong>${escapeHtml(group)}</strong> — ${rows.length} URLs${statusSummary ? ` (${escapeHtml(statusSummary)})` : ''}</summary>
+${rows.length > 0 ? renderTable(columns, rows.map(row => columns.map(column => column.endsWith('URL') && row[column]
+    ? { html: `<a href="${escapeHtml(row[column])}">${escapeHtml(row[column])}</a>` }
+    : row[column]))) : '<p>No failing URLs.</p>'}
+</details>`
+  })
+
+  return `<section>
+<h2>Failing URLs by range</h2>
+<p>${results.reduce((total, { rows }) => total + rows.length, 0)} failing URLs in ${results.length} result files. Expand a range to see its URLs.</p>
+${groups.join('\n')}
+</section>`
+}
+
+/**
+ * Validator results, from --validate or a `--format json` file: url -> result,
+ * or the --problem-sitemaps shape { <state>: { candidates, state } }
+ */
+function renderValidationSection(validation) {
+  const rows = flattenResults(validation || {}).map(({ name, result, depth }) => ({ url: name, depth, ...result }))
+  if (rows.length === 0) return ''
+
+  return `<section>
+<h2>Sitemap validation</h2>
+${renderTable(['Sitemap', 'Valid', 'Errors', 'Warnings'], rows.map(({ url, depth, valid, errors, warnings }) => [
+    { html: `${'&nbsp;'.repeat(depth * 4)}${escapeHtml(url)}` },
+    valid ? '✓' : '✗',
+    errors.length,
+    warnings.length
+  ]))}
+${rows.filter(({ errors, warnings }) => errors.length + warnings.length > 0).map(({ url, errors, warnings }) => `<details>
+<summary>${escapeHtml(url)} — ${errors.length} errors, ${warnings.length} warnings</summary>
+<ul>${errors.map(error => `<li class="error">${escapeHtml(error)}</li>`).join('')}${warnings.map(warning => `<li class="warning">${escapeHtml(warning)}</li>`).join('')}</ul>
+</details>`).join('\n')}
+</section>`
+}
+
+function renderHealthSection(health) {
+  if (!health) return ''
+
+  return `<section>
+<h2>Sitemap health check</h2>
+${renderTable(['Metric', 'Value'], [
+    ['Total URLs', health.totalUrls],
+    ['Unique URLs', health.duplicateUrls.size],
+    ['Broken sitemaps', health.brokenSitemaps.length],
+    ['Empty sitemaps', health.emptySitemaps.length],
+    ['Suspicious URLs', health.suspiciousUrls.length],
+    ['URLs status-checked', health.coverage ? `${health.coverage.checkedUrls} of ${health.coverage.totalUrls} (${health.coverage.strategy})` : ''],
+    ['Redirected URLs (checked)', health.urlsWithRedirects.length],
+    ['404 URLs (checked)', health.urlsWith404s.length],
+    ...[['Estimated non-200 rate', health.coverage?.non200], ['Estimated 404 rate', health.coverage?.notFound]]
+      .filter(([, estimate]) => estimate)
+      .map(([label, { rate, low, high }]) => [label, `${(rate * 100).toFixed(1)}% (${(health.coverage.confidence * 100).toFixed(0)}% CI ${(low * 100).toFixed(1)}–${(high * 100).toFixed(1)}%)`])
+  ])}
+${health.brokenSitemaps.length > 0 ? `<h3>Broken sitemaps</h3>
+${renderTable(['Sitemap', 'URL', 'Error'], health.brokenSitemaps.map(({ identifier, url, error }) => [identifier, url, error]))}` : ''}
+${health.suspiciousUrls.length > 0 ? `<h3>Suspicious URLs</h3>
+${renderTable(['Rule', 'URLs'], Object.entries(health.suspiciousRuleCounts || {}).sort(([, a], [, b]) => b - a))}
+${renderTable(['URL', 'Sitemap', 'Severity', 'Rule', 'Reason'], health.suspiciousUrls.map(({ url, sitemap, severity = '', rule = '', reason }) => [url, sitemap, severity, rule, reason]))}` : ''}
+</section>`
+}
+
+/**
+ * Render the whole dashboard as one HTML document with inline CSS and JS
+ */
+function renderReport({ groupings, results, validation, health, generatedAt }) {
+  const totals = Object.values(groupings.byType).reduce(
+    (sum, { count404, otherErrors }) => ({ count404: sum.count404 + count404, otherErrors: sum.otherErrors + otherErrors }),
+    { count404: 0, otherErrors: 0 }
+  )
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>GoodParty Sitemap Audit Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f3f3f3; cursor: pointer; user-select: none; }
+th.asc::after { content: ' ▲'; } th.desc::after { content: ' ▼'; }
+details { margin: 0.3rem 0; } summary { cursor: pointer; }
+.cards { display: flex; gap: 1rem; } .card { border: 1px solid #ddd; border-radius: 6px; padding: 0.8rem 1.2rem; }
+.card b { display: block; font-size: 1.6rem; }
+.error { color: #b00020; } .warning { color: #8a6d00; }
+</style>
+</head>
+<body>
+<h1>GoodParty Sitemap Audit Report</h1>
+<p>Generated ${escapeHtml(generatedAt)}</p>
+<div class="cards">
+<div class="card"><b>${totals.count404}</b>404s</div>
+<div class="card"><b>${totals.otherErrors}</b>Other errors</div>
+<div class="card"><b>${results.length}</b>Result files</div>
+</div>
+${renderGroupingSections(groupings)}
+${renderResultsSection(results)}
+${renderValidationSection(validation)}
+${renderHealthSection(health)}
+<script>
+// Click a header to sort its table; numbers sort numerically
+document.querySelectorAll('table.sortable th').forEach((th, column) => {
+  th.addEventListener('click', () => {
+    const table = th.closest('table')
+    const tbody = table.tBodies[0]
+    const ascending = !th.classList.contains('asc')
+    table.querySelectorAll('th').forEach(other => other.classList.remove('asc', 'desc'))
+    th.classList.add(ascending ? 'asc' : 'desc')
+    const value = row => row.cells[column].textContent.trim()
+    const rows = [...tbody.rows].sort((a, b) => {
+      const x = value(a), y = value(b)
+      const result = x !== '' && y !== '' && !isNaN(x) && !isNaN(y) ? x - y : x.localeCompare(y)
+      return ascending ? result : -result
+    })
+    rows.forEach(row => tbody.appendChild(row))
+  })
+})
+</script>
+</body>
+</html>
+`
+}
+
+/**
+ * Collect every input and write the dashboard
+ */
+async function buildReport({ groupingsFile = GROUPINGS_FILE, resultsDir = OUTPUT_DIR, output = DEFAULT_OUTPUT, validate, validationFile, health } = {}) {
+  const groupingRows = fs.existsSync(groupingsFile) ? await readCsv(groupingsFile) : []
+  const results = await loadResults(resultsDir)
+
+  let validation = null
+  if (validate) {
+    validation = await validateMultipleSitemaps([validate], { recursive: true })
+  } else if (validationFile) {
+    // Output of `validateSitemapFiles.js --format json`
+    validation = JSON.parse(fs.readFileSync(validationFile, 'utf8')).results
+  }
+
+  let healthResults = null
+  if (health) {
+    healthResults = await new SitemapHealthCheck(health).runFullCheck()
+  }
+
+  const html = renderReport({
+    groupings: summarizeGroupings(groupingRows),
+    results,
+    validation,
+    health: healthResults,
+    generatedAt: new Date().toISOString()
+  })
+
+  fs.mkdirSync(path.dirname(output), { recursive: true })
+  fs.writeFileSync(output, html)
+  console.log(`\nReport written to ${output}`)
+  return output
+}
+
+// CLI interface
+const __filename = fileURLToPath(import.meta.url)
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2)
+  const options = {}
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--output') options.output = args[++i]
+    else if (args[i] === '--groupings') options.groupingsFile = args[++i]
+    else if (args[i] === '--results') options.resultsDir = args[++i]
+    else if (args[i] === '--validate') options.validate = args[++i]
+    else if (args[i] === '--validation') options.validationFile = args[++i]
+    else if (args[i] === '--health') options.health = args[++i]
+    else {
+      console.log('Usage: node buildReport.js [--output report.html] [--groupings election_groupings.csv] [--results csv_output]')
+      console.log('                           [--validate <sitemapUrl|file> | --validation <results.json>] [--health <baseUrl>]')
+      process.exit(args[i] === '--help' ? 0 : 1)
+    }
+  }
+
+  buildReport(options).catch((error) => {
+    console.error('Report failed:', error)
+    process.exitCode = 1
+  })
+}
+
+export { buildReport, renderReport }
@@ -0,0 +1,43 @@
+// buildReport.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { renderReport } from './buildReport.js'
+
+const report = (validation) => renderReport({
+  groupings: { byState: {}, byType: {} },
+  results: [],
+  validation,
+  health: null,
+  generatedAt: '2024-01-01T00:00:00.000Z'
+})
+
+const result = (errors = [], warnings = [], extra = {}) => ({ valid: errors.length === 0, errors, warnings, ...extra })
+
+test('validation results keyed by sitemap URL, with child sitemaps indented', () => {
+  const html = report({
+    'https://a.org/sitemap.xml': result([], [], {
+      childResults: { 'https://a.org/sitemaps/ak.xml': result(['Invalid lastmod: yesterday']) }
+    })
+  })
+  assert.match(html, /<h2>Sitemap validation<\/h2>/)
+  assert.match(html, /<td>https:\/\/a\.org\/sitemap\.xml<\/td>/)
+  assert.match(html, /<td>&nbsp;&nbsp;&nbsp;&nbsp;https:\/\/a\.org\/sitemaps\/ak\.xml<\/td>/)
+  assert.match(html, /<li class="error">Invalid lastmod: yesterday<\/li>/)
+})
+
+test('--problem-sitemaps results grouped by state and kind', () => {
+  const html = report({
+    ak: { candidates: result(['Missing <loc>']), state: result([], ['Uppercase letters']) },
+    al: { candidates: result(), state: result() }
+  })
+  for (const name of ['ak candidates', 'ak state', 'al candidates', 'al state']) {
+    assert.match(html, new RegExp(`<td>${name}</td>`))
+  }
+  assert.match(html, /<summary>ak candidates — 1 errors, 0 warnings<\/summary>/)
+  assert.match(html, /<summary>ak state — 0 errors, 1 warnings<\/summary>/)
+})
+
+test('no validation results, no section', () => {
+  assert.doesNotMatch(report(null), /Sitemap validation/)
+})
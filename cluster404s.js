@@ -0,0 +1,336 @@
+// cluster404s.js
+// Groups the 404s from audit CSVs by shared URL patterns (rules from urlRules.js
+// and shared route segments) and ranks the clusters by size, so they can be
+// fixed by root cause instead of one URL at a time
+
+import fs from 'fs'
+import path from 'path'
+import csv from 'csv-parser'
+import { createObjectCsvWriter } from 'csv-writer'
+import { fileURLToPath } from 'url'
+import { NOT_FOUND_PATTERN_RULES, matchUrlRules, loadUrlRules } from './urlRules.js'
+
+const RESULTS_SUFFIX = '_non_200_responses.csv'
+const DEFAULT_INPUT = 'csv_output'
+const DEFAULT_OUTPUT = 'csv_output/404_clusters.csv'
+// Full sitemap URL list, for county slugs that are spelled differently on working URLs
+const DEFAULT_REFERENCE = 'goodparty_sitemap_urls.csv'
+const DEFAULT_MIN_SIZE = 2
+const EXAMPLES = 3
+
+const COUNTY_SUFFIX = /-(county|parish|borough|census-area|municipality)$/
+const PLACE_SUFFIX = /-(town|township|city|village|borough|cdp)$/
+// Route segments that are shared between URLs often enough to cluster on
+const CLUSTER_ROLES = ['position', 'county', 'place']
+
+/**
+ * Read CSV into an array of row objects
+ */
+function readCsv(filePath, options) {
+  return new Promise((resolve, reject) => {
+    const rows = []
+    fs.createReadStream(filePath)
+      .pipe(csv(options))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject)
+  })
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment).toLowerCase()
+  } catch {
+    return segment.toLowerCase()
+  }
+}
+
+/**
+ * Split a URL into its route segments. `rest` is everything after the family
+ * prefix (from the state on, for election URLs); `name`, `county`, `place` and
+ * `position` are the slugs in those roles, '' when the route has none.
+ * Returns null for unparseable URLs.
+ */
+function tokenizeUrl(url) {
+  let pathname
+  try {
+    pathname = new URL(url).pathname
+  } catch {
+    return null
+  }
+
+  const segments = pathname.split('/').filter(Boolean).map(decodeSegment)
+  const tokens = { family: segments[0] || '', state: '', segments, rest: segments.slice(1), name: '', county: '', place: '', position: '' }
+
+  if (segments[0] === 'elections' && segments[1] === 'position') {
+    // /elections/position/<state>/<county>[/<place>]/<position>; with more segments than
+    // that the position slug has a '/' in it, and the place is only known by its suffix
+    const rest = segments.slice(2)
+    const hasPlace = rest.length === 4 || (rest.length > 4 && PLACE_SUFFIX.test(rest[2]))
+    Object.assign(tokens, {
+      family: 'elections/positions',
+      state: rest[0] || '',
+      rest,
+      county: rest[1] || '',
+      place: hasPlace ? rest[2] : '',
+      position: rest.slice(hasPlace ? 3 : 2).join('/')
+    })
+  } else if (segments[0] === 'elections' && /^[a-z]{2}$/.test(segments[1] || '')) {
+    // /elections/<state>/<place>
+    Object.assign(tokens, { family: 'elections/counties', state: segments[1], place: segments[2] || '' })
+  } else if (/^candidates?$/.test(segments[0] || '')) {
+    // /candidate/<name>/<place>/<position>
+    Object.assign(tokens, {
+      family: 'candidates',
+      name: segments[1] || '',
+      place: segments[2] || '',
+      position: segments.slice(3).join('/')
+    })
+  }
+
+  if (!tokens.county && COUNTY_SUFFIX.test(tokens.place)) tokens.county = tokens.place
+  if (tokens.county === tokens.place) tokens.place = ''
+  return tokens
+}
+
+/**
+ * Slug with a trailing district / seat number generalized, so district-1 and
+ * district-5 land in one cluster
+ */
+function generalizeSlug(slug) {
+  return slug.replace(/-\d+$/, '-{n}')
+}
+
+function spellingKey(slug) {
+  return slug.replace(COUNTY_SUFFIX, '').replace(/\bsaint\b/g, 'st').replace(/[^a-z0-9]/g, '')
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * County slugs per state, to find the same county spelled two ways
+ * (st-clair-county vs saint-clair-county, dekalb-county vs de-kalb-county)
+ */
+class CountySpellings {
+  constructor() {
+    this.counties = new Map() // state -> Set of county slugs
+    this.cache = new Map()
+  }
+
+  add(tokens) {
+    if (!tokens || !tokens.county) return
+    if (!this.counties.has(tokens.state)) this.counties.set(tokens.state, new Set())
+    this.counties.get(tokens.state).add(tokens.county)
+  }
+
+  /**
+   * Other slugs in the state with the same spelling key, or one edit away from it
+   */
+  variants(state, county) {
+    const cacheKey = `${state}/${county}`
+    if (!this.cache.has(cacheKey)) {
+      const key = spellingKey(county)
+      const variants = [...(this.counties.get(state) || [])].filter(other => {
+        if (other === county) return false
+        const otherKey = spellingKey(other)
+        return otherKey === key || (key.length >= 5 && Math.abs(otherKey.length - key.length) <= 1 && editDistance(otherKey, key) <= 1)
+      })
+      this.cache.set(cacheKey, variants)
+    }
+    return this.cache.get(cacheKey)
+  }
+}
+
+/**
+ * Cluster failing URLs. Every URL goes into one cluster per rule it matches
+ * (`rule` clusters) and one per shared route segment (`segment` clusters, e.g.
+ * every 404 with the position slug township-clerk/treasurer-joint), so
+ * clusters overlap; each is ranked on its own size.
+ *
+ * @param {string[]} urls - the failing URLs
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - compiled pattern rules (see urlRules.js)
+ * @param {string[]} [options.reference] - working URLs, for county spelling variants
+ * @param {number} [options.minSize] - smallest cluster to report
+ */
+function clusterUrls(urls, { rules = NOT_FOUND_PATTERN_RULES, reference = [], minSize = DEFAULT_MIN_SIZE } = {}) {
+  const spellings = new CountySpellings()
+  const tokenized = urls.map(url => ({ url, tokens: tokenizeUrl(url) }))
+  tokenized.forEach(({ tokens }) => spellings.add(tokens))
+  reference.forEach(url => spellings.add(tokenizeUrl(url)))
+
+  const clusters = new Map()
+  const add = (key, cluster, url, tokens, detail) => {
+    if (!clusters.has(key)) clusters.set(key, { ...cluster, urls: [], states: new Set(), details: new Set() })
+    const entry = clusters.get(key)
+    entry.urls.push(url)
+    if (tokens && tokens.state) entry.states.add(tokens.state)
+    if (detail) entry.details.add(detail)
+  }
+
+  const context = { spellingVariants: (state, county) => spellings.variants(state, county) }
+  for (const { url, tokens } of tokenized) {
+    for (const { id, message, detail } of matchUrlRules(url, rules, { ...context, tokens })) {
+      add(`rule:${id}`, { kind: 'rule', cluster: id, family: '', description: message }, url, tokens, detail)
+    }
+    if (!tokens) continue
+    for (const role of CLUSTER_ROLES) {
+      if (!tokens[role]) continue
+      const pattern = generalizeSlug(tokens[role])
+      add(`${tokens.family} ${role}=${pattern}`, {
+        kind: 'segment',
+        cluster: `${role}=${pattern}`,
+        family: tokens.family,
+        description: `${tokens.family} URLs with this ${role} slug`
+      }, url, tokens)
+    }
+  }
+
+  const ranked = [...clusters.values()]
+    .filter(({ urls: members }) => members.length >= minSize)
+    .sort((a, b) => b.urls.length - a.urls.length || a.cluster.localeCompare(b.cluster))
+  const clustered = new Set(ranked.flatMap(({ urls: members }) => members))
+
+  return { total: urls.length, clustered: clustered.size, clusters: ranked }
+}
+
+/**
+ * Failing URLs from audit output: every *_non_200_responses.csv in the given
+ * directories, plus the given CSV files. A row counts when it is a 404 or
+ * redirects to one.
+ */
+async function load404s(inputs) {
+  const urls = new Set()
+  for (const input of inputs) {
+    const files = fs.statSync(input).isDirectory()
+      ? fs.readdirSync(input).filter(file => file.endsWith(RESULTS_SUFFIX)).map(file => path.join(input, file))
+      : [input]
+    for (const file of files) {
+      for (const row of await readCsv(file)) {
+        if (row['Status'] === '404' || row['Final Status'] === '404') urls.add(row['URL'])
+      }
+    }
+  }
+  return [...urls]
+}
+
+/**
+ * URLs from the first column of a sitemap CSV (header row skipped), or [] if it doesn't exist
+ */
+async function loadReference(file) {
+  if (!file || !fs.existsSync(file)) return []
+  const rows = await readCsv(file, { headers: false })
+  return rows.slice(1).map(row => row[0])
+}
+
+/**
+ * Cluster every 404 in the audit output
+ */
+async function cluster404s(inputs = [DEFAULT_INPUT], { referenceFile = DEFAULT_REFERENCE, ...options } = {}) {
+  const urls = await load404s(inputs)
+  const reference = await loadReference(referenceFile)
+  return clusterUrls(urls, { ...options, reference })
+}
+
+function printClusters({ total, clustered, clusters }, { top = 15 } = {}) {
+  console.log('\n=== 404 CLUSTERS ===\n')
+  console.log(`  404 URLs: ${total}`)
+  console.log(`  In a cluster: ${clustered}`)
+  console.log(`  Clusters: ${clusters.length}`)
+
+  clusters.slice(0, top).forEach(({ kind, cluster, family, description, urls, states, details }, i) => {
+    const share = total > 0 ? ` (${((urls.length / total) * 100).toFixed(1)}%)` : ''
+    console.log(`\n${i + 1}. [${kind}] ${family ? `${family} ` : ''}${cluster}: ${urls.length} URLs${share}${states.size > 0 ? `, ${states.size} state(s)` : ''}`)
+    console.log(`   ${description}${details.size > 0 ? `: ${[...details].slice(0, EXAMPLES).join('; ')}` : ''}`)
+    urls.slice(0, EXAMPLES).forEach(url => console.log(`   e.g. ${url}`))
+  })
+  if (clusters.length > top) {
+    console.log(`\n...and ${clusters.length - top} smaller clusters`)
+  }
+}
+
+async function writeClusters({ total, clusters }, outputCsv) {
+  const csvWriter = createObjectCsvWriter({
+    path: outputCsv,
+    header: [
+      { id: 'rank', title: 'Rank' },
+      { id: 'kind', title: 'Kind' },
+      { id: 'cluster', title: 'Cluster' },
+      { id: 'family', title: 'Family' },
+      { id: 'description', title: 'Description' },
+      { id: 'size', title: 'URLs' },
+      { id: 'share', title: 'Share' },
+      { id: 'states', title: 'States' },
+      { id: 'details', title: 'Details' },
+      { id: 'examples', title: 'Examples' }
+    ]
+  })
+  await csvWriter.writeRecords(clusters.map(({ kind, cluster, family, description, urls, states, details }, i) => ({
+    rank: i + 1,
+    kind,
+    cluster,
+    family,
+    description,
+    size: urls.length,
+    share: total > 0 ? `${((urls.length / total) * 100).toFixed(1)}%` : '',
+    states: [...states].sort().join(' '),
+    details: [...details].slice(0, EXAMPLES).join(' | '),
+    examples: urls.slice(0, EXAMPLES).join(' ')
+  })))
+  console.log(`\nClusters written to ${outputCsv}`)
+}
+
+// CLI interface
+const __filename = fileURLToPath(import.meta.url)
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2)
+  const inputs = []
+  let output = DEFAULT_OUTPUT
+  let referenceFile = DEFAULT_REFERENCE
+  let minSize = DEFAULT_MIN_SIZE
+  let top = 15
+  let rulesFile = null
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--output') {
+      output = args[++i]
+    } else if (args[i] === '--rules') {
+      rulesFile = args[++i]
+    } else if (args[i] === '--reference') {
+      referenceFile = args[++i]
+    } else if (args[i] === '--min-size') {
+      minSize = Number(args[++i])
+    } else if (args[i] === '--top') {
+      top = Number(args[++i])
+    } else if (args[i] === '--help') {
+      console.log('Usage: node cluster404s.js [dir|file.csv ...] [--reference goodparty_sitemap_urls.csv] [--rules rules.json] [--min-size 2] [--top 15] [--output csv_output/404_clusters.csv]')
+      console.log('\nReads every *_non_200_responses.csv in the given directories (default csv_output).')
+      process.exit(0)
+    } else {
+      inputs.push(args[i])
+    }
+  }
+
+  Promise.resolve(rulesFile ? loadUrlRules(rulesFile, NOT_FOUND_PATTERN_RULES) : NOT_FOUND_PATTERN_RULES)
+    .then(rules => cluster404s(inputs.length > 0 ? inputs : [DEFAULT_INPUT], { referenceFile, minSize, rules }))
+    .then(async (result) => {
+      printClusters(result, { top })
+      await writeClusters(result, output)
+    })
+    .catch((error) => {
+      console.error('Clustering failed:', error)
+      process.exitCode = 1
+    })
+}
+
+export { cluster404s, clusterUrls, tokenizeUrl, generalizeSlug, load404s }
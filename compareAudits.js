@@ -0,0 +1,255 @@
+// compareAudits.js
+// Compares two audit runs and reports regressions and fixes.
+// Exits with code 1 when anything regressed, so it can gate deploys.
+
+import fs from 'fs'
+import path from 'path'
+import csv from 'csv-parser'
+import { createObjectCsvWriter } from 'csv-writer'
+import { fileURLToPath } from 'url'
+
+const RESULTS_SUFFIX = '_non_200_responses.csv'
+
+/**
+ * Read CSV into an array of row objects
+ */
+function readCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = []
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject)
+  })
+}
+
+/**
+ * Describe a result row's outcome, e.g. "404", "301 -> 404" or "No response received"
+ */
+function describeResult(row) {
+  const status = row['Status'] || row['Error'] || ''
+  return row['Final Status'] && row['Final Status'] !== row['Status']
+    ? `${status} -> ${row['Final Status']}`
+    : status
+}
+
+/**
+ * Load every *_non_200_responses.csv in a run directory as
+ * Map<group, Map<url, outcome>>, where group is the file name without the suffix
+ */
+async function loadRun(dir) {
+  const run = new Map()
+  const files = fs.readdirSync(dir).filter(file => file.endsWith(RESULTS_SUFFIX))
+
+  for (const file of files) {
+    const rows = await readCsv(path.join(dir, file))
+    run.set(file.slice(0, -RESULTS_SUFFIX.length), new Map(rows.map(row => [row['URL'], describeResult(row)])))
+  }
+  return run
+}
+
+/**
+ * Compare two run directories URL by URL.
+ * A group only in the baseline is reported but not compared: a group that was
+ * not re-audited is not "fixed". A group only in the current run was never
+ * audited before, so every URL failing in it counts as newly broken.
+ */
+async function compareRunDirectories(baselineDir, currentDir) {
+  const baseline = await loadRun(baselineDir)
+  const current = await loadRun(currentDir)
+  const changes = []
+  const groups = {}
+
+  for (const [group, currentUrls] of current) {
+    const baselineUrls = baseline.get(group)
+    const summary = { broken: 0, fixed: 0, changed: 0 }
+    groups[group] = summary
+
+    if (!baselineUrls) {
+      summary.onlyIn = 'current'
+      for (const [url, outcome] of currentUrls) {
+        changes.push({ group, url, change: 'broken', before: 'not audited', after: outcome })
+        summary.broken++
+      }
+      continue
+    }
+
+    for (const [url, outcome] of currentUrls) {
+      if (!baselineUrls.has(url)) {
+        changes.push({ group, url, change: 'broken', before: '200', after: outcome })
+        summary.broken++
+      } else if (baselineUrls.get(url) !== outcome) {
+        changes.push({ group, url, change: 'changed', before: baselineUrls.get(url), after: outcome })
+        summary.changed++
+      }
+    }
+
+    for (const [url, outcome] of baselineUrls) {
+      if (!currentUrls.has(url)) {
+        changes.push({ group, url, change: 'fixed', before: outcome, after: '200' })
+        summary.fixed++
+      }
+    }
+  }
+
+  for (const group of baseline.keys()) {
+    if (!current.has(group)) {
+      groups[group] = { broken: 0, fixed: 0, changed: 0, onlyIn: 'baseline' }
+    }
+  }
+
+  const regressions = changes.filter(({ change }) => change === 'broken').length
+  return { mode: 'runs', groups, changes, regressions }
+}
+
+/**
+ * Key a groupings row by family/state/type. Rows from before route families are all elections.
+ */
+function groupingKey(row) {
+  return [row['Number'], row['State'], row['Family'] || 'elections', row['Type']].filter(Boolean).join('_')
+}
+
+/**
+ * Compare the 404 / non-404 counts of two election_groupings.csv snapshots.
+ * Errors in a group the baseline doesn't have count as regressions.
+ */
+async function compareGroupings(baselineFile, currentFile) {
+  const baseline = new Map((await readCsv(baselineFile)).map(row => [groupingKey(row), row]))
+  const current = await readCsv(currentFile)
+  const changes = []
+  const groups = {}
+
+  for (const row of current) {
+    const group = groupingKey(row)
+    const previous = baseline.get(group)
+    const summary = { broken: 0, fixed: 0, changed: 0 }
+    groups[group] = summary
+
+    if (!previous) {
+      summary.onlyIn = 'current'
+      for (const column of ['404s', 'Non-404 Errors']) {
+        if (Number(row[column]) > 0) {
+          changes.push({ group, url: '', change: 'broken', before: 'new group', after: `${row[column]} ${column}` })
+          summary.broken += Number(row[column])
+        }
+      }
+      continue
+    }
+
+    for (const column of ['404s', 'Non-404 Errors']) {
+      // Blank counts mean the range has not been audited yet
+      if (!previous[column] || !row[column]) continue
+
+      const delta = Number(row[column]) - Number(previous[column])
+      if (delta > 0) {
+        changes.push({ group, url: '', change: 'broken', before: `${previous[column]} ${column}`, after: `${row[column]} ${column}` })
+        summary.broken += delta
+      } else if (delta < 0) {
+        changes.push({ group, url: '', change: 'fixed', before: `${previous[column]} ${column}`, after: `${row[column]} ${column}` })
+        summary.fixed -= delta
+      }
+    }
+  }
+
+  const regressions = changes.filter(({ change }) => change === 'broken').length
+  return { mode: 'groupings', groups, changes, regressions }
+}
+
+/**
+ * Compare two run directories or two election_groupings.csv snapshots
+ */
+async function compareAudits(baseline, current) {
+  const isFile = (p) => fs.statSync(p).isFile()
+  if (isFile(baseline) && isFile(current)) {
+    return compareGroupings(baseline, current)
+  }
+  if (!isFile(baseline) && !isFile(current)) {
+    return compareRunDirectories(baseline, current)
+  }
+  throw new Error('Compare two run directories or two groupings CSV files, not one of each')
+}
+
+/**
+ * Print the comparison grouped per state/type group
+ */
+function printComparison({ mode, groups, changes, regressions }) {
+  console.log(`\n=== AUDIT COMPARISON (${mode === 'runs' ? 'run directories' : 'groupings counts'}) ===\n`)
+
+  const unit = mode === 'runs' ? 'URLs' : 'errors'
+  for (const [group, { broken, fixed, changed, onlyIn }] of Object.entries(groups)) {
+    if (onlyIn) {
+      console.log(`  ${group}: only in ${onlyIn} run${broken > 0 ? `, ${broken} failing (${unit})` : ''}`)
+    } else if (broken + fixed + changed > 0) {
+      console.log(`  ${group}: ${broken} newly broken, ${fixed} fixed${mode === 'runs' ? `, ${changed} status changes` : ''} (${unit})`)
+    } else {
+      continue
+    }
+    changes
+      .filter(change => change.group === group)
+      .forEach(({ url, change, before, after }) => {
+        console.log(`    ${change.padEnd(7)} ${url ? `${url} ` : ''}${before} -> ${after}`)
+      })
+  }
+
+  const count = (type) => changes.filter(({ change }) => change === type).length
+  console.log('\nSummary:')
+  console.log(`  Regressions: ${regressions}`)
+  console.log(`  Fixed: ${count('fixed')}`)
+  if (mode === 'runs') {
+    console.log(`  Status changes: ${count('changed')}`)
+  }
+}
+
+/**
+ * Write every change as CSV
+ */
+async function writeComparison({ changes }, outputCsv) {
+  const csvWriter = createObjectCsvWriter({
+    path: outputCsv,
+    header: [
+      { id: 'group', title: 'Group' },
+      { id: 'url', title: 'URL' },
+      { id: 'change', title: 'Change' },
+      { id: 'before', title: 'Before' },
+      { id: 'after', title: 'After' }
+    ]
+  })
+  await csvWriter.writeRecords(changes)
+  console.log(`\nChanges written to ${outputCsv}`)
+}
+
+// CLI interface
+const __filename = fileURLToPath(import.meta.url)
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2)
+  let output = null
+  const outputFlag = args.indexOf('--output')
+  if (outputFlag !== -1) {
+    output = args[outputFlag + 1]
+    args.splice(outputFlag, 2)
+  }
+
+  if (args.length !== 2) {
+    console.log('Usage: node compareAudits.js <baselineDir> <currentDir> [--output changes.csv]')
+    console.log('       node compareAudits.js <baseline_groupings.csv> <current_groupings.csv> [--output changes.csv]')
+    console.log('\nExits with code 1 if any URL newly broke (or any group count went up), including failures in')
+    console.log('groups the baseline doesn\'t have.')
+    process.exit(2)
+  }
+
+  compareAudits(args[0], args[1])
+    .then(async (comparison) => {
+      printComparison(comparison)
+      if (output) {
+        await writeComparison(comparison, output)
+      }
+      process.exitCode = comparison.regressions > 0 ? 1 : 0
+    })
+    .catch((error) => {
+      console.error('Comparison failed:', error)
+      process.exitCode = 2
+    })
+}
+
+export { compareAudits, compareRunDirectories, compareGroupings }
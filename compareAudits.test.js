@@ -0,0 +1,101 @@
+// compareAudits.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { compareAudits } from './compareAudits.js'
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Write a run directory from { group: [[url, status, finalStatus]] }
+function writeRun(dir, name, groups) {
+  const runDir = path.join(dir, name)
+  fs.mkdirSync(runDir)
+  for (const [group, rows] of Object.entries(groups)) {
+    const lines = rows.map(([url, status, finalStatus = '']) => `${url},${status},,${finalStatus}`)
+    fs.writeFileSync(path.join(runDir, `${group}_non_200_responses.csv`), ['URL,Status,Error,Final Status', ...lines].join('\n') + '\n')
+  }
+  return runDir
+}
+
+function writeGroupings(dir, name, rows) {
+  const file = path.join(dir, name)
+  fs.writeFileSync(file, ['Number,State,Type,First Row,Last Row,404s,Non-404 Errors', ...rows].join('\n') + '\n')
+  return file
+}
+
+const describe = ({ group, url, change, before, after }) => `${group} ${url} ${change}: ${before} -> ${after}`.replace('  ', ' ')
+
+test('runs are compared URL by URL, and failures in a new group are regressions', async (t) => {
+  const dir = tmpDir(t)
+  const baseline = writeRun(dir, 'before', {
+    '01_ak_counties': [['https://a.org/1', '404'], ['https://a.org/2', '500'], ['https://a.org/3', '301', '404']],
+    '02_al_counties': [['https://a.org/9', '404']]
+  })
+  const current = writeRun(dir, 'after', {
+    '01_ak_counties': [['https://a.org/2', '404'], ['https://a.org/3', '301', '404'], ['https://a.org/4', '404']],
+    '03_ar_counties': [['https://a.org/5', '301', '404']]
+  })
+
+  const comparison = await compareAudits(baseline, current)
+  assert.deepEqual(comparison.changes.map(describe), [
+    '01_ak_counties https://a.org/2 changed: 500 -> 404',
+    '01_ak_counties https://a.org/4 broken: 200 -> 404',
+    '01_ak_counties https://a.org/1 fixed: 404 -> 200',
+    '03_ar_counties https://a.org/5 broken: not audited -> 301 -> 404'
+  ])
+  assert.equal(comparison.regressions, 2)
+  // Not re-audited, so not fixed
+  assert.deepEqual(comparison.groups['02_al_counties'], { broken: 0, fixed: 0, changed: 0, onlyIn: 'baseline' })
+  assert.deepEqual(comparison.groups['03_ar_counties'], { broken: 1, fixed: 0, changed: 0, onlyIn: 'current' })
+})
+
+test('a new group with nothing failing is not a regression', async (t) => {
+  const dir = tmpDir(t)
+  const baseline = writeRun(dir, 'before', { '01_ak_counties': [['https://a.org/1', '404']] })
+  const current = writeRun(dir, 'after', { '01_ak_counties': [['https://a.org/1', '404']], '03_ar_counties': [] })
+
+  const comparison = await compareAudits(baseline, current)
+  assert.deepEqual(comparison.changes, [])
+  assert.equal(comparison.regressions, 0)
+})
+
+test('groupings snapshots compare counts, skipping unaudited ranges', async (t) => {
+  const dir = tmpDir(t)
+  const baseline = writeGroupings(dir, 'before.csv', [
+    '01,ak,counties,2,10,3,0',
+    '01,ak,positions,11,20,0,2',
+    '02,al,counties,21,30,,',
+    '04,az,counties,41,50,1,1'
+  ])
+  const current = writeGroupings(dir, 'after.csv', [
+    '01,ak,counties,2,10,1,0',
+    '01,ak,positions,11,20,0,4',
+    '02,al,counties,21,30,5,0',
+    '03,ar,counties,31,40,2,0',
+    '05,ca,counties,51,60,0,0'
+  ])
+
+  const comparison = await compareAudits(baseline, current)
+  assert.deepEqual(comparison.changes.map(describe), [
+    '01_ak_elections_counties fixed: 3 404s -> 1 404s',
+    '01_ak_elections_positions broken: 2 Non-404 Errors -> 4 Non-404 Errors',
+    '03_ar_elections_counties broken: new group -> 2 404s'
+  ])
+  assert.equal(comparison.regressions, 2)
+  assert.deepEqual(comparison.groups['03_ar_elections_counties'], { broken: 2, fixed: 0, changed: 0, onlyIn: 'current' })
+  assert.deepEqual(comparison.groups['05_ca_elections_counties'], { broken: 0, fixed: 0, changed: 0, onlyIn: 'current' })
+})
+
+test('a run directory and a groupings file cannot be compared', async (t) => {
+  const dir = tmpDir(t)
+  const run = writeRun(dir, 'run', {})
+  const groupings = writeGroupings(dir, 'groupings.csv', [])
+  await assert.rejects(compareAudits(run, groupings), /not one of each/)
+})
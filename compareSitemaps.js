@@ -0,0 +1,231 @@
+// compareSitemaps.js
+// Compares the sitemap trees of two deployments (e.g. production and a preview)
+// shard by shard. Exits with code 1 when the candidate drops too many URLs, and
+// with code 2 when a sitemap can't be read.
+
+import { createObjectCsvWriter } from 'csv-writer'
+import { fileURLToPath } from 'url'
+import path from 'path'
+import { streamSitemapEntries } from './sitemapSource.js'
+
+const DEFAULT_MAX_DROP_PERCENT = 5
+const COMPARED_FIELDS = ['lastmod', 'priority', 'changefreq']
+
+/**
+ * Host-independent key for a URL: its path and query
+ */
+function urlKey(loc) {
+  try {
+    const { pathname, search } = new URL(loc)
+    return pathname + search
+  } catch {
+    return loc
+  }
+}
+
+/**
+ * Crawl the sitemap tree of `baseUrl` into Map<shard path, Map<url key, entry>>.
+ * Child sitemaps are loaded from `baseUrl` even if the index lists another host.
+ * Throws if any sitemap fails to load: comparing a partial tree would report
+ * the unread shards as removed.
+ */
+async function loadSitemapTree(baseUrl) {
+  const origin = new URL(baseUrl).origin
+  const shards = new Map()
+  const failures = []
+
+  const onSitemap = (sitemap) => {
+    const shard = urlKey(sitemap)
+    if (!shards.has(shard)) shards.set(shard, new Map())
+  }
+
+  const onError = (sitemap, error) => {
+    failures.push(`${sitemap}: ${error.message}`)
+  }
+
+  for await (const entry of streamSitemapEntries(`${origin}/sitemap.xml`, { rebase: origin, onSitemap, onError })) {
+    shards.get(urlKey(entry.sitemap)).set(urlKey(entry.loc), entry)
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Failed to read ${failures.length} sitemap(s) from ${origin}:\n  ${failures.join('\n  ')}`)
+  }
+  return shards
+}
+
+/**
+ * Compare two trees loaded by loadSitemapTree.
+ * URLs that moved to another shard count as removed from one shard and added
+ * to the other, but not as dropped: `dropped` only counts URLs missing from
+ * the whole candidate tree.
+ */
+function compareSitemapTrees(baseline, candidate) {
+  const changes = []
+  const shards = {}
+
+  for (const [shard, baselineUrls] of baseline) {
+    const candidateUrls = candidate.get(shard)
+    const summary = { baselineUrls: baselineUrls.size, candidateUrls: candidateUrls?.size ?? 0, added: 0, removed: 0, changed: 0 }
+    shards[shard] = summary
+
+    if (!candidateUrls) {
+      summary.status = 'removed'
+      summary.removed = baselineUrls.size
+      changes.push({ shard, url: '', change: 'shard-removed', field: '', before: `${baselineUrls.size} URLs`, after: '' })
+      for (const url of baselineUrls.keys()) {
+        changes.push({ shard, url, change: 'removed', field: '', before: '', after: '' })
+      }
+      continue
+    }
+
+    for (const [url, before] of baselineUrls) {
+      const after = candidateUrls.get(url)
+      if (!after) {
+        changes.push({ shard, url, change: 'removed', field: '', before: '', after: '' })
+        summary.removed++
+        continue
+      }
+
+      let changed = false
+      for (const field of COMPARED_FIELDS) {
+        if ((before[field] ?? '') !== (after[field] ?? '')) {
+          changes.push({ shard, url, change: 'changed', field, before: before[field] ?? '', after: after[field] ?? '' })
+          changed = true
+        }
+      }
+      if (changed) summary.changed++
+    }
+
+    for (const url of candidateUrls.keys()) {
+      if (!baselineUrls.has(url)) {
+        changes.push({ shard, url, change: 'added', field: '', before: '', after: '' })
+        summary.added++
+      }
+    }
+  }
+
+  for (const [shard, candidateUrls] of candidate) {
+    if (baseline.has(shard)) continue
+    shards[shard] = { baselineUrls: 0, candidateUrls: candidateUrls.size, added: candidateUrls.size, removed: 0, changed: 0, status: 'added' }
+    changes.push({ shard, url: '', change: 'shard-added', field: '', before: '', after: `${candidateUrls.size} URLs` })
+    for (const url of candidateUrls.keys()) {
+      changes.push({ shard, url, change: 'added', field: '', before: '', after: '' })
+    }
+  }
+
+  const allUrls = (tree) => new Set([...tree.values()].flatMap(urls => [...urls.keys()]))
+  const baselineAll = allUrls(baseline)
+  const candidateAll = allUrls(candidate)
+  const dropped = [...baselineAll].filter(url => !candidateAll.has(url)).length
+
+  return {
+    shards,
+    changes,
+    baselineTotal: baselineAll.size,
+    candidateTotal: candidateAll.size,
+    dropped,
+    droppedPercent: baselineAll.size > 0 ? (dropped / baselineAll.size) * 100 : 0,
+  }
+}
+
+/**
+ * Crawl and compare the sitemap trees of two deployments
+ */
+async function compareSitemaps(baselineUrl, candidateUrl) {
+  console.log(`Loading baseline sitemaps from ${baselineUrl}...`)
+  const baseline = await loadSitemapTree(baselineUrl)
+  console.log(`Loading candidate sitemaps from ${candidateUrl}...`)
+  const candidate = await loadSitemapTree(candidateUrl)
+  return compareSitemapTrees(baseline, candidate)
+}
+
+/**
+ * Print per-shard differences and totals
+ */
+function printComparison({ shards, changes, baselineTotal, candidateTotal, dropped, droppedPercent }) {
+  const examples = 5
+  console.log('\n=== SITEMAP COMPARISON ===\n')
+
+  for (const [shard, { baselineUrls, candidateUrls, added, removed, changed, status }] of Object.entries(shards)) {
+    if (status) {
+      console.log(`  ${shard}: shard ${status} (${status === 'added' ? candidateUrls : baselineUrls} URLs)`)
+      continue
+    }
+    if (added + removed + changed === 0) continue
+
+    console.log(`  ${shard}: ${baselineUrls} -> ${candidateUrls} URLs, +${added} / -${removed}, ${changed} with changed lastmod/priority/changefreq`)
+    for (const type of ['removed', 'added']) {
+      changes
+        .filter(change => change.shard === shard && change.change === type)
+        .slice(0, examples)
+        .forEach(({ url }) => console.log(`    ${type.padEnd(7)} ${url}`))
+    }
+  }
+
+  const count = (type) => changes.filter(({ change }) => change === type).length
+  console.log('\nSummary:')
+  console.log(`  Baseline URLs: ${baselineTotal}`)
+  console.log(`  Candidate URLs: ${candidateTotal}`)
+  console.log(`  Dropped URLs: ${dropped} (${droppedPercent.toFixed(2)}%)`)
+  console.log(`  Shards added / removed: ${count('shard-added')} / ${count('shard-removed')}`)
+  console.log(`  Field changes: ${count('changed')}`)
+}
+
+/**
+ * Write every change as CSV
+ */
+async function writeComparison({ changes }, outputCsv) {
+  const csvWriter = createObjectCsvWriter({
+    path: outputCsv,
+    header: [
+      { id: 'shard', title: 'Shard' },
+      { id: 'url', title: 'URL' },
+      { id: 'change', title: 'Change' },
+      { id: 'field', title: 'Field' },
+      { id: 'before', title: 'Before' },
+      { id: 'after', title: 'After' }
+    ]
+  })
+  await csvWriter.writeRecords(changes)
+  console.log(`\nChanges written to ${outputCsv}`)
+}
+
+// CLI interface
+const __filename = fileURLToPath(import.meta.url)
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2)
+  let output = null
+  let maxDropPercent = DEFAULT_MAX_DROP_PERCENT
+  const positionals = []
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--output') output = args[++i]
+    else if (args[i] === '--max-drop') maxDropPercent = Number(args[++i])
+    else positionals.push(args[i])
+  }
+
+  if (positionals.length !== 2 || Number.isNaN(maxDropPercent)) {
+    console.log('Usage: node compareSitemaps.js <baselineBaseUrl> <candidateBaseUrl> [--max-drop 5] [--output changes.csv]')
+    console.log('\nExits with code 1 if the candidate drops more than --max-drop percent of the baseline URLs,')
+    console.log('and with code 2 if a sitemap of either deployment can\'t be fetched or parsed.')
+    process.exit(2)
+  }
+
+  compareSitemaps(positionals[0], positionals[1])
+    .then(async (comparison) => {
+      printComparison(comparison)
+      if (output) {
+        await writeComparison(comparison, output)
+      }
+      if (comparison.droppedPercent > maxDropPercent) {
+        console.log(`\nFAIL: ${comparison.droppedPercent.toFixed(2)}% of URLs dropped (limit ${maxDropPercent}%)`)
+        process.exitCode = 1
+      }
+    })
+    .catch((error) => {
+      console.error('Comparison failed:', error.message)
+      process.exitCode = 2
+    })
+}
+
+export { compareSitemaps, compareSitemapTrees, loadSitemapTree }
@@ -0,0 +1,92 @@
+// compareSitemaps.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import path from 'path'
+import { execFile } from 'child_process'
+import { fileURLToPath } from 'url'
+import { compareSitemaps } from './compareSitemaps.js'
+
+const script = path.join(path.dirname(fileURLToPath(import.meta.url)), 'compareSitemaps.js')
+
+const index = (shards) => `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  shards.map((shard) => `<sitemap><loc>https://goodparty.org${shard}</loc></sitemap>`).join('')
+}</sitemapindex>`
+
+const urlset = (urls) => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  urls.map(([loc, lastmod]) => `<url><loc>https://goodparty.org${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('')
+}</urlset>`
+
+// Serve a deployment from { path: body }; a null body is a 500
+async function startDeployment(t, pages) {
+  const server = http.createServer((req, res) => {
+    const body = pages[req.url]
+    if (body === undefined) res.writeHead(404).end()
+    else if (body === null) res.writeHead(500).end()
+    else res.writeHead(200, { 'content-type': 'application/xml' }).end(body)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => server.close())
+  return `http://127.0.0.1:${server.address().port}`
+}
+
+const production = {
+  '/sitemap.xml': index(['/sitemaps/a.xml', '/sitemaps/b.xml']),
+  '/sitemaps/a.xml': urlset([['/1', '2024-01-01'], ['/2'], ['/3']]),
+  '/sitemaps/b.xml': urlset([['/4']])
+}
+
+function run(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [script, ...args], (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }))
+  })
+}
+
+test('shards and URLs are matched by path across hosts', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  const baseline = await startDeployment(t, production)
+  const candidate = await startDeployment(t, {
+    '/sitemap.xml': index(['/sitemaps/a.xml', '/sitemaps/c.xml']),
+    '/sitemaps/a.xml': urlset([['/1', '2024-02-01'], ['/2']]),
+    '/sitemaps/c.xml': urlset([['/3'], ['/5']])
+  })
+
+  const comparison = await compareSitemaps(baseline, candidate)
+  assert.deepEqual(comparison.changes.map(({ shard, url, change, field }) => [shard, url, change, field].filter(Boolean).join(' ')), [
+    '/sitemaps/a.xml /1 changed lastmod',
+    '/sitemaps/a.xml /3 removed',
+    '/sitemaps/b.xml shard-removed',
+    '/sitemaps/b.xml /4 removed',
+    '/sitemaps/c.xml shard-added',
+    '/sitemaps/c.xml /3 added',
+    '/sitemaps/c.xml /5 added'
+  ])
+  // /3 only moved to another shard, so /4 is the one dropped URL
+  assert.equal(comparison.dropped, 1)
+  assert.equal(comparison.droppedPercent, 25)
+})
+
+test('a shard that fails to load is an error, not a removed shard', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  const baseline = await startDeployment(t, production)
+  const candidate = await startDeployment(t, { ...production, '/sitemaps/b.xml': null })
+
+  await assert.rejects(compareSitemaps(baseline, candidate), (error) => {
+    assert.equal(error.message, `Failed to read 1 sitemap(s) from ${candidate}:\n  ${candidate}/sitemaps/b.xml: HTTP 500 fetching ${candidate}/sitemaps/b.xml`)
+    return true
+  })
+})
+
+test('the CLI exits 2 on fetch errors and 1 when too many URLs drop', async (t) => {
+  const baseline = await startDeployment(t, production)
+  const broken = await startDeployment(t, { ...production, '/sitemaps/b.xml': null })
+  const smaller = await startDeployment(t, { ...production, '/sitemaps/b.xml': urlset([]) })
+
+  const failed = await run(baseline, broken)
+  assert.equal(failed.code, 2)
+  assert.match(failed.stderr, /Comparison failed: Failed to read 1 sitemap\(s\)/)
+
+  assert.equal((await run(baseline, smaller)).code, 1)
+  assert.equal((await run(baseline, smaller, '--max-drop', '25')).code, 0)
+})
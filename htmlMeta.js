@@ -0,0 +1,256 @@
+// htmlMeta.js
+// Lightweight extraction of crawl-relevant tags from page HTML
+
+const TAG_PATTERN = (name) => new RegExp(`<${name}\\b[^>]*>`, 'gi')
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+
+/**
+ * Parse the attributes of a single tag into a lowercase-keyed object
+ */
+function parseAttributes(tag) {
+  const attributes = {}
+  const inner = tag.replace(/^<\w+/, '').replace(/\/?>$/, '')
+
+  for (const match of inner.matchAll(ATTRIBUTE_PATTERN)) {
+    const value = match[2] ?? match[3] ?? match[4] ?? ''
+    attributes[match[1].toLowerCase()] = decodeEntities(value)
+  }
+
+  return attributes
+}
+
+/**
+ * Decode the handful of entities that show up in attribute values and titles
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Text content of an HTML fragment: tags stripped, entities decoded, whitespace collapsed
+ */
+function textContent(fragment) {
+  return decodeEntities(fragment.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Get the attributes of every <name> tag in the document
+ */
+function findTags(html, name) {
+  return [...html.matchAll(TAG_PATTERN(name))].map(([tag]) => parseAttributes(tag))
+}
+
+/**
+ * Get the robots directives that apply to a crawler, e.g. ['noindex', 'nofollow'].
+ * Combines <meta name="robots"> with <meta name="<botName>">.
+ */
+function getMetaRobots(html, botName = 'googlebot') {
+  const names = ['robots', botName.toLowerCase()]
+
+  return findTags(html, 'meta')
+    .filter(meta => names.includes((meta.name || '').toLowerCase()))
+    .flatMap(meta => (meta.content || '').split(','))
+    .map(directive => directive.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+/**
+ * Get the robots directives from X-Robots-Tag header values (string or array,
+ * one per header line) that apply to a crawler. Values may be scoped to a bot,
+ * e.g. "googlebot: noindex".
+ */
+function getXRobotsTag(headerValues, botName = 'googlebot') {
+  if (!headerValues) return []
+
+  const directives = []
+  for (const value of [].concat(headerValues)) {
+    const scoped = value.match(/^\s*([a-z0-9_-]+)\s*:\s*(.*)$/i)
+    // "unavailable_after: <date>" is a directive, not a bot scope
+    if (scoped && scoped[1].toLowerCase() !== 'unavailable_after') {
+      if (scoped[1].toLowerCase() !== botName.toLowerCase()) continue
+      directives.push(...scoped[2].split(','))
+    } else {
+      directives.push(...value.split(','))
+    }
+  }
+
+  return directives.map(directive => directive.trim().toLowerCase()).filter(Boolean)
+}
+
+/**
+ * Check whether a directive list forbids indexing
+ */
+function hasNoindex(directives) {
+  return directives.includes('noindex') || directives.includes('none')
+}
+
+/**
+ * Get the absolute rel=canonical URL, resolved against the page URL
+ */
+function getCanonical(html, pageUrl) {
+  const link = findTags(html, 'link')
+    .find(tag => (tag.rel || '').toLowerCase().split(/\s+/).includes('canonical') && tag.href)
+
+  if (!link) return null
+
+  try {
+    return new URL(link.href, pageUrl).href
+  } catch {
+    return link.href
+  }
+}
+
+/**
+ * Get the text of every <name> element, e.g. getElementTexts(html, 'h1')
+ */
+function getElementTexts(html, name) {
+  const pattern = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}\\s*>`, 'gi')
+  return [...html.matchAll(pattern)].map(([, inner]) => textContent(inner))
+}
+
+/**
+ * Get the text of every <title> in the <head> (inline SVGs can have their own)
+ */
+function getTitles(html) {
+  const head = html.match(/<head\b[^>]*>([\s\S]*?)<\/head\s*>/i)
+  return getElementTexts(head ? head[1] : html, 'title')
+}
+
+/**
+ * Get the content of every <meta name="description">
+ */
+function getMetaDescriptions(html) {
+  return findTags(html, 'meta')
+    .filter(meta => (meta.name || '').toLowerCase() === 'description')
+    .map(meta => (meta.content || '').replace(/\s+/g, ' ').trim())
+}
+
+/**
+ * Parse every <script type="application/ld+json"> block; blocks that aren't
+ * valid JSON are skipped. @graph arrays and top-level arrays are flattened.
+ */
+function getJsonLd(html) {
+  const blocks = html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)
+  const items = []
+
+  for (const [, attributes, body] of blocks) {
+    if ((parseAttributes(`<script${attributes}>`).type || '').toLowerCase() !== 'application/ld+json') continue
+    try {
+      for (const item of [].concat(JSON.parse(body))) {
+        items.push(...(Array.isArray(item?.['@graph']) ? item['@graph'] : [item]))
+      }
+    } catch {
+      // Broken JSON-LD is ignored here
+    }
+  }
+
+  return items
+}
+
+// <meta> names / properties that carry the page's modification and publication dates
+const MODIFIED_META = ['article:modified_time', 'og:updated_time', 'last-modified', 'datemodified', 'dc.date.modified', 'dcterms.modified']
+const PUBLISHED_META = ['article:published_time', 'datepublished', 'dc.date.issued', 'dcterms.created']
+
+/**
+ * Get the modification and publication dates a page declares, from <meta>
+ * tags and JSON-LD dateModified / datePublished. The latest value wins when
+ * there are several. Values are returned as written (null when absent).
+ */
+function getPageDates(html) {
+  const dates = { modified: [], published: [] }
+
+  for (const meta of findTags(html, 'meta')) {
+    const key = (meta.property || meta.name || meta.itemprop || '').toLowerCase()
+    if (!meta.content) continue
+    if (MODIFIED_META.includes(key)) dates.modified.push(meta.content)
+    if (PUBLISHED_META.includes(key)) dates.published.push(meta.content)
+  }
+
+  for (const item of getJsonLd(html)) {
+    if (typeof item?.dateModified === 'string') dates.modified.push(item.dateModified)
+    if (typeof item?.datePublished === 'string') dates.published.push(item.datePublished)
+  }
+
+  const latest = (values) => values
+    .filter(value => !isNaN(new Date(value).getTime()))
+    .sort((a, b) => new Date(b) - new Date(a))[0] ?? null
+
+  return { modified: latest(dates.modified), published: latest(dates.published) }
+}
+
+/**
+ * Get every rel=canonical URL, resolved against the page URL. More than one
+ * is a conflict Google resolves by ignoring them all.
+ */
+function getCanonicals(html, pageUrl) {
+  return findTags(html, 'link')
+    .filter(tag => (tag.rel || '').toLowerCase().split(/\s+/).includes('canonical') && tag.href)
+    .map(tag => {
+      try {
+        return new URL(tag.href, pageUrl).href
+      } catch {
+        return tag.href
+      }
+    })
+}
+
+/**
+ * Count the <script type="application/ld+json"> blocks, parseable or not
+ */
+function countJsonLdBlocks(html) {
+  return findTags(html, 'script').filter(script => (script.type || '').toLowerCase() === 'application/ld+json').length
+}
+
+/**
+ * Resolve an href against a base URL, or null if it isn't a valid http(s) URL
+ */
+function resolveHttpUrl(href, baseUrl) {
+  let url
+  try {
+    url = new URL(href, baseUrl)
+  } catch {
+    return null
+  }
+  return url.protocol === 'http:' || url.protocol === 'https:' ? url : null
+}
+
+/**
+ * Get the absolute http(s) URL of every <a href>, resolved against the page URL
+ * (or its <base href>), without fragments
+ */
+function getLinks(html, pageUrl) {
+  const base = findTags(html, 'base').find(tag => tag.href)
+  const baseUrl = (base && resolveHttpUrl(base.href, pageUrl)) || pageUrl
+
+  return findTags(html, 'a')
+    .map(tag => tag.href && resolveHttpUrl(tag.href, baseUrl))
+    .filter(Boolean)
+    .map(url => {
+      url.hash = ''
+      return url.href
+    })
+}
+
+export {
+  findTags,
+  getMetaRobots,
+  getXRobotsTag,
+  hasNoindex,
+  getCanonical,
+  getCanonicals,
+  getJsonLd,
+  countJsonLdBlocks,
+  getPageDates,
+  getTitles,
+  getMetaDescriptions,
+  getElementTexts,
+  getLinks
+}
@@ -0,0 +1,165 @@
+// lastmodCheck.js
+// Checks whether sitemap <lastmod> values can be trusted: future dates, shards
+// where every URL shares one lastmod, index lastmods older than their children,
+// and lastmods that disagree with the page's own headers and date metadata
+
+import { getPageDates } from './htmlMeta.js'
+
+// Differences smaller than this are time zones and rounding, not disagreement
+const DEFAULT_TOLERANCE_HOURS = 24
+// Shards smaller than this can legitimately share one lastmod
+const MIN_UNIFORM_URLS = 10
+
+const HOUR = 60 * 60 * 1000
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null
+  const date = new Date(String(value))
+  return isNaN(date.getTime()) ? null : date
+}
+
+function formatHours(ms) {
+  const hours = Math.abs(ms) / HOUR
+  return hours >= 48 ? `${Math.round(hours / 24)} days` : `${Math.round(hours)} hours`
+}
+
+/**
+ * Newest lastmod among sitemap entries ({ lastmod } objects), as written, or null
+ */
+function newestLastmod(entries) {
+  let newest = null
+  for (const { lastmod } of entries) {
+    const date = parseDate(lastmod)
+    if (date && (!newest || date > newest.date)) newest = { date, lastmod }
+  }
+  return newest?.lastmod ?? null
+}
+
+/**
+ * Entries whose lastmod lies in the future
+ * @returns {Array<{issue: 'future', url, lastmod, observed, detail}>}
+ */
+function findFutureLastmods(entries, { now = new Date(), toleranceHours = DEFAULT_TOLERANCE_HOURS } = {}) {
+  return entries
+    .filter(({ lastmod }) => parseDate(lastmod) > now.getTime() + toleranceHours * HOUR)
+    .map(({ loc, lastmod }) => ({
+      issue: 'future',
+      url: loc,
+      lastmod,
+      observed: now.toISOString(),
+      detail: `${formatHours(parseDate(lastmod) - now)} in the future`
+    }))
+}
+
+/**
+ * A shard where every URL has the same lastmod, which usually means the value
+ * is stamped when the sitemap is generated rather than when pages change.
+ * Returns null when the lastmods differ or the shard is too small to tell.
+ */
+function findUniformLastmod(entries, { now = new Date(), toleranceHours = DEFAULT_TOLERANCE_HOURS, minUrls = MIN_UNIFORM_URLS } = {}) {
+  const lastmods = entries.map(({ lastmod }) => lastmod).filter(Boolean)
+  if (lastmods.length < minUrls || lastmods.length < entries.length) return null
+  if (lastmods.some(lastmod => lastmod !== lastmods[0])) return null
+
+  const age = now - parseDate(lastmods[0])
+  const atFetchTime = Math.abs(age) <= toleranceHours * HOUR
+  return {
+    issue: 'uniform',
+    url: '',
+    lastmod: lastmods[0],
+    observed: '',
+    detail: `all ${lastmods.length} URLs share this lastmod` +
+      (atFetchTime ? ', which is about when the sitemap was fetched: probably generated per request' : '')
+  }
+}
+
+/**
+ * A sitemap index entry whose lastmod is older than the newest lastmod in the
+ * child sitemap it points to. Future child lastmods are left out (findFutureLastmods
+ * reports them).
+ */
+function checkIndexLastmod(indexLastmod, childEntries, { now = new Date(), toleranceHours = DEFAULT_TOLERANCE_HOURS } = {}) {
+  const newest = newestLastmod(childEntries.filter(({ lastmod }) => !(parseDate(lastmod) > now.getTime() + toleranceHours * HOUR)))
+  const indexDate = parseDate(indexLastmod)
+  if (!indexDate || !newest) return null
+
+  const behind = parseDate(newest) - indexDate
+  if (behind <= toleranceHours * HOUR) return null
+  return {
+    issue: 'index-older-than-children',
+    url: '',
+    lastmod: indexLastmod,
+    observed: newest,
+    detail: `index lastmod is ${formatHours(behind)} older than the newest URL in the sitemap`
+  }
+}
+
+/**
+ * Compare a URL's lastmod with what the page says about itself: its embedded
+ * dateModified (meta tags / JSON-LD), else its Last-Modified header. A
+ * Last-Modified at about fetch time reflects the request, not the content, and
+ * is ignored.
+ *
+ * @param {string} lastmod - the sitemap value
+ * @param {{lastModified?: string|null, html?: string, fetchedAt?: Date}} page
+ * @returns {{verdict: 'agrees'|'older'|'newer'|'unverifiable', source: string|null,
+ *   observed: string|null, detail: string}}
+ */
+function comparePageDates(lastmod, { lastModified = null, html = '', fetchedAt = new Date() } = {}, { toleranceHours = DEFAULT_TOLERANCE_HOURS } = {}) {
+  const tolerance = toleranceHours * HOUR
+  const embedded = getPageDates(html).modified
+  const header = parseDate(lastModified)
+  const headerIsRequestTime = header && Math.abs(fetchedAt - header) <= tolerance
+
+  let source = null
+  let observed = null
+  if (parseDate(embedded)) {
+    source = 'page metadata'
+    observed = embedded
+  } else if (header && !headerIsRequestTime) {
+    source = 'Last-Modified'
+    observed = lastModified
+  }
+
+  const sitemapDate = parseDate(lastmod)
+  if (!sitemapDate || !source) {
+    const reason = !sitemapDate
+      ? 'no lastmod in the sitemap'
+      : headerIsRequestTime ? 'Last-Modified is the request time and the page has no date metadata' : 'the page has no date metadata or Last-Modified'
+    return { verdict: 'unverifiable', source, observed, detail: reason }
+  }
+
+  const difference = sitemapDate - parseDate(observed)
+  if (Math.abs(difference) <= tolerance) {
+    return { verdict: 'agrees', source, observed, detail: '' }
+  }
+  return difference < 0
+    ? { verdict: 'older', source, observed, detail: `lastmod is ${formatHours(difference)} older than the ${source} date` }
+    : { verdict: 'newer', source, observed, detail: `lastmod is ${formatHours(difference)} newer than the ${source} date` }
+}
+
+/**
+ * Compare a page's lastmod and ETag with the previous run's. An ETag that
+ * changed while lastmod didn't (or the reverse) means one of them doesn't
+ * track content changes. Returns null when they agree or there's nothing to compare.
+ */
+function compareEtag(previous, { lastmod, etag }) {
+  if (!previous?.etag || !etag) return null
+  const etagChanged = previous.etag !== etag
+  const lastmodChanged = (previous.lastmod ?? '') !== (lastmod ?? '')
+  if (etagChanged === lastmodChanged) return null
+  return etagChanged
+    ? { issue: 'content-changed-lastmod-unchanged', detail: `ETag changed (${previous.etag} -> ${etag}) but lastmod is still ${lastmod ?? 'empty'}` }
+    : { issue: 'lastmod-changed-content-unchanged', detail: `lastmod changed (${previous.lastmod || 'empty'} -> ${lastmod}) but ETag is still ${etag}` }
+}
+
+export {
+  newestLastmod,
+  findFutureLastmods,
+  findUniformLastmod,
+  checkIndexLastmod,
+  comparePageDates,
+  compareEtag,
+  DEFAULT_TOLERANCE_HOURS,
+  MIN_UNIFORM_URLS
+}
@@ -0,0 +1,182 @@
+// linkCrawl.js
+// Internal links found on audited pages: which targets the sitemap lists, which
+// still need checking, and the broken / unlisted ones to report with their referrers
+
+import { createObjectCsvWriter } from 'csv-writer'
+import { getLinks } from './htmlMeta.js'
+
+// Referrers kept per link target; the rest are only counted
+const DEFAULT_MAX_REFERRERS = 5
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url)
+    parsed.hash = ''
+    return parsed.href
+  } catch {
+    return url
+  }
+}
+
+/**
+ * What's wrong with a link, given the audit outcome of its target
+ * (`status` is the target's own status, `finalStatus` where its redirects end)
+ * @returns {'broken'|'redirect'|null}
+ */
+function linkIssue({ status, finalStatus, error }) {
+  if (error) return 'broken'
+  const code = Number(status)
+  if (code === 200) return null
+  if (code >= 300 && code < 400) return Number(finalStatus) === 200 ? 'redirect' : 'broken'
+  return 'broken'
+}
+
+class InternalLinkGraph {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth=1] - hops to follow from the audited pages (1 = their links only)
+   * @param {number} [options.maxReferrers] - referrers kept per target
+   */
+  constructor({ maxDepth = 1, maxReferrers = DEFAULT_MAX_REFERRERS } = {}) {
+    this.maxDepth = maxDepth
+    this.maxReferrers = maxReferrers
+    this.listed = new Set()   // every sitemap URL, also outside the audited rows
+    this.targets = new Map()  // url -> { url, depth, referrers, referrerCount, checked, status, finalUrl, finalStatus, error }
+    this.pages = new Set()    // pages whose links are recorded, e.g. one reached again through a redirect
+  }
+
+  /**
+   * Record a URL the sitemap lists; those are checked by the audit itself
+   */
+  addListed(url) {
+    this.listed.add(normalizeUrl(url))
+  }
+
+  isListed(url) {
+    return this.listed.has(normalizeUrl(url))
+  }
+
+  /**
+   * Record the internal (same host) links of a page found at `depth` (0 = a sitemap page).
+   * Pages at maxDepth aren't followed any further, and each page is only read once.
+   */
+  addPage(pageUrl, html, depth = 0) {
+    if (depth >= this.maxDepth || this.pages.has(normalizeUrl(pageUrl))) return
+    this.pages.add(normalizeUrl(pageUrl))
+    const host = new URL(pageUrl).host
+
+    for (const url of new Set(getLinks(html, pageUrl))) {
+      if (new URL(url).host !== host || url === normalizeUrl(pageUrl)) continue
+
+      let target = this.targets.get(url)
+      if (!target) {
+        target = { url, depth: depth + 1, referrers: [], referrerCount: 0, checked: false }
+        this.targets.set(url, target)
+      }
+      target.referrerCount++
+      if (target.referrers.length < this.maxReferrers) target.referrers.push(pageUrl)
+    }
+  }
+
+  /**
+   * Link targets the sitemap doesn't list and that haven't been checked yet; they
+   * are marked as checked so a target is only ever handed out once
+   * @returns {Array<{url: string, depth: number}>}
+   */
+  takeUnchecked() {
+    const batch = []
+    for (const target of this.targets.values()) {
+      if (target.checked || this.isListed(target.url)) continue
+      target.checked = true
+      batch.push({ url: target.url, depth: target.depth })
+    }
+    return batch
+  }
+
+  /**
+   * Store the outcome of checking an unlisted link target
+   */
+  recordCheck(url, { status = '', finalUrl = '', finalStatus = '', error = '' }) {
+    Object.assign(this.targets.get(url), { status, finalUrl, finalStatus, error })
+  }
+
+  /**
+   * Report rows: broken and redirecting links (to sitemap URLs this run audited,
+   * or to unlisted pages) and unlisted 200 pages. `auditResults` are the audit's
+   * non-200 rows; sitemap URLs without one returned 200.
+   */
+  getRows(auditResults = []) {
+    const byUrl = new Map(auditResults.map(result => [normalizeUrl(result.url), result]))
+    const rows = []
+
+    for (const target of this.targets.values()) {
+      const listed = this.isListed(target.url)
+      const outcome = listed ? byUrl.get(target.url) : target
+      if (!outcome || outcome.status === undefined) continue
+
+      const issue = outcome.status === 'soft-404' ? 'broken' : linkIssue(outcome) || (listed ? null : 'not-in-sitemap')
+      if (!issue) continue
+      rows.push({
+        url: target.url,
+        issue,
+        status: outcome.status,
+        finalUrl: outcome.finalUrl || '',
+        finalStatus: outcome.finalStatus ?? '',
+        error: outcome.error || '',
+        inSitemap: listed ? 'yes' : 'no',
+        depth: target.depth,
+        referrerCount: target.referrerCount,
+        referrers: target.referrers.join(' ')
+      })
+    }
+
+    const order = { broken: 0, redirect: 1, 'not-in-sitemap': 2 }
+    return rows.sort((a, b) => order[a.issue] - order[b.issue] || b.referrerCount - a.referrerCount)
+  }
+
+  /**
+   * State for the audit checkpoint, restored with InternalLinkGraph.fromSnapshot.
+   * The sitemap URLs aren't included; the audit reads them again.
+   */
+  toSnapshot() {
+    return {
+      targets: [...this.targets.values()].map(target => ({ ...target, checked: target.status !== undefined })),
+      pages: [...this.pages]
+    }
+  }
+
+  static fromSnapshot(snapshot, options) {
+    const graph = new InternalLinkGraph(options)
+    if (snapshot) {
+      graph.targets = new Map(snapshot.targets.map(target => [target.url, target]))
+      graph.pages = new Set(snapshot.pages)
+    }
+    return graph
+  }
+
+  /**
+   * Write the report rows as CSV
+   */
+  async writeCsv(outputCsv, auditResults) {
+    const csvWriter = createObjectCsvWriter({
+      path: outputCsv,
+      header: [
+        { id: 'url', title: 'Link URL' },
+        { id: 'issue', title: 'Issue' },
+        { id: 'status', title: 'Status' },
+        { id: 'finalUrl', title: 'Final URL' },
+        { id: 'finalStatus', title: 'Final Status' },
+        { id: 'error', title: 'Error' },
+        { id: 'inSitemap', title: 'In Sitemap' },
+        { id: 'depth', title: 'Depth' },
+        { id: 'referrerCount', title: 'Linked From' },
+        { id: 'referrers', title: 'Referrers' }
+      ]
+    })
+    const rows = this.getRows(auditResults)
+    await csvWriter.writeRecords(rows)
+    return rows
+  }
+}
+
+export { InternalLinkGraph, linkIssue, DEFAULT_MAX_REFERRERS }
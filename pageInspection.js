@@ -0,0 +1,205 @@
+// pageInspection.js
+// On-page SEO checks on pages the audit already downloaded: title, meta
+// description, canonical, robots directives, H1 and JSON-LD structured data
+
+import { createObjectCsvWriter } from 'csv-writer'
+import {
+  getTitles,
+  getMetaDescriptions,
+  getElementTexts,
+  getCanonicals,
+  getMetaRobots,
+  getXRobotsTag,
+  hasNoindex,
+  getJsonLd,
+  countJsonLdBlocks
+} from './htmlMeta.js'
+
+// Roughly what Google shows before truncating
+const MAX_TITLE_LENGTH = 60
+const MAX_DESCRIPTION_LENGTH = 160
+
+// Route families (see processElectionGroupings.js) whose pages should carry JSON-LD
+const STRUCTURED_DATA_FAMILIES = ['candidates', 'elections']
+
+/**
+ * Comparable form of a URL for canonical checks: no fragment, no trailing slash
+ */
+function comparableUrl(url) {
+  try {
+    const parsed = new URL(url)
+    parsed.hash = ''
+    return parsed.href.replace(/\/+$/, '')
+  } catch {
+    return url
+  }
+}
+
+/**
+ * Findings for one page that don't depend on other pages
+ *
+ * @param {string} html
+ * @param {Object} page
+ * @param {string} page.finalUrl - the URL the HTML was served from (after redirects)
+ * @param {string} [page.family] - route family, e.g. 'candidates'
+ * @param {string|string[]} [page.xRobotsTag] - X-Robots-Tag header value(s)
+ * @returns {{title: string|null, description: string|null, findings: Array<{issue, value, detail}>}}
+ */
+function inspectPage(html, { finalUrl, family = '', xRobotsTag = null }) {
+  const findings = []
+  const add = (issue, value = '', detail = '') => findings.push({ issue, value, detail })
+
+  const titles = getTitles(html)
+  const title = titles[0] ?? null
+  if (!title) {
+    add('title-missing')
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    add('title-too-long', title, `${title.length} characters (max ${MAX_TITLE_LENGTH})`)
+  }
+  if (titles.length > 1) {
+    add('title-multiple', titles.join(' | '), `${titles.length} <title> elements`)
+  }
+
+  const descriptions = getMetaDescriptions(html)
+  const description = descriptions[0] || null
+  if (!description) {
+    add('description-missing')
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    add('description-too-long', description, `${description.length} characters (max ${MAX_DESCRIPTION_LENGTH})`)
+  }
+  if (descriptions.length > 1) {
+    add('description-multiple', descriptions.join(' | '), `${descriptions.length} meta descriptions`)
+  }
+
+  const canonicals = [...new Set(getCanonicals(html, finalUrl))]
+  if (canonicals.length === 0) {
+    add('canonical-missing')
+  } else if (canonicals.length > 1) {
+    add('canonical-multiple', canonicals.join(' | '), 'conflicting canonicals are all ignored')
+  } else if (comparableUrl(canonicals[0]) !== comparableUrl(finalUrl)) {
+    const otherHost = new URL(finalUrl).host !== new URL(canonicals[0], finalUrl).host
+    add(otherHost ? 'canonical-other-host' : 'canonical-other-url', canonicals[0], 'the sitemap should list the canonical URL')
+  }
+
+  const metaRobots = getMetaRobots(html)
+  const headerRobots = getXRobotsTag(xRobotsTag)
+  if (hasNoindex(metaRobots) || hasNoindex(headerRobots)) {
+    add('robots-noindex', [...metaRobots, ...headerRobots].join(', '),
+      `${hasNoindex(metaRobots) ? 'meta robots' : 'X-Robots-Tag'} keeps a sitemap URL out of the index`)
+  } else if (metaRobots.includes('nofollow') || headerRobots.includes('nofollow')) {
+    add('robots-nofollow', [...metaRobots, ...headerRobots].join(', '))
+  }
+
+  const h1s = getElementTexts(html, 'h1').filter(Boolean)
+  if (h1s.length === 0) {
+    add('h1-missing')
+  } else if (h1s.length > 1) {
+    add('h1-multiple', h1s.join(' | '), `${h1s.length} <h1> elements`)
+  }
+
+  if (STRUCTURED_DATA_FAMILIES.includes(family)) {
+    const blocks = countJsonLdBlocks(html)
+    const items = getJsonLd(html)
+    if (blocks === 0) {
+      add('jsonld-missing', '', `${family} pages should carry JSON-LD structured data`)
+    } else if (items.length === 0) {
+      add('jsonld-invalid', '', `${blocks} JSON-LD block(s), none parseable`)
+    }
+  }
+
+  return { title, description, findings }
+}
+
+class PageInspector {
+  constructor() {
+    this.pages = 0
+    this.findings = []            // { url, family, issue, value, detail }
+    this.titles = new Map()       // title -> [{ url, family }]
+    this.descriptions = new Map() // description -> [{ url, family }]
+  }
+
+  /**
+   * Inspect one downloaded page; `url` is the sitemap URL it was requested as
+   */
+  inspect(url, { html, finalUrl = url, family = '', xRobotsTag = null }) {
+    const { title, description, findings } = inspectPage(html, { finalUrl, family, xRobotsTag })
+    this.pages++
+    findings.forEach(finding => this.findings.push({ url, family, ...finding }))
+    if (title) this.titles.set(title, [...(this.titles.get(title) || []), { url, family }])
+    if (description) this.descriptions.set(description, [...(this.descriptions.get(description) || []), { url, family }])
+  }
+
+  /**
+   * Per-page findings plus titles / descriptions shared by several URLs
+   */
+  getFindings() {
+    const duplicates = (issue, values) => [...values]
+      .filter(([, pages]) => pages.length > 1)
+      .flatMap(([value, pages]) => pages.map(({ url, family }) => ({
+        url,
+        family,
+        issue,
+        value,
+        detail: `shared by ${pages.length} URLs`
+      })))
+
+    return [
+      ...this.findings,
+      ...duplicates('title-duplicate', this.titles),
+      ...duplicates('description-duplicate', this.descriptions)
+    ]
+  }
+
+  /**
+   * Finding counts per issue
+   */
+  getSummary() {
+    const counts = {}
+    this.getFindings().forEach(({ issue }) => {
+      counts[issue] = (counts[issue] || 0) + 1
+    })
+    return counts
+  }
+
+  /**
+   * State for the audit checkpoint, restored with PageInspector.fromSnapshot
+   */
+  toSnapshot() {
+    return {
+      pages: this.pages,
+      findings: this.findings,
+      titles: [...this.titles],
+      descriptions: [...this.descriptions]
+    }
+  }
+
+  static fromSnapshot(snapshot) {
+    const inspector = new PageInspector()
+    if (snapshot) {
+      inspector.pages = snapshot.pages
+      inspector.findings = snapshot.findings
+      inspector.titles = new Map(snapshot.titles)
+      inspector.descriptions = new Map(snapshot.descriptions)
+    }
+    return inspector
+  }
+
+  /**
+   * Write every finding as CSV
+   */
+  async writeCsv(outputCsv) {
+    const csvWriter = createObjectCsvWriter({
+      path: outputCsv,
+      header: [
+        { id: 'url', title: 'URL' },
+        { id: 'family', title: 'Family' },
+        { id: 'issue', title: 'Issue' },
+        { id: 'value', title: 'Value' },
+        { id: 'detail', title: 'Detail' }
+      ]
+    })
+    await csvWriter.writeRecords(this.getFindings())
+  }
+}
+
+export { PageInspector, inspectPage, MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH }
@@ -0,0 +1,53 @@
+// pageInspection.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { inspectPage, PageInspector, MAX_TITLE_LENGTH } from './pageInspection.js'
+
+const URL = 'https://goodparty.org/about'
+const head = (extra = '') => `<title>About GoodParty</title><meta name="description" content="Who we are"><link rel="canonical" href="${URL}">${extra}`
+const html = (headExtra, body = '<h1>About</h1>') => `<html><head>${head(headExtra)}</head><body>${body}</body></html>`
+const issues = (page, options = {}) => inspectPage(page, { finalUrl: URL, ...options }).findings.map(({ issue }) => issue)
+
+test('a complete page has no findings', () => {
+  assert.deepEqual(issues(html()), [])
+})
+
+test('missing elements', () => {
+  assert.deepEqual(issues('<html><head></head><body></body></html>'), ['title-missing', 'description-missing', 'canonical-missing', 'h1-missing'])
+})
+
+test('long and repeated titles', () => {
+  const long = 'x'.repeat(MAX_TITLE_LENGTH + 1)
+  assert.deepEqual(issues(`<html><head><title>${long}</title>${head().replace(/<title>.*?<\/title>/, '')}</head><body><h1>A</h1></body></html>`), ['title-too-long'])
+  assert.deepEqual(issues(html('<title>Other</title>')), ['title-multiple'])
+})
+
+test('canonicals pointing elsewhere', () => {
+  const page = html().replace(URL, 'https://goodparty.org/other')
+  assert.deepEqual(issues(page), ['canonical-other-url'])
+  assert.deepEqual(issues(html().replace(URL, 'https://example.org/about')), ['canonical-other-host'])
+  assert.deepEqual(issues(html().replace(URL, `${URL}/`)), [])
+})
+
+test('noindex from meta robots or X-Robots-Tag', () => {
+  assert.deepEqual(issues(html('<meta name="robots" content="noindex">')), ['robots-noindex'])
+  assert.deepEqual(issues(html(), { xRobotsTag: 'noindex' }), ['robots-noindex'])
+  assert.deepEqual(issues(html('<meta name="robots" content="nofollow">')), ['robots-nofollow'])
+})
+
+test('structured data is only required on candidate and election pages', () => {
+  assert.deepEqual(issues(html(), { family: 'candidates' }), ['jsonld-missing'])
+  assert.deepEqual(issues(html('<script type="application/ld+json">{broken</script>'), { family: 'elections' }), ['jsonld-invalid'])
+  assert.deepEqual(issues(html('<script type="application/ld+json">{"@type":"Person"}</script>'), { family: 'candidates' }), [])
+  assert.deepEqual(issues(html(), { family: 'blog' }), [])
+})
+
+test('PageInspector reports titles shared by several URLs', () => {
+  const inspector = new PageInspector()
+  inspector.inspect('https://goodparty.org/a', { html: html(), finalUrl: 'https://goodparty.org/a' })
+  inspector.inspect('https://goodparty.org/b', { html: html(), finalUrl: 'https://goodparty.org/b' })
+  const summary = inspector.getSummary()
+  assert.equal(summary['title-duplicate'], 2)
+  assert.equal(summary['description-duplicate'], 2)
+})
@@ -1,98 +1,224 @@
-const fs = require('fs');
-const csv = require('csv-parser');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import csv from 'csv-parser';
+import { createObjectCsvWriter as createCsvWriter } from 'csv-writer';
 
 const inputFile = 'goodparty_sitemap_urls.csv';
 const outputFile = 'election_groupings.csv';
-const startRow = 949; // 1-based index
-
-function parseUrl(url) {
-    const parts = url.split('/');
-    if (parts.length >= 5 && parts[3] === 'elections') {
-        if (parts[4] === 'position' && parts.length >= 6 && parts[5].length === 2) {
-            return { state: parts[5], type: 'positions' };
-        } else if (parts[4].length === 2 && parts[4].match(/^[a-z]+$/i)) {
-            return { state: parts[4], type: 'counties' };
+
+/**
+ * Route families, checked in order against each URL path. The first match wins.
+ * `pattern` is a regex source; a named `state` group makes the family state-scoped.
+ * Override with `--config <file.json>` (same shape).
+ */
+const DEFAULT_ROUTE_FAMILIES = [
+    { family: 'elections', type: 'positions', pattern: '^/elections/position/(?<state>[a-z]{2})(/|$)' },
+    { family: 'elections', type: 'counties', pattern: '^/elections/(?<state>[a-z]{2})(/|$)' },
+    { family: 'elections', pattern: '^/elections(/|$)' },
+    { family: 'candidates', pattern: '^/candidates?(/|$)' },
+    { family: 'blog', pattern: '^/blog(/|$)' },
+    { family: 'faqs', pattern: '^/faqs?(/|$)' },
+    { family: 'glossary', pattern: '^/political-terms(/|$)' },
+    { family: 'static', pattern: '.*' }
+];
+
+const HEADERS = ['Number', 'Family', 'State', 'Type', 'First Row', 'Last Row', 'Ranges', '404s', 'Non-404 Errors'];
+
+function compileFamilies(families) {
+    return families.map((family) => ({ ...family, regex: new RegExp(family.pattern, 'i') }));
+}
+
+/**
+ * Classify a URL into a route family.
+ * @returns {{family:string, type:string, state:string}|null}
+ */
+function classifyUrl(url, families) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch {
+        return null;
+    }
+
+    for (const { family, type = '', regex } of families) {
+        const match = pathname.match(regex);
+        if (match) {
+            const state = match.groups && match.groups.state ? match.groups.state.toLowerCase() : '';
+            return { family, type, state };
         }
     }
     return null;
 }
 
-async function processCsv() {
-    const rows = [];
-    let rowNum = 0;
-
-    await new Promise((resolve, reject) => {
-        fs.createReadStream(inputFile)
-            .pipe(csv())
-            .on('data', (data) => {
-                rowNum++;
-                if (rowNum >= startRow) {
-                    rows.push(data);
-                }
-            })
-            .on('end', resolve)
-            .on('error', reject);
+function groupKey({ family, state, type }) {
+    return `${family}|${state}|${type}`;
+}
+
+/**
+ * Walk the sitemap rows in order and collect the row ranges for every (family, state, type).
+ * A group that is interrupted by other URLs gets more than one range.
+ */
+function buildGroups(urls, families) {
+    const groups = new Map();
+    let current = null;
+
+    urls.forEach((url, index) => {
+        const rowNum = index + 1; // 1-based data row, same numbering as auditSitemapURLs
+        const parsed = classifyUrl(url, families);
+        if (!parsed) {
+            current = null;
+            return;
+        }
+
+        const key = groupKey(parsed);
+        if (!groups.has(key)) {
+            groups.set(key, { ...parsed, ranges: [] });
+        }
+
+        const group = groups.get(key);
+        if (current === key) {
+            group.ranges[group.ranges.length - 1][1] = rowNum;
+        } else {
+            group.ranges.push([rowNum, rowNum]);
+        }
+        current = key;
     });
 
-    let currentState = null;
-    let currentType = null;
-    let startRowNum = startRow;
-    const ranges = [];
-
-    rows.forEach((row, index) => {
-        const url = row[Object.keys(row)[0]]; // Assuming the URL is in the first column
-        const parsed = parseUrl(url);
-        if (!parsed) return;
-
-        const { state, type } = parsed;
-
-        if (state !== currentState) {
-            if (currentState) {
-                ranges.push({
-                    State: currentState,
-                    Type: currentType,
-                    'First Row': startRowNum,
-                    'Last Row': startRow + index - 1
-                });
-            }
-            currentState = state;
-            currentType = type;
-            startRowNum = startRow + index;
-        } else if (type !== currentType) {
-            ranges.push({
-                State: currentState,
-                Type: currentType,
-                'First Row': startRowNum,
-                'Last Row': startRow + index - 1
-            });
-            currentType = type;
-            startRowNum = startRow + index;
+    return [...groups.values()];
+}
+
+/**
+ * Turn groups into groupings rows. States are numbered in order of first appearance;
+ * families without a state are not numbered.
+ */
+function toGroupingRows(groups) {
+    const stateNumbers = new Map();
+    for (const { state } of groups) {
+        if (state && !stateNumbers.has(state)) {
+            stateNumbers.set(state, String(stateNumbers.size + 1).padStart(2, '0'));
         }
+    }
+
+    return groups.map(({ family, state, type, ranges }) => ({
+        Number: state ? stateNumbers.get(state) : '',
+        Family: family,
+        State: state,
+        Type: type,
+        'First Row': ranges[0][0],
+        'Last Row': ranges[ranges.length - 1][1],
+        Ranges: ranges.length > 1 ? ranges.map(([first, last]) => `${first}-${last}`).join(';') : '',
+        '404s': '',
+        'Non-404 Errors': ''
+    }));
+}
+
+/**
+ * Copy 404 / non-404 counts over from the existing groupings file for every group
+ * whose rows did not move. Groups whose rows changed are left blank so that
+ * automateAudits.js audits them again.
+ * @returns {Array<string>} labels of groups whose counts were dropped
+ */
+function mergeExistingCounts(rows, existingRows) {
+    const existing = new Map();
+    for (const row of existingRows) {
+        // Rows from before route families only covered elections
+        const key = groupKey({ family: row['Family'] || 'elections', state: row['State'] || '', type: row['Type'] || '' });
+        existing.set(key, row);
+    }
+
+    const stale = [];
+    for (const row of rows) {
+        const previous = existing.get(groupKey({ family: row.Family, state: row.State, type: row.Type }));
+        if (!previous || previous['404s'] === undefined || previous['404s'].trim() === '') continue;
 
-        // For the last row
-        if (index === rows.length - 1) {
-            ranges.push({
-                State: currentState,
-                Type: currentType,
-                'First Row': startRowNum,
-                'Last Row': startRow + index
-            });
+        const sameRows = Number(previous['First Row']) === row['First Row'] &&
+            Number(previous['Last Row']) === row['Last Row'] &&
+            (previous['Ranges'] || '') === row.Ranges;
+
+        if (sameRows) {
+            row['404s'] = previous['404s'];
+            row['Non-404 Errors'] = previous['Non-404 Errors'];
+        } else {
+            stale.push([row.Number, row.Family, row.State, row.Type].filter(Boolean).join(' '));
         }
+    }
+    return stale;
+}
+
+function readCsv(filePath, options) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        fs.createReadStream(filePath)
+            .pipe(csv(options))
+            .on('data', (row) => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
     });
+}
 
+async function processCsv({ input = inputFile, output = outputFile, config, dryRun = false } = {}) {
+    const families = compileFamilies(config ? JSON.parse(fs.readFileSync(config, 'utf8')) : DEFAULT_ROUTE_FAMILIES);
+
+    // First column of every data row is the URL
+    const urls = (await readCsv(input, { headers: false, skipLines: 1 })).map((row) => row[0]);
+
+    const rows = toGroupingRows(buildGroups(urls, families));
+
+    let stale = [];
+    if (fs.existsSync(output)) {
+        stale = mergeExistingCounts(rows, await readCsv(output));
+    }
+
+    console.log(`Classified ${urls.length} URLs into ${rows.length} groups.`);
+    const nonContiguous = rows.filter((row) => row.Ranges);
+    if (nonContiguous.length > 0) {
+        console.log(`Non-contiguous groups: ${nonContiguous.map((row) => `${row.Family} ${row.State} ${row.Type}`.trim()).join(', ')}`);
+    }
+    if (stale.length > 0) {
+        console.warn(`Row ranges changed for ${stale.length} groups; their counts were cleared: ${stale.join(', ')}`);
+    }
+
+    if (dryRun) {
+        console.table(rows);
+        return rows;
+    }
+
+    // Write to a temp file, keep a backup of the previous file, then swap
+    const tmpFile = `${output}.tmp`;
     const csvWriter = createCsvWriter({
-        path: outputFile,
-        header: [
-            { id: 'State', title: 'State' },
-            { id: 'Type', title: 'Type' },
-            { id: 'First Row', title: 'First Row' },
-            { id: 'Last Row', title: 'Last Row' }
-        ]
+        path: tmpFile,
+        header: HEADERS.map((h) => ({ id: h, title: h }))
     });
+    await csvWriter.writeRecords(rows);
 
-    await csvWriter.writeRecords(ranges);
-    console.log(`CSV generated as '${outputFile}'`);
+    if (fs.existsSync(output)) {
+        fs.copyFileSync(output, `${output}.bak`);
+    }
+    fs.renameSync(tmpFile, output);
+    console.log(`CSV generated as '${output}'`);
+    return rows;
 }
 
-processCsv().catch(console.error);
+export { DEFAULT_ROUTE_FAMILIES, compileFamilies, classifyUrl, buildGroups, processCsv };
+
+// -----------------------------------------------------------
+// CLI helper: node processElectionGroupings.js [--input file.csv] [--output file.csv] [--config families.json] [--dry-run]
+// -----------------------------------------------------------
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+    const args = process.argv.slice(2);
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--input') options.input = args[++i];
+        else if (args[i] === '--output') options.output = args[++i];
+        else if (args[i] === '--config') options.config = args[++i];
+        else if (args[i] === '--dry-run') options.dryRun = true;
+    }
+
+    processCsv(options).catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,84 @@
+// processElectionGroupings.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { DEFAULT_ROUTE_FAMILIES, compileFamilies, classifyUrl, buildGroups, processCsv } from './processElectionGroupings.js'
+
+const families = compileFamilies(DEFAULT_ROUTE_FAMILIES)
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupings-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+const writeUrls = (file, paths) => fs.writeFileSync(file, ['URL', ...paths.map((p) => `https://goodparty.org${p}`)].join('\n') + '\n')
+
+test('classifyUrl picks the first matching family and its state', () => {
+  assert.deepEqual(classifyUrl('https://goodparty.org/elections/position/AK/anchorage/mayor', families), { family: 'elections', type: 'positions', state: 'ak' })
+  assert.deepEqual(classifyUrl('https://goodparty.org/elections/ak/anchorage', families), { family: 'elections', type: 'counties', state: 'ak' })
+  assert.deepEqual(classifyUrl('https://goodparty.org/candidate/jane-doe', families), { family: 'candidates', type: '', state: '' })
+  assert.deepEqual(classifyUrl('https://goodparty.org/about', families), { family: 'static', type: '', state: '' })
+  assert.equal(classifyUrl('not a url', families), null)
+})
+
+test('buildGroups gives an interrupted group one range per run of rows', () => {
+  const urls = ['/elections/ak', '/elections/ak/juneau', '/blog/a', '/elections/ak/sitka', '/elections/al']
+    .map((p) => `https://goodparty.org${p}`)
+  assert.deepEqual(buildGroups(urls, families).map(({ family, state, ranges }) => [family, state, ranges]), [
+    ['elections', 'ak', [[1, 2], [4, 4]]],
+    ['blog', '', [[3, 3]]],
+    ['elections', 'al', [[5, 5]]]
+  ])
+})
+
+test('processCsv keeps counts for groups whose rows did not move and backs up the old file', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  const warnings = t.mock.method(console, 'warn', () => {})
+  const dir = tmpDir(t)
+  const input = path.join(dir, 'urls.csv')
+  const output = path.join(dir, 'election_groupings.csv')
+
+  writeUrls(input, ['/elections/ak', '/elections/ak/juneau', '/elections/al', '/blog/a'])
+  await processCsv({ input, output })
+
+  // Record audit counts, in the old column layout without Family / Ranges
+  const audited = [
+    'Number,State,Type,First Row,Last Row,404s,Non-404 Errors',
+    '01,ak,counties,1,2,3,1',
+    '02,al,counties,3,3,2,0'
+  ].join('\n') + '\n'
+  fs.writeFileSync(output, audited)
+
+  // A new Alabama URL moves the Alabama rows; Alaska keeps its rows
+  writeUrls(input, ['/elections/ak', '/elections/ak/juneau', '/elections/al', '/elections/al/mobile', '/blog/a'])
+  const rows = await processCsv({ input, output })
+
+  assert.deepEqual(rows.map((row) => [row.Family, row.State, row['First Row'], row['Last Row'], row['404s'], row['Non-404 Errors']]), [
+    ['elections', 'ak', 1, 2, '3', '1'],
+    ['elections', 'al', 3, 4, '', ''],
+    ['blog', '', 5, 5, '', '']
+  ])
+  assert.deepEqual(warnings.mock.calls.map((call) => call.arguments[0]),
+    ['Row ranges changed for 1 groups; their counts were cleared: 02 elections al counties'])
+
+  assert.equal(fs.readFileSync(`${output}.bak`, 'utf8'), audited)
+  assert.equal(fs.existsSync(`${output}.tmp`), false)
+  assert.match(fs.readFileSync(output, 'utf8'), /^Number,Family,State,Type,First Row,Last Row,Ranges,404s,Non-404 Errors\n01,elections,ak,counties,1,2,,3,1\n/)
+})
+
+test('a dry run writes nothing', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  t.mock.method(console, 'table', () => {})
+  const dir = tmpDir(t)
+  const input = path.join(dir, 'urls.csv')
+  const output = path.join(dir, 'election_groupings.csv')
+  writeUrls(input, ['/elections/ak'])
+
+  const rows = await processCsv({ input, output, dryRun: true })
+  assert.equal(rows.length, 1)
+  assert.deepEqual(fs.readdirSync(dir), ['urls.csv'])
+})
@@ -0,0 +1,113 @@
+// redirects.js
+// Follows redirect chains one hop at a time and flags problem chains
+
+const DEFAULT_MAX_HOPS = 5   // chains longer than this are flagged
+const HARD_HOP_LIMIT = 20    // stop following after this many hops, like browsers do
+
+/**
+ * Read a header from an axios or node-fetch response
+ */
+function getHeader(response, name) {
+  return typeof response.headers.get === 'function'
+    ? response.headers.get(name)
+    : response.headers[name.toLowerCase()]
+}
+
+function isRedirect(status) {
+  return status >= 300 && status < 400
+}
+
+/**
+ * Follow `url` hop by hop. `requestHop(url)` must make a single request without
+ * following redirects and resolve with the (axios or node-fetch) response.
+ *
+ * Flags:
+ *   loop             - a hop points back to a URL already in the chain
+ *   long-chain       - more than `maxHops` hops
+ *   https-downgrade  - a hop goes from https: to http:
+ *   redirect-to-404  - the chain ends in a 404
+ *   redirect-to-error - the chain ends in another non-200 status or a request error
+ *   invalid-location - a Location header that isn't a valid URL; the chain ends at that hop
+ *   truncated        - still redirecting after HARD_HOP_LIMIT hops; the rest of the chain wasn't followed
+ *
+ * `maxHops` can't be above HARD_HOP_LIMIT, since longer chains are never followed.
+ *
+ * @returns {Promise<{response?: Object, error?: Error, finalUrl: string, finalStatus: number|null,
+ *   hops: Array<{status:number, from:string, to:string}>, flags: Array<string>}>}
+ */
+async function traceRedirects(url, requestHop, { maxHops = DEFAULT_MAX_HOPS } = {}) {
+  if (maxHops > HARD_HOP_LIMIT) {
+    throw new RangeError(`maxHops must be at most ${HARD_HOP_LIMIT}, got ${maxHops}`)
+  }
+
+  const trace = { finalUrl: url, finalStatus: null, hops: [], flags: [] }
+  const visited = new Set([url])
+  let currentUrl = url
+
+  for (;;) {
+    let response
+    try {
+      response = await requestHop(currentUrl)
+    } catch (error) {
+      trace.error = error
+      if (trace.hops.length > 0) trace.flags.push('redirect-to-error')
+      break
+    }
+
+    trace.response = response
+    trace.finalStatus = response.status
+
+    const location = isRedirect(response.status) && getHeader(response, 'location')
+    if (!location) {
+      if (trace.hops.length > 0 && response.status === 404) {
+        trace.flags.push('redirect-to-404')
+      } else if (trace.hops.length > 0 && response.status !== 200) {
+        trace.flags.push('redirect-to-error')
+      }
+      break
+    }
+
+    let nextUrl
+    try {
+      nextUrl = new URL(location, currentUrl).href
+    } catch {
+      // Record the hop as the server sent it and stop there
+      trace.hops.push({ status: response.status, from: currentUrl, to: location })
+      trace.finalUrl = location
+      trace.flags.push('invalid-location')
+      break
+    }
+    trace.hops.push({ status: response.status, from: currentUrl, to: nextUrl })
+    trace.finalUrl = nextUrl
+
+    if (currentUrl.startsWith('https:') && nextUrl.startsWith('http:') && !trace.flags.includes('https-downgrade')) {
+      trace.flags.push('https-downgrade')
+    }
+    if (visited.has(nextUrl)) {
+      trace.flags.push('loop')
+      break
+    }
+    if (trace.hops.length >= HARD_HOP_LIMIT) {
+      trace.flags.push('truncated')
+      break
+    }
+
+    visited.add(nextUrl)
+    currentUrl = nextUrl
+  }
+
+  if (trace.hops.length > maxHops) {
+    trace.flags.push('long-chain')
+  }
+
+  return trace
+}
+
+/**
+ * Format hops as "301 https://a -> 308 https://b"
+ */
+function formatChain(hops) {
+  return hops.map(({ status, to }) => `${status} ${to}`).join(' -> ')
+}
+
+export { traceRedirects, formatChain, DEFAULT_MAX_HOPS, HARD_HOP_LIMIT }
@@ -0,0 +1,76 @@
+// redirects.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { traceRedirects, formatChain, HARD_HOP_LIMIT } from './redirects.js'
+
+// requestHop over a fixed map of url -> { status, location }
+function site(pages) {
+  return async (url) => {
+    const page = pages[url]
+    if (!page) throw new Error(`no response for ${url}`)
+    return { status: page.status, headers: page.location ? { location: page.location } : {} }
+  }
+}
+
+test('a 200 has no hops', async () => {
+  const trace = await traceRedirects('https://a.org/', site({ 'https://a.org/': { status: 200 } }))
+  assert.deepEqual({ finalUrl: trace.finalUrl, finalStatus: trace.finalStatus, hops: trace.hops, flags: trace.flags },
+    { finalUrl: 'https://a.org/', finalStatus: 200, hops: [], flags: [] })
+})
+
+test('relative locations are resolved and every hop is recorded', async () => {
+  const trace = await traceRedirects('https://a.org/x', site({
+    'https://a.org/x': { status: 301, location: '/y' },
+    'https://a.org/y': { status: 308, location: 'https://a.org/z' },
+    'https://a.org/z': { status: 200 }
+  }))
+  assert.equal(trace.finalUrl, 'https://a.org/z')
+  assert.equal(formatChain(trace.hops), '301 https://a.org/y -> 308 https://a.org/z')
+  assert.deepEqual(trace.flags, [])
+})
+
+test('loops, downgrades and chains ending in errors are flagged', async () => {
+  const loop = await traceRedirects('https://a.org/1', site({
+    'https://a.org/1': { status: 302, location: 'http://a.org/2' },
+    'http://a.org/2': { status: 302, location: 'https://a.org/1' }
+  }))
+  assert.deepEqual(loop.flags, ['https-downgrade', 'loop'])
+
+  const to404 = await traceRedirects('https://a.org/1', site({
+    'https://a.org/1': { status: 301, location: '/gone' },
+    'https://a.org/gone': { status: 404 }
+  }))
+  assert.deepEqual(to404.flags, ['redirect-to-404'])
+
+  const toError = await traceRedirects('https://a.org/1', site({ 'https://a.org/1': { status: 301, location: '/down' } }))
+  assert.deepEqual(toError.flags, ['redirect-to-error'])
+  assert.ok(toError.error)
+})
+
+test('chains longer than maxHops are flagged', async () => {
+  const pages = { 'https://a.org/3': { status: 200 } }
+  for (let i = 0; i < 3; i++) pages[`https://a.org/${i}`] = { status: 301, location: `/${i + 1}` }
+  const trace = await traceRedirects('https://a.org/0', site(pages), { maxHops: 2 })
+  assert.equal(trace.hops.length, 3)
+  assert.deepEqual(trace.flags, ['long-chain'])
+})
+
+test('chains are cut off at the hard hop limit and flagged, and maxHops cannot exceed it', async () => {
+  const pages = {}
+  for (let i = 0; i < 30; i++) pages[`https://a.org/${i}`] = { status: 301, location: `/${i + 1}` }
+  const trace = await traceRedirects('https://a.org/0', site(pages), { maxHops: HARD_HOP_LIMIT })
+  assert.equal(trace.hops.length, HARD_HOP_LIMIT)
+  assert.equal(trace.finalUrl, `https://a.org/${HARD_HOP_LIMIT}`)
+  assert.deepEqual(trace.flags, ['truncated'])
+
+  assert.deepEqual((await traceRedirects('https://a.org/0', site(pages))).flags, ['truncated', 'long-chain'])
+  await assert.rejects(traceRedirects('https://a.org/0', site(pages), { maxHops: HARD_HOP_LIMIT + 1 }), RangeError)
+})
+
+test('an invalid Location ends the chain instead of throwing', async () => {
+  const trace = await traceRedirects('https://a.org/', site({ 'https://a.org/': { status: 301, location: 'http://[bad' } }))
+  assert.deepEqual(trace.hops, [{ status: 301, from: 'https://a.org/', to: 'http://[bad' }])
+  assert.equal(trace.finalStatus, 301)
+  assert.deepEqual(trace.flags, ['invalid-location'])
+})
@@ -0,0 +1,151 @@
+// requestScheduler.js
+// Shared request scheduler: caps concurrency, spaces requests per host with a
+// token bucket, and adapts each host's rate to its error / 429 rate
+
+import pLimit from 'p-limit'
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 10,          // max in-flight requests across all hosts
+  requestsPerSecond: 10,    // starting (and maximum) rate per host
+  minRequestsPerSecond: 0.5,
+  windowSize: 50,           // outcomes considered when computing the error rate
+  errorThreshold: 0.1,      // slow down above this error rate
+  adjustInterval: 2000,     // ms between rate changes for a host
+  decreaseFactor: 0.5,      // multiplicative decrease on errors
+  increaseStep: 1,          // additive increase (req/s) once errors recover
+  log: console.error,       // rate changes; stderr keeps machine-readable stdout clean
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options }
+    this.options.maxRequestsPerSecond = options.maxRequestsPerSecond || this.options.requestsPerSecond
+    this.limit = pLimit(this.options.concurrency)
+    this.hosts = new Map()
+  }
+
+  /**
+   * Per-host bucket and outcome window
+   */
+  getHost(url) {
+    const host = new URL(url).host
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        host,
+        rate: this.options.requestsPerSecond,
+        tokens: 1,
+        lastRefill: Date.now(),
+        queue: Promise.resolve(),   // requests waiting for a token, in order
+        lastAdjustment: 0,
+        outcomes: [],
+        requests: 0,
+        errors: 0,
+        throttled: 0,
+      })
+    }
+    return this.hosts.get(host)
+  }
+
+  /**
+   * Wait until the host's bucket has a token, then take it. The bucket holds at
+   * most one second's worth of tokens.
+   */
+  async acquire(state) {
+    for (;;) {
+      const now = Date.now()
+      state.tokens = Math.min(Math.max(1, state.rate), state.tokens + ((now - state.lastRefill) / 1000) * state.rate)
+      state.lastRefill = now
+
+      if (state.tokens >= 1) {
+        state.tokens -= 1
+        return
+      }
+      await sleep(((1 - state.tokens) / state.rate) * 1000)
+    }
+  }
+
+  /**
+   * Run `task` once a token for the URL's host and then a concurrency slot are
+   * free. Waiting for the token first keeps a throttled host from holding
+   * slots that requests to other hosts could use. The task's result (an axios /
+   * node-fetch response, or the error it throws) feeds the host's error rate.
+   */
+  async schedule(url, task) {
+    const state = this.getHost(url)
+
+    // One waiter per host at a time, first come first served
+    const turn = state.queue.then(() => this.acquire(state))
+    state.queue = turn
+    await turn
+
+    return this.limit(async () => {
+      state.requests++
+
+      try {
+        const response = await task()
+        this.record(state, response?.status)
+        return response
+      } catch (error) {
+        this.record(state, error.response?.status ?? 'error')
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Record an outcome and adjust the host's rate: halve it when errors or 429s
+   * rise above the threshold, ramp it back up step by step once they recover.
+   */
+  record(state, status) {
+    const isError = status === 'error' || status === 429 || status >= 500
+    if (isError) state.errors++
+    if (status === 429) state.throttled++
+
+    state.outcomes.push(isError)
+    if (state.outcomes.length > this.options.windowSize) state.outcomes.shift()
+
+    const now = Date.now()
+    if (now - state.lastAdjustment < this.options.adjustInterval) return
+
+    const errorRate = state.outcomes.filter(Boolean).length / state.outcomes.length
+    const { minRequestsPerSecond, maxRequestsPerSecond, errorThreshold } = this.options
+
+    // Only slow down on a fresh error, so an old burst still in the window
+    // doesn't keep halving the rate
+    if (isError && (errorRate > errorThreshold || status === 429) && state.rate > minRequestsPerSecond) {
+      state.rate = Math.max(minRequestsPerSecond, state.rate * this.options.decreaseFactor)
+      state.lastAdjustment = now
+      this.options.log(`Slowing ${state.host} to ${state.rate.toFixed(1)} req/s (error rate ${(errorRate * 100).toFixed(0)}%)`)
+    } else if (errorRate <= errorThreshold / 2 && state.rate < maxRequestsPerSecond) {
+      state.rate = Math.min(maxRequestsPerSecond, state.rate + this.options.increaseStep)
+      state.lastAdjustment = now
+    }
+  }
+
+  /**
+   * Per-host request counts and current rate
+   */
+  getStats() {
+    return [...this.hosts.values()].map(({ host, rate, requests, errors, throttled }) => ({
+      host, rate, requests, errors, throttled
+    }))
+  }
+}
+
+let defaultScheduler = null
+
+/**
+ * The process-wide scheduler shared by every fetcher, so that separate
+ * scripts and validators running in one process respect the same limits.
+ * Options only apply the first time it is created.
+ */
+function getDefaultScheduler(options = {}) {
+  if (!defaultScheduler) {
+    defaultScheduler = new RequestScheduler(options)
+  }
+  return defaultScheduler
+}
+
+export { RequestScheduler, getDefaultScheduler, DEFAULT_SCHEDULER_OPTIONS }
@@ -0,0 +1,51 @@
+// requestScheduler.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RequestScheduler } from './requestScheduler.js'
+
+const ok = async () => ({ status: 200 })
+
+test('a host waiting for its next token holds no concurrency slot', async () => {
+  const scheduler = new RequestScheduler({ concurrency: 1, requestsPerSecond: 1000, log: () => {} })
+  scheduler.getHost('https://slow.org/').rate = 2
+
+  const finished = []
+  const track = (name, url) => scheduler.schedule(url, ok).then(() => finished.push(name))
+  await Promise.all([
+    track('slow 1', 'https://slow.org/1'),
+    track('slow 2', 'https://slow.org/2'),
+    track('fast', 'https://fast.org/1')
+  ])
+  assert.deepEqual(finished, ['slow 1', 'fast', 'slow 2'])
+})
+
+test('requests to one host are spaced by its rate, in order', async () => {
+  const scheduler = new RequestScheduler({ requestsPerSecond: 20, log: () => {} })
+  const started = []
+  const start = Date.now()
+  await Promise.all([1, 2, 3, 4].map((n) => scheduler.schedule(`https://a.org/${n}`, async () => {
+    started.push([n, Date.now() - start])
+    return { status: 200 }
+  })))
+  assert.deepEqual(started.map(([n]) => n), [1, 2, 3, 4])
+  // One token up front, then one every 50ms
+  assert.ok(started[3][1] >= 140, `fourth request started after ${started[3][1]}ms`)
+})
+
+test('errors and 429s slow a host down, and it recovers', async () => {
+  const messages = []
+  const scheduler = new RequestScheduler({ requestsPerSecond: 10, adjustInterval: 0, log: (message) => messages.push(message) })
+  await scheduler.schedule('https://a.org/', async () => ({ status: 429 }))
+  const [stats] = scheduler.getStats()
+  assert.deepEqual(stats, { host: 'a.org', rate: 5, requests: 1, errors: 1, throttled: 1 })
+  assert.deepEqual(messages, ['Slowing a.org to 5.0 req/s (error rate 100%)'])
+
+  await assert.rejects(scheduler.schedule('https://a.org/', async () => { throw new Error('socket hang up') }))
+  assert.equal(scheduler.getStats()[0].rate, 2.5)
+
+  const state = scheduler.getHost('https://a.org/')
+  state.outcomes = []
+  await scheduler.schedule('https://a.org/', ok)
+  assert.equal(scheduler.getStats()[0].rate, 3.5)
+})
@@ -0,0 +1,91 @@
+// retry.js
+// Retries transient HTTP failures (timeouts, network errors, 429 and 5xx) with
+// jittered exponential backoff, honoring Retry-After
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,            // retries after the first attempt
+  baseDelay: 500,        // ms before the first retry (before jitter)
+  maxDelay: 30000,       // cap on the backoff delay
+  maxRetryAfter: 60000,  // cap on how long a Retry-After header can make us wait
+  retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+}
+
+/**
+ * Read a header from an axios or node-fetch response
+ */
+function getHeader(response, name) {
+  if (!response?.headers) return null
+  return typeof response.headers.get === 'function'
+    ? response.headers.get(name)
+    : response.headers[name.toLowerCase()]
+}
+
+/**
+ * Parse a Retry-After value (delay in seconds or an HTTP date) into ms, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null
+
+  const seconds = Number(value)
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, date - now)
+}
+
+/**
+ * "Full jitter" exponential backoff: a random delay up to baseDelay * 2^(attempt - 1)
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1))
+}
+
+/**
+ * Network errors and timeouts have no response; axios marks them with `request`,
+ * node-fetch with FetchError / AbortError
+ */
+function isRetryableError(error) {
+  if (error.response) return false
+  return Boolean(error.request) || error.name === 'FetchError' || error.name === 'AbortError'
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Call `request(attempt)` until it returns a non-retryable result or retries run out.
+ * Works with both fetch-style requests (resolve with any status) and axios-style
+ * requests (reject with `error.response` for non-2xx).
+ *
+ * @returns {Promise<{response?: Object, error?: Error, attempts: number}>}
+ */
+async function withRetry(request, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options }
+
+  for (let attempt = 1; ; attempt++) {
+    let outcome
+    try {
+      outcome = { response: await request(attempt) }
+    } catch (error) {
+      outcome = { error }
+    }
+
+    const response = outcome.response || outcome.error?.response
+    const retryable = response
+      ? settings.retryStatuses.includes(response.status)
+      : isRetryableError(outcome.error)
+
+    if (!retryable || attempt > settings.retries) {
+      return { ...outcome, attempts: attempt }
+    }
+
+    const retryAfter = parseRetryAfter(getHeader(response, 'retry-after'))
+    const delay = retryAfter !== null
+      ? Math.min(retryAfter, settings.maxRetryAfter)
+      : backoffDelay(attempt, settings)
+
+    settings.onRetry?.({ attempt, delay, status: response?.status, error: outcome.error })
+    await sleep(delay)
+  }
+}
+
+export { withRetry, parseRetryAfter, backoffDelay, DEFAULT_RETRY_OPTIONS }
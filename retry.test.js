@@ -0,0 +1,60 @@
+// retry.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { withRetry, parseRetryAfter, backoffDelay } from './retry.js'
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z')
+  assert.equal(parseRetryAfter('5', now), 5000)
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now), 10000)
+  assert.equal(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT', now), 0)
+  assert.equal(parseRetryAfter('soon', now), null)
+  assert.equal(parseRetryAfter(null, now), null)
+})
+
+test('backoffDelay stays under the capped exponential bound', () => {
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    const delay = backoffDelay(attempt, { baseDelay: 100, maxDelay: 1000 })
+    assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** (attempt - 1)))
+  }
+})
+
+test('retries retryable statuses until they succeed', async () => {
+  const statuses = [503, 429, 200]
+  const outcome = await withRetry(async () => ({ status: statuses.shift(), headers: {} }), { baseDelay: 1 })
+  assert.equal(outcome.response.status, 200)
+  assert.equal(outcome.attempts, 3)
+})
+
+test('gives up after the configured retries, and not at all on a 404', async () => {
+  const failing = await withRetry(async () => ({ status: 500, headers: {} }), { retries: 2, baseDelay: 1 })
+  assert.equal(failing.response.status, 500)
+  assert.equal(failing.attempts, 3)
+
+  const missing = await withRetry(async () => ({ status: 404, headers: {} }), { baseDelay: 1 })
+  assert.equal(missing.attempts, 1)
+})
+
+test('network errors are retried, other errors are not', async () => {
+  let calls = 0
+  const network = await withRetry(async () => {
+    calls++
+    throw Object.assign(new Error('socket hang up'), { request: {} })
+  }, { retries: 1, baseDelay: 1 })
+  assert.equal(calls, 2)
+  assert.equal(network.error.message, 'socket hang up')
+
+  const bug = await withRetry(async () => { throw new TypeError('bad') }, { baseDelay: 1 })
+  assert.equal(bug.attempts, 1)
+})
+
+test('Retry-After sets the delay, capped by maxRetryAfter', async () => {
+  const delays = []
+  const statuses = [429, 200]
+  await withRetry(async () => ({ status: statuses.shift(), headers: { 'retry-after': '120' } }), {
+    maxRetryAfter: 5,
+    onRetry: ({ delay }) => delays.push(delay)
+  })
+  assert.deepEqual(delays, [5])
+})
@@ -0,0 +1,153 @@
+// robotsTxt.js
+// Minimal robots.txt parser following Google's matching rules
+// (https://developers.google.com/search/docs/crawling-indexing/robots/robots_txt)
+
+import fetch from 'node-fetch'
+
+const DEFAULT_USER_AGENT = 'GoodParty-Sitemap-Validator/1.0'
+
+class RobotsTxt {
+  constructor(content = '', { disallowAll = false } = {}) {
+    this.groups = []
+    this.sitemaps = []
+    // Google treats an unreachable robots.txt (429 / 5xx / network error) as a full disallow
+    this.disallowAll = disallowAll
+    // HTTP status of the fetched file, or 'error' (set by RobotsTxt.fetch)
+    this.status = null
+    this.parse(content)
+  }
+
+  /**
+   * Fetch and parse robots.txt for a site
+   */
+  static async fetch(baseUrl, { userAgent = DEFAULT_USER_AGENT } = {}) {
+    const robotsUrl = new URL('/robots.txt', baseUrl).href
+
+    try {
+      const response = await fetch(robotsUrl, {
+        headers: { 'User-Agent': userAgent },
+        timeout: 10000
+      })
+
+      // 4xx means "no restrictions", 429 and 5xx mean "crawl nothing"
+      let robots
+      if (response.status >= 500 || response.status === 429) {
+        robots = new RobotsTxt('', { disallowAll: true })
+      } else if (!response.ok) {
+        robots = new RobotsTxt('')
+      } else {
+        robots = new RobotsTxt(await response.text())
+      }
+      robots.status = response.status
+      return robots
+    } catch (error) {
+      console.error(`Error fetching ${robotsUrl}:`, error.message)
+      const robots = new RobotsTxt('', { disallowAll: true })
+      robots.status = 'error'
+      return robots
+    }
+  }
+
+  /**
+   * Parse robots.txt content into user-agent groups and sitemap directives
+   */
+  parse(content) {
+    let current = null
+    let lastLineWasAgent = false
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim()
+      const separator = line.indexOf(':')
+      if (separator === -1) continue
+
+      const field = line.slice(0, separator).trim().toLowerCase()
+      const value = line.slice(separator + 1).trim()
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastLineWasAgent) {
+          current = { agents: [], rules: [] }
+          this.groups.push(current)
+        }
+        current.agents.push(value.toLowerCase())
+        lastLineWasAgent = true
+        continue
+      }
+
+      lastLineWasAgent = false
+
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value)
+      } else if ((field === 'allow' || field === 'disallow') && current) {
+        // An empty Disallow allows everything, so it adds no rule
+        if (value) current.rules.push({ allow: field === 'allow', pattern: value })
+      }
+    }
+  }
+
+  /**
+   * Rules that apply to a crawler: every group naming its product token
+   * (exactly, ignoring case, so 'googlebot' doesn't pick up 'googlebot-news'),
+   * or the '*' groups when none does
+   */
+  getRules(userAgent = 'Googlebot') {
+    const token = userAgent.toLowerCase()
+    const named = this.groups.filter(group => group.agents.includes(token))
+    const groups = named.length > 0 ? named : this.groups.filter(group => group.agents.includes('*'))
+    return groups.flatMap(group => group.rules)
+  }
+
+  /**
+   * Check whether a URL may be crawled. The longest matching rule wins and
+   * Allow wins ties.
+   */
+  isAllowed(url, userAgent = 'Googlebot') {
+    return this.getMatchingRule(url, userAgent)?.allow ?? !this.disallowAll
+  }
+
+  /**
+   * Get the rule that decides whether a URL may be crawled, or null if none matches
+   */
+  getMatchingRule(url, userAgent = 'Googlebot') {
+    if (this.disallowAll) return { allow: false, pattern: '/' }
+
+    const { pathname, search } = new URL(url)
+    const target = pathname + search
+    let best = null
+
+    for (const rule of this.getRules(userAgent)) {
+      if (!RobotsTxt.matches(rule.pattern, target)) continue
+
+      if (!best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule
+      }
+    }
+
+    return best
+  }
+
+  /**
+   * Match a robots.txt path pattern (supports '*' and a trailing '$')
+   */
+  static matches(pattern, target) {
+    const anchored = pattern.endsWith('$')
+    const body = anchored ? pattern.slice(0, -1) : pattern
+    const source = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(target)
+  }
+
+  /**
+   * Sitemap URLs declared with Sitemap: directives
+   */
+  getSitemaps() {
+    return this.sitemaps
+  }
+}
+
+export { RobotsTxt }
@@ -0,0 +1,48 @@
+// robotsTxt.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RobotsTxt } from './robotsTxt.js'
+
+test('the longest matching rule wins, and Allow wins ties', () => {
+  const robots = new RobotsTxt('User-agent: *\nDisallow: /admin\nAllow: /admin/public\nDisallow: /x\nAllow: /x\n')
+  assert.equal(robots.isAllowed('https://a.org/admin/users'), false)
+  assert.equal(robots.isAllowed('https://a.org/admin/public/page'), true)
+  assert.equal(robots.isAllowed('https://a.org/x'), true)
+  assert.equal(robots.isAllowed('https://a.org/other'), true)
+})
+
+test('wildcards and end anchors', () => {
+  const robots = new RobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=\n')
+  assert.equal(robots.isAllowed('https://a.org/files/a.pdf'), false)
+  assert.equal(robots.isAllowed('https://a.org/files/a.pdf?download=1'), true)
+  assert.equal(robots.isAllowed('https://a.org/search?page=1&q=x'), false)
+})
+
+test('user-agents match the product token exactly, falling back to *', () => {
+  const robots = new RobotsTxt([
+    'User-agent: Googlebot-Image', 'Disallow: /images', '',
+    'User-agent: *', 'Disallow: /private'
+  ].join('\n'))
+  assert.equal(robots.isAllowed('https://a.org/images/a.png', 'Googlebot'), true)
+  assert.equal(robots.isAllowed('https://a.org/private', 'Googlebot'), false)
+  assert.equal(robots.isAllowed('https://a.org/images/a.png', 'Googlebot-Image'), false)
+})
+
+test('groups naming the same agent are merged, ignoring case', () => {
+  const robots = new RobotsTxt('User-agent: googlebot\nDisallow: /a\n\nUser-agent: *\nDisallow: /b\n\nUser-agent: GOOGLEBOT\nDisallow: /c\n')
+  assert.equal(robots.isAllowed('https://a.org/a'), false)
+  assert.equal(robots.isAllowed('https://a.org/b'), true)
+  assert.equal(robots.isAllowed('https://a.org/c'), false)
+})
+
+test('an unreachable robots.txt blocks everything', () => {
+  const robots = new RobotsTxt('', { disallowAll: true })
+  assert.equal(robots.isAllowed('https://a.org/'), false)
+})
+
+test('Sitemap: lines', () => {
+  const robots = new RobotsTxt('Sitemap: https://a.org/sitemap.xml\nUser-agent: *\nDisallow:\n')
+  assert.deepEqual(robots.getSitemaps(), ['https://a.org/sitemap.xml'])
+  assert.equal(robots.isAllowed('https://a.org/anything'), true)
+})
@@ -0,0 +1,384 @@
+// simulateGoogleCrawl.js
+// Simulates how Googlebot discovers GoodParty pages through the sitemaps and
+// reports whether each listed URL would be indexable
+
+import fetch from 'node-fetch'
+import { XMLParser } from 'fast-xml-parser'
+import { createObjectCsvWriter } from 'csv-writer'
+import { fileURLToPath } from 'url'
+import fs from 'fs/promises'
+import path from 'path'
+import { RobotsTxt } from './robotsTxt.js'
+import { getDefaultScheduler } from './requestScheduler.js'
+import { decodeSitemap } from './sitemapSource.js'
+import { traceRedirects } from './redirects.js'
+import { getMetaRobots, getXRobotsTag, hasNoindex, getCanonical } from './htmlMeta.js'
+
+const GOOGLEBOT_USER_AGENT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+const MAX_REDIRECT_HOPS = 10 // Googlebot gives up after 10 hops
+const DEFAULT_OUTPUT = 'csv_output/google_crawl_simulation'
+
+class GoogleCrawlSimulator {
+  constructor(baseUrl = 'https://goodparty.org', options = {}) {
+    this.baseUrl = baseUrl
+    this.maxUrls = options.maxUrls || 0 // 0 = no limit
+    this.timeout = options.timeout || 10000
+    this.scheduler = options.scheduler || getDefaultScheduler()
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      textNodeName: '#text',
+    })
+    this.robots = null
+    this.results = []
+  }
+
+  /**
+   * Crawl every URL listed in the sitemap tree starting from sitemap.xml
+   */
+  async run() {
+    console.log('Starting Googlebot crawl simulation...\n')
+
+    this.robots = await RobotsTxt.fetch(this.baseUrl, { userAgent: GOOGLEBOT_USER_AGENT })
+
+    const mainSitemapUrl = `${this.baseUrl}/sitemap.xml`
+    console.log(`Fetching main sitemap: ${mainSitemapUrl}`)
+
+    const mainSitemap = await this.fetchAndParseSitemap(mainSitemapUrl)
+    if (!mainSitemap) {
+      console.error('Failed to fetch main sitemap!')
+      return this.results
+    }
+
+    if (mainSitemap.sitemapindex) {
+      await this.processSitemapIndex(mainSitemap.sitemapindex)
+    } else if (mainSitemap.urlset) {
+      await this.processUrlset(mainSitemapUrl, mainSitemap.urlset)
+    }
+
+    return this.results
+  }
+
+  /**
+   * Check whether the URL limit has been reached
+   */
+  isDone() {
+    return this.maxUrls > 0 && this.results.length >= this.maxUrls
+  }
+
+  /**
+   * Fetch and parse a sitemap
+   */
+  async fetchAndParseSitemap(url) {
+    try {
+      const response = await this.scheduler.schedule(url, () => fetch(url, {
+        headers: { 'User-Agent': GOOGLEBOT_USER_AGENT },
+        timeout: 30000
+      }))
+
+      if (!response.ok) {
+        console.error(`Error fetching ${url}: HTTP ${response.status}`)
+        return null
+      }
+
+      // Gzipped sitemaps are decompressed, whatever their name or Content-Type
+      const { content, error } = decodeSitemap(Buffer.from(await response.arrayBuffer()), {
+        source: url,
+        contentType: response.headers.get('content-type')
+      })
+      if (error) {
+        console.error(`Error reading ${url}: ${error}`)
+        return null
+      }
+      return this.parser.parse(content)
+    } catch (error) {
+      console.error(`Error fetching ${url}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Process sitemap index, descending into nested indexes
+   */
+  async processSitemapIndex(sitemapindex) {
+    const sitemaps = Array.isArray(sitemapindex.sitemap)
+      ? sitemapindex.sitemap
+      : (sitemapindex.sitemap ? [sitemapindex.sitemap] : [])
+
+    for (const sitemap of sitemaps) {
+      if (this.isDone()) return
+
+      const loc = sitemap.loc?.['#text'] || sitemap.loc
+      if (!loc) continue
+
+      const parsed = await this.fetchAndParseSitemap(loc)
+      if (parsed?.sitemapindex) {
+        await this.processSitemapIndex(parsed.sitemapindex)
+      } else if (parsed?.urlset) {
+        await this.processUrlset(loc, parsed.urlset)
+      }
+    }
+  }
+
+  /**
+   * Crawl each URL in a urlset
+   */
+  async processUrlset(sitemapUrl, urlset) {
+    const urls = Array.isArray(urlset.url)
+      ? urlset.url
+      : (urlset.url ? [urlset.url] : [])
+
+    console.log(`Crawling ${urls.length} URLs from ${sitemapUrl}`)
+
+    for (const url of urls) {
+      if (this.isDone()) return
+
+      const loc = url.loc?.['#text'] || url.loc
+      if (loc) {
+        this.results.push(await this.crawlUrl(loc, sitemapUrl))
+      }
+    }
+  }
+
+  /**
+   * Fetch a page like Googlebot would and decide whether it is indexable.
+   * Anything that goes wrong with one URL (e.g. a malformed <loc>) is recorded
+   * in its reasons so the rest of the crawl carries on.
+   */
+  async crawlUrl(loc, sitemapUrl) {
+    const result = {
+      url: loc,
+      sitemap: sitemapUrl,
+      robotsAllowed: true,
+      initialStatus: null,
+      finalStatus: null,
+      finalUrl: loc,
+      redirectHops: 0,
+      redirectChain: [],
+      xRobotsTag: [],
+      metaRobots: [],
+      canonical: null,
+      canonicalMatches: null,
+      indexable: false,
+      reasons: [],
+    }
+
+    try {
+      await this.checkIndexability(result)
+    } catch (error) {
+      result.reasons.push(`Crawl failed: ${error.message}`)
+      result.indexable = false
+    }
+    return result
+  }
+
+  /**
+   * Fill in the crawl result for one URL
+   */
+  async checkIndexability(result) {
+    const loc = result.url
+
+    if (!this.robots.isAllowed(loc, 'Googlebot')) {
+      result.robotsAllowed = false
+      result.reasons.push('Blocked by robots.txt')
+      return
+    }
+
+    const { response, error } = await this.followRedirects(loc, result)
+
+    if (error) {
+      result.reasons.push(error)
+      return
+    }
+
+    result.finalStatus = response.status
+
+    if (result.redirectHops > 0) {
+      result.reasons.push(`Redirects to ${result.finalUrl}`)
+    }
+
+    if (response.status !== 200) {
+      result.reasons.push(`HTTP ${response.status}`)
+      return
+    }
+
+    result.xRobotsTag = getXRobotsTag(response.headers.raw()['x-robots-tag'])
+    if (hasNoindex(result.xRobotsTag)) {
+      result.reasons.push('noindex in X-Robots-Tag')
+    }
+
+    const html = await response.text()
+
+    result.metaRobots = getMetaRobots(html)
+    if (hasNoindex(result.metaRobots)) {
+      result.reasons.push('noindex in meta robots')
+    }
+
+    result.canonical = getCanonical(html, result.finalUrl)
+    if (result.canonical) {
+      result.canonicalMatches = this.normalizeUrl(result.canonical) === this.normalizeUrl(loc)
+      if (!result.canonicalMatches) {
+        result.reasons.push(`Canonical points to ${result.canonical}`)
+      }
+    }
+
+    result.indexable = result.reasons.length === 0
+  }
+
+  /**
+   * Follow redirects one hop at a time, recording each hop on the result. Like
+   * Googlebot, stops at a redirect target robots.txt blocks and after
+   * MAX_REDIRECT_HOPS hops. Returns the final response, or an error message if
+   * the chain was not followed to the end.
+   */
+  async followRedirects(url, result) {
+    let requests = 0
+    const trace = await traceRedirects(url, async (hopUrl) => {
+      if (++requests > MAX_REDIRECT_HOPS + 1) {
+        throw new Error(`More than ${MAX_REDIRECT_HOPS} redirect hops`)
+      }
+      if (requests > 1 && !this.robots.isAllowed(hopUrl, 'Googlebot')) {
+        throw new Error(`Redirect target blocked by robots.txt: ${hopUrl}`)
+      }
+      try {
+        return await this.scheduler.schedule(hopUrl, () => fetch(hopUrl, {
+          headers: { 'User-Agent': GOOGLEBOT_USER_AGENT },
+          timeout: this.timeout,
+          redirect: 'manual'
+        }))
+      } catch (error) {
+        throw new Error(`Fetch failed: ${error.message}`)
+      }
+    }, { maxHops: MAX_REDIRECT_HOPS })
+
+    result.initialStatus = trace.hops[0]?.status ?? trace.finalStatus
+    result.redirectChain = trace.hops
+    result.redirectHops = trace.hops.length
+    result.finalUrl = trace.finalUrl
+
+    if (trace.error) {
+      return { error: trace.error.message }
+    }
+    if (trace.flags.includes('loop')) {
+      return { error: 'Redirect loop' }
+    }
+    if (trace.flags.includes('invalid-location')) {
+      return { error: `Invalid redirect Location: ${trace.finalUrl}` }
+    }
+    return { response: trace.response }
+  }
+
+  /**
+   * Normalize a URL for canonical comparison
+   */
+  normalizeUrl(url) {
+    try {
+      const u = new URL(url)
+      u.hash = ''
+      return u.href
+    } catch {
+      return url
+    }
+  }
+
+  /**
+   * Write the results as CSV and JSON, e.g. csv_output/google_crawl_simulation.csv
+   */
+  async writeReport(outputBase = DEFAULT_OUTPUT) {
+    await fs.mkdir(path.dirname(outputBase), { recursive: true })
+
+    const csvWriter = createObjectCsvWriter({
+      path: `${outputBase}.csv`,
+      header: [
+        { id: 'url', title: 'URL' },
+        { id: 'sitemap', title: 'Sitemap' },
+        { id: 'indexable', title: 'Indexable' },
+        { id: 'robotsAllowed', title: 'Robots Allowed' },
+        { id: 'initialStatus', title: 'Initial Status' },
+        { id: 'finalStatus', title: 'Final Status' },
+        { id: 'finalUrl', title: 'Final URL' },
+        { id: 'redirectHops', title: 'Redirect Hops' },
+        { id: 'redirectChain', title: 'Redirect Chain' },
+        { id: 'xRobotsTag', title: 'X-Robots-Tag' },
+        { id: 'metaRobots', title: 'Meta Robots' },
+        { id: 'canonical', title: 'Canonical' },
+        { id: 'reasons', title: 'Reasons' }
+      ]
+    })
+
+    await csvWriter.writeRecords(this.results.map(result => ({
+      ...result,
+      redirectChain: result.redirectChain.map(({ status, to }) => `${status} ${to}`).join(' -> '),
+      xRobotsTag: result.xRobotsTag.join(', '),
+      metaRobots: result.metaRobots.join(', '),
+      reasons: result.reasons.join('; ')
+    })))
+
+    await fs.writeFile(`${outputBase}.json`, JSON.stringify(this.results, null, 2))
+
+    console.log(`\nReport written to ${outputBase}.csv and ${outputBase}.json`)
+  }
+
+  /**
+   * Print a summary of the crawl
+   */
+  printSummary() {
+    const indexable = this.results.filter(result => result.indexable).length
+
+    console.log('\n=== GOOGLEBOT CRAWL SIMULATION ===\n')
+    console.log(`  URLs crawled: ${this.results.length}`)
+    console.log(`  Indexable: ${indexable}`)
+    console.log(`  Not indexable: ${this.results.length - indexable}`)
+
+    const byReason = {}
+    this.results.forEach(({ reasons }) => {
+      reasons.forEach(reason => {
+        // Group "Redirects to <url>" style reasons by their prefix
+        const key = reason.split(/:| to /)[0]
+        byReason[key] = (byReason[key] || 0) + 1
+      })
+    })
+
+    if (Object.keys(byReason).length > 0) {
+      console.log('\nReasons:')
+      Object.entries(byReason).forEach(([reason, count]) => {
+        console.log(`  ${reason}: ${count} URLs`)
+      })
+    }
+  }
+}
+
+// CLI interface
+const __filename = fileURLToPath(import.meta.url)
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
+  const args = process.argv.slice(2)
+  let baseUrl = 'https://goodparty.org'
+  let maxUrls = 0
+  let output = DEFAULT_OUTPUT
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--max-urls') {
+      maxUrls = Number(args[++i])
+    } else if (args[i] === '--output') {
+      output = args[++i]
+    } else if (args[i] === '--help') {
+      console.log('Usage: node simulateGoogleCrawl.js [baseUrl] [--max-urls N] [--output csv_output/google_crawl_simulation]')
+      process.exit(0)
+    } else {
+      baseUrl = args[i]
+    }
+  }
+
+  const simulator = new GoogleCrawlSimulator(baseUrl, { maxUrls })
+  simulator.run()
+    .then(async () => {
+      simulator.printSummary()
+      await simulator.writeReport(output)
+    })
+    .catch((error) => {
+      console.error('Crawl simulation failed:', error)
+      process.exitCode = 1
+    })
+}
+
+export { GoogleCrawlSimulator }
@@ -0,0 +1,59 @@
+// simulateGoogleCrawl.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import { GoogleCrawlSimulator } from './simulateGoogleCrawl.js'
+import { RequestScheduler } from './requestScheduler.js'
+
+const REDIRECTS = {
+  '/moved': '/ok',
+  '/loop': '/loop',
+  '/broken-location': 'http://[oops',
+  '/to-private': '/private'
+}
+
+function startServer(locs) {
+  const server = http.createServer((req, res) => {
+    const base = `http://${req.headers.host}`
+    if (req.url === '/robots.txt') {
+      res.writeHead(200, { 'content-type': 'text/plain' }).end('User-agent: *\nDisallow: /private\n')
+    } else if (req.url === '/sitemap.xml') {
+      const urls = locs.map((loc) => `<url><loc>${loc.startsWith('/') ? base + loc : loc}</loc></url>`).join('')
+      res.writeHead(200, { 'content-type': 'application/xml' })
+        .end(`<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}</urlset>`)
+    } else if (REDIRECTS[req.url]) {
+      res.writeHead(301, { location: REDIRECTS[req.url] }).end()
+    } else {
+      res.writeHead(200, { 'content-type': 'text/html' }).end('<html><head><title>Page</title></head><body></body></html>')
+    }
+  })
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+test('every listed URL gets a result, even when its <loc> or a Location header is malformed', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  const locs = ['/ok', '/moved', '/loop', '/broken-location', 'http://[bad', '/to-private', '/private']
+  const server = await startServer(locs)
+  t.after(() => server.close())
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  const simulator = new GoogleCrawlSimulator(base, { scheduler: new RequestScheduler({ requestsPerSecond: 1000, log: () => {} }) })
+  const results = await simulator.run()
+
+  const reasons = Object.fromEntries(results.map(({ url, reasons }) => [url.replace(base, ''), reasons]))
+  assert.deepEqual(Object.keys(reasons), locs)
+  assert.deepEqual(reasons['/ok'], [])
+  assert.deepEqual(reasons['/moved'], [`Redirects to ${base}/ok`])
+  assert.deepEqual(reasons['/loop'], ['Redirect loop'])
+  assert.deepEqual(reasons['/broken-location'], ['Invalid redirect Location: http://[oops'])
+  assert.match(reasons['http://[bad'][0], /^Crawl failed: /)
+  assert.deepEqual(reasons['/to-private'], [`Redirect target blocked by robots.txt: ${base}/private`])
+  assert.deepEqual(reasons['/private'], ['Blocked by robots.txt'])
+
+  const moved = results.find(({ url }) => url === `${base}/moved`)
+  assert.equal(moved.initialStatus, 301)
+  assert.equal(moved.finalStatus, 200)
+  assert.deepEqual(moved.redirectChain, [{ status: 301, from: `${base}/moved`, to: `${base}/ok` }])
+  assert.equal(results.filter(({ indexable }) => indexable).length, 1)
+})
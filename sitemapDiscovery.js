@@ -0,0 +1,173 @@
+// sitemapDiscovery.js
+// Finds the per-state candidate and election sitemaps (and their shard numbers)
+// from the live sitemap index, falling back to the shared state list
+
+import { XMLParser } from 'fast-xml-parser'
+import { loadSitemap, peekRootElement } from './sitemapSource.js'
+
+// State/territory codes with GoodParty state sitemaps. A state's position in
+// this list is its shard number when the sitemap index can't be read.
+const STATE_CODES = [
+  'ak', 'al', 'ar', 'az', 'ca', 'co', 'ct', 'de', 'dc', 'fl',
+  'ga', 'hi', 'ia', 'id', 'il', 'in', 'ks', 'ky', 'la', 'ma',
+  'md', 'me', 'mi', 'mn', 'mo', 'ms', 'mt', 'nc', 'nd', 'ne',
+  'nh', 'nj', 'nm', 'nv', 'ny', 'oh', 'ok', 'or', 'pa', 'ri',
+  'sc', 'sd', 'tn', 'tx', 'ut', 'va', 'vt', 'wa', 'wi', 'wv',
+  'wy'
+]
+
+// Sitemap types per state: candidate pages and election (state) pages
+const SHARD_TYPES = ['candidates', 'state']
+
+// e.g. /sitemaps/candidates/fl/sitemap/9.xml, or 9.xml.gz when gzipped
+const SHARD_PATTERN = /\/sitemaps\/(candidates|state)\/([a-z]{2})\/sitemap\/(\d+)(\.xml(\.gz)?)$/i
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+})
+
+function asArray(value) {
+  return Array.isArray(value) ? value : (value ? [value] : [])
+}
+
+/**
+ * Parse a state sitemap URL into { type, state, shard, extension }, or null if it isn't one
+ */
+function parseShardUrl(url) {
+  const match = new URL(url).pathname.match(SHARD_PATTERN)
+  if (!match) return null
+  return { type: match[1].toLowerCase(), state: match[2].toLowerCase(), shard: Number(match[3]), extension: match[4].toLowerCase() }
+}
+
+function shardUrl(baseUrl, { type, state, shard, extension = '.xml' }) {
+  return `${baseUrl}/sitemaps/${type}/${state}/sitemap/${shard}${extension}`
+}
+
+/**
+ * State sitemaps as listed in the shared config: both types for every state,
+ * numbered by the state's position in STATE_CODES
+ */
+function configuredStateSitemaps(baseUrl, states = STATE_CODES) {
+  return states.flatMap((state, shard) => SHARD_TYPES.map(type => {
+    const entry = { type, state, shard }
+    return { ...entry, url: shardUrl(baseUrl, entry) }
+  }))
+}
+
+/**
+ * Collect every state sitemap listed in the sitemap index at `indexUrl`,
+ * following nested indexes. Locs are rebased onto `baseUrl`, so a preview
+ * deployment whose index lists production URLs is checked against itself.
+ * Other child sitemaps are only read up to their root element, so urlsets
+ * aren't downloaded just to find they list no sitemaps.
+ */
+async function readIndexShards(indexUrl, baseUrl, { maxDepth = 3, depth = 0 } = {}) {
+  const parsed = parser.parse(await loadSitemap(indexUrl))
+  if (!parsed.sitemapindex) return []
+
+  const shards = []
+  for (const sitemap of asArray(parsed.sitemapindex.sitemap)) {
+    const loc = String(sitemap.loc?.['#text'] ?? sitemap.loc ?? '').trim()
+    if (!loc) continue
+
+    const { pathname } = new URL(loc, baseUrl)
+    const shard = parseShardUrl(new URL(pathname, baseUrl).href)
+    if (shard) {
+      shards.push({ ...shard, url: shardUrl(baseUrl, shard) })
+    } else if (depth + 1 < maxDepth) {
+      const childUrl = `${baseUrl}${pathname}`
+      try {
+        if (await peekRootElement(childUrl) === 'sitemapindex') {
+          shards.push(...await readIndexShards(childUrl, baseUrl, { maxDepth, depth: depth + 1 }))
+        }
+      } catch (error) {
+        console.error(`Error reading sitemap ${loc}:`, error.message)
+      }
+    }
+  }
+  return shards
+}
+
+/**
+ * Compare state sitemaps found in the index with the shared config.
+ * Issues:
+ *   missing-from-index - configured, but the index doesn't list it
+ *   not-in-config      - listed in the index for a state missing from the config
+ *   shard-mismatch     - listed in both, under a different shard number
+ */
+function compareShards(discovered, configured) {
+  const key = ({ type, state }) => `${type}/${state}`
+  const discoveredByKey = new Map()
+  for (const entry of discovered) {
+    discoveredByKey.set(key(entry), [...(discoveredByKey.get(key(entry)) || []), entry])
+  }
+  const configuredByKey = new Map(configured.map(entry => [key(entry), entry]))
+  const mismatches = []
+
+  for (const [entryKey, entry] of configuredByKey) {
+    const found = discoveredByKey.get(entryKey)
+    if (!found) {
+      mismatches.push({ issue: 'missing-from-index', type: entry.type, state: entry.state, configShard: entry.shard, indexShards: [] })
+    } else if (!found.some(({ shard }) => shard === entry.shard)) {
+      mismatches.push({ issue: 'shard-mismatch', type: entry.type, state: entry.state, configShard: entry.shard, indexShards: found.map(({ shard }) => shard) })
+    }
+  }
+
+  for (const [entryKey, found] of discoveredByKey) {
+    if (!configuredByKey.has(entryKey)) {
+      mismatches.push({ issue: 'not-in-config', type: found[0].type, state: found[0].state, configShard: null, indexShards: found.map(({ shard }) => shard) })
+    }
+  }
+
+  return mismatches
+}
+
+/**
+ * Find the state sitemaps to check for `baseUrl`.
+ * Uses the live sitemap index when it lists any state sitemaps and reports
+ * where it disagrees with the shared config; otherwise falls back to the config.
+ *
+ * @returns {Promise<{source: 'index'|'config', shards: Array<{type, state, shard, url}>,
+ *   mismatches: Array<Object>, error?: string}>}
+ */
+async function discoverStateSitemaps(baseUrl, { states = STATE_CODES, maxDepth = 3 } = {}) {
+  const configured = configuredStateSitemaps(baseUrl, states)
+
+  let discovered = []
+  let error
+  try {
+    discovered = await readIndexShards(`${baseUrl}/sitemap.xml`, baseUrl, { maxDepth })
+  } catch (err) {
+    error = err.message
+  }
+
+  if (discovered.length === 0) {
+    return { source: 'config', shards: configured, mismatches: [], error: error || 'No state sitemaps listed in the sitemap index' }
+  }
+
+  // De-duplicate in case nested indexes list a shard twice
+  const shards = [...new Map(discovered.map(entry => [entry.url, entry])).values()]
+  return { source: 'index', shards, mismatches: compareShards(shards, configured) }
+}
+
+/**
+ * Describe a mismatch for console output
+ */
+function formatMismatch({ issue, type, state, configShard, indexShards }) {
+  const name = `${type}/${state}`
+  if (issue === 'missing-from-index') return `${name}: in config (shard ${configShard}) but not in the sitemap index`
+  if (issue === 'not-in-config') return `${name}: in the sitemap index (shard ${indexShards.join(', ')}) but not in config`
+  return `${name}: config says shard ${configShard}, sitemap index lists shard ${indexShards.join(', ')}`
+}
+
+export {
+  discoverStateSitemaps,
+  configuredStateSitemaps,
+  compareShards,
+  parseShardUrl,
+  formatMismatch,
+  STATE_CODES,
+  SHARD_TYPES
+}
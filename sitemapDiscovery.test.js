@@ -0,0 +1,75 @@
+// sitemapDiscovery.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import zlib from 'zlib'
+import { discoverStateSitemaps, compareShards, parseShardUrl, configuredStateSitemaps } from './sitemapDiscovery.js'
+
+const index = (locs) => `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  locs.map((loc) => `<sitemap><loc>https://goodparty.org${loc}</loc></sitemap>`).join('')
+}</sitemapindex>`
+
+test('parseShardUrl reads type, state, shard and extension', () => {
+  assert.deepEqual(parseShardUrl('https://goodparty.org/sitemaps/candidates/FL/sitemap/9.xml.gz'),
+    { type: 'candidates', state: 'fl', shard: 9, extension: '.xml.gz' })
+  assert.equal(parseShardUrl('https://goodparty.org/sitemaps/pages.xml'), null)
+})
+
+test('compareShards reports missing, unconfigured and renumbered shards', () => {
+  const configured = configuredStateSitemaps('https://a.org', ['ak', 'al'])
+  const discovered = [
+    { type: 'candidates', state: 'ak', shard: 0 },
+    { type: 'state', state: 'ak', shard: 0 },
+    { type: 'state', state: 'al', shard: 2 },
+    { type: 'candidates', state: 'zz', shard: 5 }
+  ]
+  assert.deepEqual(compareShards(discovered, configured).map(({ issue, type, state }) => `${issue} ${type}/${state}`), [
+    'missing-from-index candidates/al',
+    'shard-mismatch state/al',
+    'not-in-config candidates/zz'
+  ])
+})
+
+test('shards come from nested indexes, and urlsets are only read up to their root element', { timeout: 10000 }, async (t) => {
+  let pagesClosed = false
+  const server = http.createServer((req, res) => {
+    if (req.url === '/sitemap.xml') {
+      res.end(index(['/sitemaps/candidates/ak/sitemap/0.xml', '/sitemaps/state/ak/sitemap/0.xml.gz', '/sitemaps/pages.xml', '/sitemaps/nested.xml']))
+    } else if (req.url === '/sitemaps/nested.xml') {
+      res.end(zlib.gzipSync(index(['/sitemaps/state/al/sitemap/2.xml', '/sitemaps/candidates/zz/sitemap/5.xml'])))
+    } else if (req.url === '/sitemaps/pages.xml') {
+      // A urlset that never finishes: reading it to the end would hang
+      req.on('close', () => { pagesClosed = true })
+      res.write('<?xml version="1.0"?>\n<!-- pages -->\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://goodparty.org/about</loc></url>')
+    } else {
+      res.writeHead(404).end()
+    }
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => {
+    server.closeAllConnections()
+    server.close()
+  })
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  const { source, shards, mismatches } = await discoverStateSitemaps(base, { states: ['ak', 'al'] })
+  assert.equal(source, 'index')
+  assert.deepEqual(shards.map(({ url }) => url), [
+    `${base}/sitemaps/candidates/ak/sitemap/0.xml`,
+    `${base}/sitemaps/state/ak/sitemap/0.xml.gz`,
+    `${base}/sitemaps/state/al/sitemap/2.xml`,
+    `${base}/sitemaps/candidates/zz/sitemap/5.xml`
+  ])
+  assert.equal(mismatches.length, 3)
+
+  await new Promise(resolve => setTimeout(resolve, 50))
+  assert.equal(pagesClosed, true)
+})
+
+test('an unreadable index falls back to the configured list', async () => {
+  const { source, shards, error } = await discoverStateSitemaps('http://127.0.0.1:9', { states: ['ak'] })
+  assert.equal(source, 'config')
+  assert.deepEqual(shards.map(({ url }) => url), ['http://127.0.0.1:9/sitemaps/candidates/ak/sitemap/0.xml', 'http://127.0.0.1:9/sitemaps/state/ak/sitemap/0.xml'])
+  assert.match(error, /ECONNREFUSED/)
+})
@@ -0,0 +1,320 @@
+// sitemapExtensions.js
+// Validates the extension elements a sitemap <url> may carry: xhtml:link
+// hreflang alternates, image:image, video:video and news:news
+
+const EXTENSION_NAMESPACES = {
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  image: 'http://www.google.com/schemas/sitemap-image/1.1',
+  video: 'http://www.google.com/schemas/sitemap-video/1.1',
+  news: 'http://www.google.com/schemas/sitemap-news/0.9',
+}
+
+// Children of <url> in the sitemap namespace itself
+const CORE_URL_ELEMENTS = ['loc', 'lastmod', 'changefreq', 'priority']
+
+const MAX_IMAGES_PER_URL = 1000
+const MAX_VIDEO_DESCRIPTION = 2048
+const MAX_VIDEO_DURATION = 28800 // seconds
+const NEWS_MAX_AGE_DAYS = 2
+// hreflang links kept per sitemap for the reciprocity check (bounds memory on huge hreflang clusters)
+const MAX_TRACKED_ALTERNATES = 200000
+
+// ISO 639-1 language codes, for hreflang and news:language
+const LANGUAGE_CODES = new Set(`
+  aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy
+  da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu
+  hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb
+  lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om
+  or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw
+  ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu
+`.trim().split(/\s+/))
+
+// language[-Script][-REGION], e.g. en, en-US, zh-Hant-TW, es-419
+const HREFLANG_PATTERN = /^([a-z]{2})(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?$/i
+
+const IMAGE_ELEMENTS = ['loc']
+const DEPRECATED_IMAGE_ELEMENTS = ['caption', 'geo_location', 'title', 'license']
+const VIDEO_ELEMENTS = [
+  'thumbnail_loc', 'title', 'description', 'content_loc', 'player_loc', 'duration', 'expiration_date',
+  'rating', 'view_count', 'publication_date', 'family_friendly', 'restriction', 'platform',
+  'requires_subscription', 'uploader', 'live', 'tag', 'price', 'category', 'gallery_loc'
+]
+const NEWS_ELEMENTS = ['publication', 'publication_date', 'title', 'keywords', 'genres', 'access', 'stock_tickers']
+
+function asArray(value) {
+  return Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value])
+}
+
+function textOf(value) {
+  const text = value?.['#text'] ?? value
+  return text === undefined || text === null || typeof text === 'object' ? '' : String(text).trim()
+}
+
+/**
+ * Namespace prefixes declared by an element's attributes, as Map<prefix, uri>.
+ * Accepts XMLParser attributes ('@_xmlns:image') and SAX attributes ('xmlns:image').
+ */
+function declaredNamespaces(attributes = {}) {
+  const namespaces = new Map()
+  for (const [name, value] of Object.entries(attributes)) {
+    const match = name.replace(/^@_/, '').match(/^xmlns:(.+)$/)
+    if (match) namespaces.set(match[1], String(value))
+  }
+  return namespaces
+}
+
+/**
+ * Whether a hreflang value is x-default or a valid ISO 639-1 language with
+ * optional script and region
+ */
+function isValidHreflang(hreflang) {
+  if (hreflang === 'x-default') return true
+  const match = HREFLANG_PATTERN.exec(hreflang)
+  return Boolean(match) && LANGUAGE_CODES.has(match[1].toLowerCase())
+}
+
+/**
+ * Checks the extension elements of every <url> in one urlset and, once all
+ * entries are in, hreflang reciprocity between them. `target` is the
+ * SitemapValidator: errors go through its addError (with a SCHEMA_RULES ID),
+ * warnings to its warnings, and URLs / dates are checked with its isValidUrl /
+ * isValidDate.
+ */
+class ExtensionChecker {
+  constructor(namespaces, target) {
+    this.namespaces = namespaces
+    this.target = target
+    this.alternates = new Map() // loc -> { label, hrefs: Set }
+    this.trackedAlternates = 0   // hrefs held in this.alternates
+    this.alternatesCapped = false
+  }
+
+  error(rule, message) {
+    this.target.addError(rule, message)
+  }
+
+  warning(message) {
+    this.target.warnings.push(message)
+  }
+
+  /**
+   * Check every child of a <url> (XMLParser shape) other than the core elements
+   */
+  checkUrl(url, label) {
+    const loc = textOf(url.loc)
+    const links = []
+
+    for (const [key, value] of Object.entries(url)) {
+      if (key.startsWith('@_') || key === '#text') continue
+
+      const [prefix, name] = key.includes(':') ? key.split(':', 2) : [null, key]
+      if (!prefix) {
+        // Strict mode reports these as schema errors instead
+        if (!CORE_URL_ELEMENTS.includes(name) && !this.target.strict) this.warning(`${label}: Unknown element <${key}>`)
+        continue
+      }
+
+      const namespace = asArray(value)[0]?.[`@_xmlns:${prefix}`] ?? this.namespaces.get(prefix)
+      if (!namespace) {
+        this.error('EXT-NAMESPACE', `${label}: <${key}> uses undeclared namespace prefix "${prefix}"`)
+        continue
+      }
+
+      const items = asArray(value)
+      if (namespace === EXTENSION_NAMESPACES.xhtml && name === 'link') {
+        items.forEach(item => links.push(item))
+      } else if (namespace === EXTENSION_NAMESPACES.image && name === 'image') {
+        if (items.length > MAX_IMAGES_PER_URL) {
+          this.error('EXT-IMAGE', `${label}: Too many images (${items.length}). Maximum is ${MAX_IMAGES_PER_URL}`)
+        }
+        items.forEach(item => this.checkImage(item, `${label} <${key}>`, prefix))
+      } else if (namespace === EXTENSION_NAMESPACES.video && name === 'video') {
+        items.forEach(item => this.checkVideo(item, `${label} <${key}>`, prefix))
+      } else if (namespace === EXTENSION_NAMESPACES.news && name === 'news') {
+        items.forEach(item => this.checkNews(item, `${label} <${key}>`, prefix))
+      } else {
+        this.warning(`${label}: Unknown element <${key}> (namespace ${namespace})`)
+      }
+    }
+
+    if (links.length > 0) {
+      this.checkAlternates(links, label, loc)
+    }
+  }
+
+  /**
+   * Children of an extension element as { name: value }, warning about
+   * children that aren't in `known` (or use another prefix)
+   */
+  fields(item, label, prefix, known) {
+    const fields = {}
+    if (!item || typeof item !== 'object') return fields
+
+    for (const [key, value] of Object.entries(item)) {
+      if (key.startsWith('@_') || key === '#text') continue
+      const name = key.startsWith(`${prefix}:`) ? key.slice(prefix.length + 1) : null
+      if (name && known.includes(name)) {
+        fields[name] = value
+      } else {
+        this.warning(`${label}: Unknown element <${key}>`)
+      }
+    }
+    return fields
+  }
+
+  checkAlternates(links, label, loc) {
+    const hrefs = new Set()
+    const seenLanguages = new Set()
+
+    for (const link of links) {
+      const rel = link?.['@_rel']
+      const hreflang = link?.['@_hreflang']
+      const href = link?.['@_href']
+
+      if (rel !== 'alternate') {
+        this.warning(`${label}: <xhtml:link> rel should be "alternate", got ${rel === undefined ? 'none' : `"${rel}"`}`)
+      }
+      if (!hreflang) {
+        this.error('EXT-HREFLANG', `${label}: <xhtml:link> is missing hreflang`)
+      } else if (!isValidHreflang(hreflang)) {
+        this.error('EXT-HREFLANG', `${label}: Invalid hreflang: ${hreflang}`)
+      } else if (seenLanguages.has(hreflang.toLowerCase())) {
+        this.warning(`${label}: Duplicate hreflang: ${hreflang}`)
+      } else {
+        seenLanguages.add(hreflang.toLowerCase())
+      }
+      if (!href) {
+        this.error('EXT-HREFLANG', `${label}: <xhtml:link> is missing href`)
+      } else if (!this.target.isValidUrl(href)) {
+        this.error('EXT-HREFLANG', `${label}: hreflang href must be an absolute http(s) URL: ${href}`)
+      } else {
+        hrefs.add(href)
+      }
+    }
+
+    if (!loc) return
+    if (this.trackedAlternates + hrefs.size > MAX_TRACKED_ALTERNATES) {
+      this.alternatesCapped = true
+    } else if (!this.alternatesCapped) {
+      this.alternates.set(loc, { label, hrefs })
+      this.trackedAlternates += hrefs.size
+    }
+  }
+
+  checkImage(image, label, prefix) {
+    const fields = this.fields(image, label, prefix, [...IMAGE_ELEMENTS, ...DEPRECATED_IMAGE_ELEMENTS])
+    const loc = textOf(fields.loc)
+
+    if (!loc) {
+      this.error('EXT-IMAGE', `${label}: Missing required <${prefix}:loc>`)
+    } else if (!this.target.isValidUrl(loc)) {
+      this.error('EXT-IMAGE', `${label}: Invalid image URL: ${loc}`)
+    }
+
+    DEPRECATED_IMAGE_ELEMENTS
+      .filter(name => name in fields)
+      .forEach(name => this.warning(`${label}: <${prefix}:${name}> is deprecated and ignored by Google`))
+  }
+
+  checkVideo(video, label, prefix) {
+    const fields = this.fields(video, label, prefix, VIDEO_ELEMENTS)
+
+    for (const name of ['thumbnail_loc', 'title', 'description']) {
+      if (!textOf(fields[name])) this.error('EXT-VIDEO', `${label}: Missing required <${prefix}:${name}>`)
+    }
+    if (!textOf(fields.content_loc) && !textOf(fields.player_loc)) {
+      this.error('EXT-VIDEO', `${label}: Needs <${prefix}:content_loc> or <${prefix}:player_loc>`)
+    }
+    for (const name of ['thumbnail_loc', 'content_loc', 'player_loc']) {
+      const value = textOf(fields[name])
+      if (value && !this.target.isValidUrl(value)) this.error('EXT-VIDEO', `${label}: Invalid <${prefix}:${name}> URL: ${value}`)
+    }
+
+    const description = textOf(fields.description)
+    if (description.length > MAX_VIDEO_DESCRIPTION) {
+      this.error('EXT-VIDEO', `${label}: <${prefix}:description> is ${description.length} characters. Maximum is ${MAX_VIDEO_DESCRIPTION}`)
+    }
+    if (fields.duration !== undefined) {
+      const duration = Number(textOf(fields.duration))
+      if (!Number.isInteger(duration) || duration < 1 || duration > MAX_VIDEO_DURATION) {
+        this.warning(`${label}: Invalid <${prefix}:duration> (1-${MAX_VIDEO_DURATION} seconds): ${textOf(fields.duration)}`)
+      }
+    }
+    if (fields.rating !== undefined) {
+      const rating = parseFloat(textOf(fields.rating))
+      if (isNaN(rating) || rating < 0 || rating > 5) {
+        this.warning(`${label}: Invalid <${prefix}:rating> (0.0-5.0): ${textOf(fields.rating)}`)
+      }
+    }
+    for (const name of ['expiration_date', 'publication_date']) {
+      if (fields[name] !== undefined && !this.target.isValidDate(textOf(fields[name]))) {
+        this.warning(`${label}: Invalid <${prefix}:${name}>: ${textOf(fields[name])}`)
+      }
+    }
+    for (const name of ['family_friendly', 'requires_subscription', 'live']) {
+      if (fields[name] !== undefined && !['yes', 'no'].includes(textOf(fields[name]))) {
+        this.warning(`${label}: <${prefix}:${name}> must be "yes" or "no": ${textOf(fields[name])}`)
+      }
+    }
+  }
+
+  checkNews(news, label, prefix) {
+    const fields = this.fields(news, label, prefix, NEWS_ELEMENTS)
+
+    if (!fields.publication) {
+      this.error('EXT-NEWS', `${label}: Missing required <${prefix}:publication>`)
+    } else {
+      const publication = this.fields(fields.publication, `${label} <${prefix}:publication>`, prefix, ['name', 'language'])
+      const language = textOf(publication.language)
+      if (!textOf(publication.name)) {
+        this.error('EXT-NEWS', `${label}: Missing required <${prefix}:name> in <${prefix}:publication>`)
+      }
+      if (!language) {
+        this.error('EXT-NEWS', `${label}: Missing required <${prefix}:language> in <${prefix}:publication>`)
+      } else if (!LANGUAGE_CODES.has(language) && !['zh-cn', 'zh-tw'].includes(language)) {
+        this.error('EXT-NEWS', `${label}: Invalid <${prefix}:language> (ISO 639 code, or zh-cn / zh-tw): ${language}`)
+      }
+    }
+
+    const publicationDate = textOf(fields.publication_date)
+    if (!publicationDate) {
+      this.error('EXT-NEWS', `${label}: Missing required <${prefix}:publication_date>`)
+    } else if (!this.target.isValidDate(publicationDate)) {
+      this.error('EXT-NEWS', `${label}: Invalid <${prefix}:publication_date>: ${publicationDate}`)
+    } else if (Date.now() - new Date(publicationDate).getTime() > NEWS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      this.warning(`${label}: Article published more than ${NEWS_MAX_AGE_DAYS} days ago; news sitemaps should only list recent articles`)
+    }
+
+    if (!textOf(fields.title)) {
+      this.error('EXT-NEWS', `${label}: Missing required <${prefix}:title>`)
+    }
+  }
+
+  /**
+   * hreflang reciprocity across the urlset: every page should list itself, and
+   * every alternate listed in this sitemap should link back.
+   * `isListed(url)` says whether a URL is a <loc> of this sitemap.
+   */
+  finish(isListed) {
+    for (const [loc, { label, hrefs }] of this.alternates) {
+      if (!hrefs.has(loc)) {
+        this.warning(`${label}: hreflang alternates don't include the page itself (${loc})`)
+      }
+      for (const href of hrefs) {
+        if (href === loc) continue
+        const target = this.alternates.get(href)
+        if (target && !target.hrefs.has(loc)) {
+          this.warning(`${label}: hreflang alternate ${href} doesn't link back to ${loc}`)
+        } else if (!target && isListed(href)) {
+          this.warning(`${label}: hreflang alternate ${href} has no alternates, so it doesn't link back to ${loc}`)
+        }
+      }
+    }
+    if (this.alternatesCapped) {
+      this.warning(`hreflang reciprocity was only checked for the first ${this.alternates.size} URLs with alternates (more than ${MAX_TRACKED_ALTERNATES} alternate links)`)
+    }
+    this.alternates.clear()
+  }
+}
+
+export { ExtensionChecker, declaredNamespaces, isValidHreflang, EXTENSION_NAMESPACES, CORE_URL_ELEMENTS, MAX_TRACKED_ALTERNATES }
@@ -2,14 +2,74 @@
 // Comprehensive health check for GoodParty sitemaps
 // Checks for the specific issues mentioned in the SEO report
 
+import fs from 'fs'
 import fetch from 'node-fetch'
 import { XMLParser } from 'fast-xml-parser'
 import { fileURLToPath } from 'url'
 import path from 'path'
+import { withRetry, DEFAULT_RETRY_OPTIONS } from './retry.js'
+import { getDefaultScheduler } from './requestScheduler.js'
+import { traceRedirects, formatChain } from './redirects.js'
+import { discoverStateSitemaps, formatMismatch } from './sitemapDiscovery.js'
+import { SitemapUrlIndex } from './analyzeSitemapUrls.js'
+import { decodeSitemap, rebaseUrl } from './sitemapSource.js'
+import { RobotsTxt } from './robotsTxt.js'
+import { selectUrls, estimateRate, checkConfidence, STRATEGIES, DEFAULT_SAMPLING_OPTIONS } from './urlSampling.js'
+import { SUSPICIOUS_URL_RULES, matchUrlRules, loadUrlRules } from './urlRules.js'
+import { findFutureLastmods, findUniformLastmod, checkIndexLastmod, comparePageDates, compareEtag } from './lastmodCheck.js'
+
+const DEFAULT_STATE_FILE = 'csv_output/health_check_state.json'
+const DEFAULT_LASTMOD_STATE_FILE = 'csv_output/lastmod_check_state.json'
+
+/**
+ * Write JSON to a temp file, then rename, so an interrupted run never leaves a truncated file
+ */
+function writeJsonAtomic(file, value) {
+  const tmpFile = `${file}.tmp`
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(tmpFile, JSON.stringify(value))
+  fs.renameSync(tmpFile, file)
+}
 
 class SitemapHealthCheck {
-  constructor(baseUrl = 'https://goodparty.org') {
+  constructor(baseUrl = 'https://goodparty.org', options = {}) {
     this.baseUrl = baseUrl
+    this.retryOptions = { retries: options.retries ?? 3 }
+    this.scheduler = options.scheduler || getDefaultScheduler()
+    // Which URLs of each state sitemap get a status check (see urlSampling.js)
+    this.sampling = {
+      strategy: options.strategy ?? DEFAULT_SAMPLING_OPTIONS.strategy,
+      sampleSize: options.sampleSize ?? DEFAULT_SAMPLING_OPTIONS.sampleSize,
+      sampleRate: options.sampleRate ?? DEFAULT_SAMPLING_OPTIONS.sampleRate,
+      seed: options.seed ?? DEFAULT_SAMPLING_OPTIONS.seed,
+      confidence: options.confidence ?? DEFAULT_SAMPLING_OPTIONS.confidence,
+      marginOfError: options.marginOfError ?? DEFAULT_SAMPLING_OPTIONS.marginOfError,
+    }
+    if (!STRATEGIES.includes(this.sampling.strategy)) {
+      throw new Error(`Unknown strategy: ${this.sampling.strategy} (expected ${STRATEGIES.join(', ')})`)
+    }
+    // Throws on an unsupported confidence now rather than after every URL is checked
+    checkConfidence(this.sampling.confidence)
+    // url -> lastmod of the last run, for the 'changed' strategy
+    this.stateFile = options.stateFile || DEFAULT_STATE_FILE
+    this.previousLastmods = null
+    this.currentLastmods = new Map()
+    // Optional lastmod truthfulness checks (see lastmodCheck.js). Page ETags
+    // and lastmods are kept between runs in lastmodStateFile.
+    this.checkLastmod = options.checkLastmod ?? false
+    this.lastmodStateFile = options.lastmodStateFile || DEFAULT_LASTMOD_STATE_FILE
+    this.previousPages = new Map()
+    this.currentPages = new Map()
+    // robots.txt of baseUrl, and the sitemaps reachable from the index (as
+    // URLs rebased onto baseUrl) to compare with its Sitemap: lines
+    this.robots = null
+    this.reachableSitemaps = new Set()
+    // Sitemaps whose entries went through checkSitemapEntries
+    this.checkedSitemaps = new Set()
+    // Compiled rules for suspicious URLs (see urlRules.js; --url-rules loads a config)
+    this.suspiciousUrlRules = options.suspiciousUrlRules || SUSPICIOUS_URL_RULES
+    // Every URL in the sitemap index, for cross-sitemap duplicates
+    this.urlIndex = new SitemapUrlIndex(new URL(baseUrl).host)
     this.parser = new XMLParser({
       ignoreAttributes: false,
       attributeNamePrefix: '@_',
@@ -24,6 +84,25 @@ class SitemapHealthCheck {
       urlsWith404s: [],
       duplicateUrls: new Set(),
       suspiciousUrls: [],
+      suspiciousRuleCounts: {},   // rule id -> URLs matching it
+      retriedUrls: [],
+      contentWarnings: [],
+      stateSitemapSource: null,
+      stateSitemapMismatches: [],
+      urlChecks: [],
+      coverage: null,
+      urlAnalysis: null,
+      lastmodIssues: [],
+      lastmodPages: { agrees: 0, older: 0, newer: 0, unverifiable: 0 },
+      robots: {
+        url: null,
+        status: null,
+        sitemaps: [],
+        declaresIndex: false,
+        blockedSitemaps: [],
+        blockedUrls: [],
+        unreachableSitemaps: [],
+      },
     }
   }
 
@@ -36,6 +115,11 @@ class SitemapHealthCheck {
     // Check main sitemap
     const mainSitemapUrl = `${this.baseUrl}/sitemap.xml`
     console.log(`Checking main sitemap: ${mainSitemapUrl}`)
+    if (this.checkLastmod) {
+      this.loadPageState()
+    }
+    this.reachableSitemaps.add(rebaseUrl(mainSitemapUrl, this.baseUrl))
+    await this.loadRobots()
     
     const mainSitemap = await this.fetchAndParseSitemap(mainSitemapUrl)
     if (!mainSitemap) {
@@ -50,8 +134,21 @@ class SitemapHealthCheck {
       await this.processUrlset(mainSitemapUrl, mainSitemap.urlset)
     }
 
+    this.results.urlAnalysis = this.urlIndex.getSummary()
+
     // Check state-specific sitemaps directly
+    if (this.sampling.strategy === 'changed') {
+      this.loadLastmods()
+    }
     await this.checkStateSitemaps()
+    this.checkRobotsSitemaps(mainSitemapUrl)
+    if (this.sampling.strategy === 'changed') {
+      this.saveLastmods()
+    }
+    if (this.checkLastmod) {
+      writeJsonAtomic(this.lastmodStateFile, Object.fromEntries(this.currentPages))
+    }
+    this.summarizeCoverage()
 
     // Generate report
     this.generateReport()
@@ -60,26 +157,23 @@ class SitemapHealthCheck {
   }
 
   /**
-   * Check all state sitemaps directly
+   * Check all state sitemaps directly, as discovered from the sitemap index
    */
   async checkStateSitemaps() {
     console.log('\nChecking state-specific sitemaps...')
-    
-    const states = ['ak', 'al', 'ar', 'co', 'ct', 'dc', 'de', 'fl', 'ga', 'hi', 
-                    'ia', 'id', 'il', 'in', 'ky', 'la', 'md', 'me', 'mn', 'mo',
-                    'mt', 'nc', 'nd', 'nh', 'nj', 'nm', 'nv', 'oh', 'ri', 'sc',
-                    'va', 'vt', 'wi', 'wv', 'wy']
 
-    for (let i = 0; i < states.length; i++) {
-      const state = states[i]
-      
-      // Check candidate sitemap
-      const candidateUrl = `${this.baseUrl}/sitemaps/candidates/${state}/sitemap/${i}.xml`
-      await this.checkSingleSitemap(candidateUrl, `candidates-${state}`)
-      
-      // Check election sitemap
-      const electionUrl = `${this.baseUrl}/sitemaps/state/${state}/sitemap/${i}.xml`
-      await this.checkSingleSitemap(electionUrl, `elections-${state}`)
+    const { source, shards, mismatches, error } = await discoverStateSitemaps(this.baseUrl)
+    this.results.stateSitemapSource = source
+    this.results.stateSitemapMismatches = mismatches
+    if (source === 'config') {
+      console.log(`  Using the configured state list (${error})`)
+    } else {
+      console.log(`  Found ${shards.length} state sitemaps in the sitemap index`)
+      shards.forEach(({ url }) => this.reachableSitemaps.add(rebaseUrl(url, this.baseUrl)))
+    }
+
+    for (const { type, state, url } of shards) {
+      await this.checkSingleSitemap(url, `${type === 'state' ? 'elections' : 'candidates'}-${state}`)
     }
   }
 
@@ -90,10 +184,10 @@ class SitemapHealthCheck {
     console.log(`  Checking ${identifier}...`)
     
     try {
-      const response = await fetch(url, { 
+      const response = await this.scheduler.schedule(url, () => fetch(url, {
         headers: { 'User-Agent': 'GoodParty-Sitemap-Validator/1.0' },
-        timeout: 30000 
-      })
+        timeout: 30000
+      }))
       
       if (!response.ok) {
         if (response.status === 404) {
@@ -112,7 +206,15 @@ class SitemapHealthCheck {
         return
       }
 
-      const content = await response.text()
+      const { content, error } = await this.readSitemapBody(url, response)
+      if (error) {
+        this.results.brokenSitemaps.push({
+          url,
+          error,
+          identifier
+        })
+        return
+      }
       
       // Check for empty content
       if (!content || content.trim().length === 0) {
@@ -139,8 +241,7 @@ class SitemapHealthCheck {
           })
         } else {
           console.log(`    Found ${urls.length} URLs`)
-          // Sample check first 10 URLs
-          await this.sampleCheckUrls(urls.slice(0, 10), identifier)
+          await this.sampleCheckUrls(urls, identifier, url)
         }
       }
     } catch (error) {
@@ -153,94 +254,323 @@ class SitemapHealthCheck {
   }
 
   /**
-   * Sample check URLs from a sitemap
+   * Flag suspicious URLs in a sitemap and status-check the ones picked by the
+   * configured strategy (also comparing their lastmod with the page when
+   * checkLastmod is on)
    */
-  async sampleCheckUrls(urls, sitemapIdentifier) {
+  async sampleCheckUrls(urls, sitemapIdentifier, sitemapUrl = sitemapIdentifier) {
+    const entries = []
     for (const url of urls) {
       const loc = url.loc?.['#text'] || url.loc
       if (!loc) continue
 
-      // Check for suspicious patterns
-      if (this.isSuspiciousUrl(loc)) {
+      // Check for suspicious patterns; the first rule matched gives the reason
+      const matches = matchUrlRules(loc, this.suspiciousUrlRules)
+      if (matches.length > 0) {
         this.results.suspiciousUrls.push({
           url: loc,
           sitemap: sitemapIdentifier,
-          reason: this.getSuspiciousReason(loc)
+          reason: matches[0].message,
+          rule: matches[0].id,
+          severity: matches[0].severity,
+          rules: matches.map(({ id }) => id)
         })
+        for (const { id } of matches) {
+          this.results.suspiciousRuleCounts[id] = (this.results.suspiciousRuleCounts[id] || 0) + 1
+        }
       }
 
-      // Track total URLs
-      this.results.totalUrls++
+      const lastmod = url.lastmod?.['#text'] ?? url.lastmod
+      entries.push({ loc, lastmod: lastmod === undefined ? undefined : String(lastmod) })
+    }
+
+    this.checkSitemapEntries(sitemapUrl, entries)
 
-      // Sample check URL status (limit to avoid overwhelming the server)
-      if (Math.random() < 0.1) { // Check 10% of URLs
-        await this.checkUrlStatus(loc)
+    const selected = selectUrls(entries, this.sampling, this.previousLastmods)
+    const checks = await Promise.all(selected.map(async ({ loc, lastmod }) => {
+      const check = await this.checkUrlStatus(loc)
+      if (this.checkLastmod && check.status === 200) {
+        await this.checkPageLastmod(loc, lastmod, sitemapUrl)
+      }
+      // Remember only URLs that were fine, so failures are checked again next run
+      if (this.sampling.strategy === 'changed' && check.status === 200) {
+        this.currentLastmods.set(loc, lastmod ?? '')
       }
+      return check
+    }))
+
+    if (this.previousLastmods) {
+      // Unchanged URLs keep their previous state
+      const selectedLocs = new Set(selected.map(({ loc }) => loc))
+      entries
+        .filter(({ loc }) => !selectedLocs.has(loc))
+        .forEach(({ loc }) => this.currentLastmods.set(loc, this.previousLastmods.get(loc)))
     }
+
+    this.results.urlChecks.push({
+      identifier: sitemapIdentifier,
+      total: entries.length,
+      // For 'changed', rates describe the changed URLs, which are all checked
+      population: this.sampling.strategy === 'changed' ? selected.length : entries.length,
+      checked: selected.length,
+      non200: checks.filter(({ status }) => status !== 200).length,
+      notFound: checks.filter(({ finalStatus }) => finalStatus === 404).length,
+    })
   }
 
   /**
-   * Check if URL matches suspicious patterns from the SEO report
+   * Load lastmods recorded by the previous 'changed' run, if any
    */
-  isSuspiciousUrl(url) {
-    // Check for malformed election URLs
-    if (url.includes('/elections/position/') && url.includes('-(joint)')) {
-      return true
+  loadLastmods() {
+    if (!fs.existsSync(this.stateFile)) {
+      console.log(`No previous run state in ${this.stateFile}, checking every URL`)
+      return
     }
-    
-    // Check for double slashes
-    if (url.includes('//') && !url.includes('://')) {
-      return true
+    this.previousLastmods = new Map(Object.entries(JSON.parse(fs.readFileSync(this.stateFile, 'utf8'))))
+    console.log(`Checking URLs changed since the last run (${this.previousLastmods.size} URLs in ${this.stateFile})`)
+  }
+
+  /**
+   * Write lastmods for the next 'changed' run (write to a temp file, then rename)
+   */
+  saveLastmods() {
+    writeJsonAtomic(this.stateFile, Object.fromEntries(this.currentLastmods))
+  }
+
+  /**
+   * Load the lastmod / ETag of each page from the previous lastmod check, if any
+   */
+  loadPageState() {
+    if (fs.existsSync(this.lastmodStateFile)) {
+      this.previousPages = new Map(Object.entries(JSON.parse(fs.readFileSync(this.lastmodStateFile, 'utf8'))))
     }
-    
-    // Check for spaces or special characters
-    if (url.includes(' ') || url.includes('%20')) {
-      return true
+  }
+
+  /**
+   * Checks on a sitemap and its entries that need no requests: robots.txt
+   * rules, and (with checkLastmod) future lastmods and shards where every URL
+   * shares one lastmod. Each sitemap is checked once, whether it's reached
+   * from the index or as a state sitemap.
+   */
+  checkSitemapEntries(sitemapUrl, entries) {
+    if (this.checkedSitemaps.has(sitemapUrl)) return
+    this.checkedSitemaps.add(sitemapUrl)
+
+    if (this.robots) {
+      const blocked = this.getBlockingRule(sitemapUrl)
+      if (blocked) {
+        this.results.robots.blockedSitemaps.push({ url: sitemapUrl, rule: blocked })
+      }
+      for (const { loc } of entries) {
+        const rule = this.getBlockingRule(loc)
+        if (rule) {
+          this.results.robots.blockedUrls.push({ url: loc, sitemap: sitemapUrl, rule })
+        }
+      }
+    }
+
+    if (this.checkLastmod) {
+      const issues = [...findFutureLastmods(entries), findUniformLastmod(entries)].filter(Boolean)
+      issues.forEach(issue => this.results.lastmodIssues.push({ ...issue, sitemap: sitemapUrl }))
     }
-    
-    return false
   }
 
   /**
-   * Get reason why URL is suspicious
+   * Fetch robots.txt for baseUrl and record its status and Sitemap: lines
+   */
+  async loadRobots() {
+    const robotsUrl = new URL('/robots.txt', this.baseUrl).href
+    console.log(`Checking robots.txt: ${robotsUrl}`)
+    this.robots = await RobotsTxt.fetch(this.baseUrl)
+    this.results.robots.url = robotsUrl
+    this.results.robots.status = this.robots.status
+    this.results.robots.sitemaps = this.robots.getSitemaps()
+  }
+
+  /**
+   * The robots.txt rule that keeps Googlebot from a URL on baseUrl's host, as
+   * text (e.g. "Disallow: /admin"), or null when it may be crawled. URLs on
+   * other hosts fall under their own robots.txt and aren't checked.
+   */
+  getBlockingRule(url) {
+    let host
+    try {
+      host = new URL(url).host
+    } catch {
+      return null
+    }
+    if (host !== new URL(this.baseUrl).host || this.robots.isAllowed(url, 'Googlebot')) return null
+
+    const rule = this.robots.getMatchingRule(url, 'Googlebot')
+    return this.robots.disallowAll ? `robots.txt unavailable (${this.robots.status})` : `Disallow: ${rule.pattern}`
+  }
+
+  /**
+   * Compare robots.txt Sitemap: lines with the sitemap index: it should be
+   * declared, and every declared sitemap should be reachable from it
+   */
+  checkRobotsSitemaps(mainSitemapUrl) {
+    const robots = this.results.robots
+    const declared = robots.sitemaps.map(url => {
+      try {
+        return { url, key: rebaseUrl(url, this.baseUrl) }
+      } catch {
+        return { url, key: url }
+      }
+    })
+
+    robots.declaresIndex = declared.some(({ key }) => key === rebaseUrl(mainSitemapUrl, this.baseUrl))
+    robots.unreachableSitemaps = declared
+      .filter(({ key }) => !this.reachableSitemaps.has(key))
+      .map(({ url }) => url)
+  }
+
+  /**
+   * Fetch a page and compare its lastmod with the page's own dates, and its
+   * ETag with the previous run's
+   */
+  async checkPageLastmod(url, lastmod, sitemapUrl) {
+    const outcome = await withRetry(() => this.scheduler.schedule(url, () => fetch(url, {
+      headers: { 'User-Agent': 'GoodParty-Sitemap-Validator/1.0' },
+      timeout: 10000
+    })), this.retryOptions)
+    if (outcome.error) return
+
+    const { response } = outcome
+    const isHtml = (response.headers.get('content-type') || '').includes('html')
+    if (!response.ok || !isHtml) {
+      response.body.resume()
+      if (!response.ok) return
+    }
+    const fetchedAt = new Date()
+    const html = isHtml ? await response.text() : ''
+    const etag = response.headers.get('etag')
+
+    const comparison = comparePageDates(lastmod, { lastModified: response.headers.get('last-modified'), html, fetchedAt })
+    this.results.lastmodPages[comparison.verdict]++
+    if (comparison.verdict === 'older' || comparison.verdict === 'newer') {
+      this.results.lastmodIssues.push({
+        issue: `${comparison.verdict}-than-page`,
+        url,
+        sitemap: sitemapUrl,
+        lastmod,
+        observed: comparison.observed,
+        detail: comparison.detail
+      })
+    }
+
+    const etagIssue = compareEtag(this.previousPages.get(url), { lastmod, etag })
+    if (etagIssue) {
+      this.results.lastmodIssues.push({ ...etagIssue, url, sitemap: sitemapUrl, lastmod, observed: etag })
+    }
+    if (etag) {
+      this.currentPages.set(url, { lastmod: lastmod ?? '', etag })
+    }
+  }
+
+  /**
+   * Coverage of the status checks and estimated non-200 / 404 rates with
+   * confidence intervals
+   */
+  summarizeCoverage() {
+    const checks = this.results.urlChecks
+    const strata = (key) => checks.map(check => ({ population: check.population, checked: check.checked, count: check[key] }))
+    const { confidence } = this.sampling
+
+    this.results.coverage = {
+      ...this.sampling,
+      sitemaps: checks.length,
+      totalUrls: checks.reduce((total, { total: count }) => total + count, 0),
+      checkedUrls: checks.reduce((total, { checked }) => total + checked, 0),
+      non200: estimateRate(strata('non200'), { confidence }),
+      notFound: estimateRate(strata('notFound'), { confidence }),
+    }
+    return this.results.coverage
+  }
+
+  /**
+   * Check if URL matches suspicious patterns from the SEO report
+   */
+  isSuspiciousUrl(url) {
+    return matchUrlRules(url, this.suspiciousUrlRules).length > 0
+  }
+
+  /**
+   * Get reason why URL is suspicious: the first rule it matches
    */
   getSuspiciousReason(url) {
-    if (url.includes('-(joint)')) return 'Malformed position name'
-    if (url.includes('//')) return 'Double slashes in path'
-    if (url.includes(' ') || url.includes('%20')) return 'Contains spaces'
-    return 'Unknown pattern'
+    const [match] = matchUrlRules(url, this.suspiciousUrlRules)
+    return match ? match.message : 'Unknown pattern'
   }
 
   /**
    * Check URL status
+   * @returns {Promise<{status: number|'error', finalStatus: number|null}>} the URL's own status and the end of its redirect chain
    */
   async checkUrlStatus(url) {
-    try {
-      const response = await fetch(url, {
+    let attempts = 0
+    let transient = true
+    const trace = await traceRedirects(url, async (hopUrl) => {
+      const outcome = await withRetry(() => this.scheduler.schedule(hopUrl, () => fetch(hopUrl, {
         method: 'HEAD',
         headers: { 'User-Agent': 'GoodParty-Sitemap-Validator/1.0' },
         timeout: 10000,
         redirect: 'manual'
-      })
-
-      const status = response.status
-      
-      // Track by status
-      this.results.urlsByStatus[status] = (this.results.urlsByStatus[status] || 0) + 1
+      })), this.retryOptions)
 
-      if (status === 404) {
-        this.results.urlsWith404s.push(url)
-      } else if (status >= 300 && status < 400) {
-        this.results.urlsWithRedirects.push({
-          url,
-          status,
-          location: response.headers.get('location')
-        })
+      if (outcome.attempts > 1) {
+        attempts = Math.max(attempts, outcome.attempts)
+        transient = transient && Boolean(outcome.response) &&
+          !DEFAULT_RETRY_OPTIONS.retryStatuses.includes(outcome.response.status)
       }
-    } catch (error) {
+      if (outcome.error) throw outcome.error
+      return outcome.response
+    })
+
+    // Keep transient failures (recovered on retry) apart from persistent ones
+    if (attempts > 1) {
+      this.results.retriedUrls.push({ url, attempts, status: trace.finalStatus ?? 'error', transient })
+    }
+
+    if (trace.hops.length === 0 && !trace.response) {
       // Network error
       this.results.urlsByStatus['error'] = (this.results.urlsByStatus['error'] || 0) + 1
+      return { status: 'error', finalStatus: null }
+    }
+
+    // Track by the status of the URL itself
+    const status = trace.hops.length > 0 ? trace.hops[0].status : trace.finalStatus
+    this.results.urlsByStatus[status] = (this.results.urlsByStatus[status] || 0) + 1
+
+    if (trace.finalStatus === 404) {
+      this.results.urlsWith404s.push(url)
     }
+    if (trace.hops.length > 0) {
+      this.results.urlsWithRedirects.push({
+        url,
+        status,
+        location: trace.hops[0].to,
+        finalUrl: trace.finalUrl,
+        finalStatus: trace.finalStatus,
+        hops: trace.hops,
+        flags: trace.flags
+      })
+    }
+
+    return { status, finalStatus: trace.finalStatus }
+  }
+
+  /**
+   * Read a sitemap response body, gunzipping .xml.gz sitemaps, and record
+   * Content-Type / content mismatches
+   */
+  async readSitemapBody(url, response) {
+    const decoded = decodeSitemap(Buffer.from(await response.arrayBuffer()), {
+      source: url,
+      contentType: response.headers.get('content-type')
+    })
+    decoded.warnings.forEach(warning => this.results.contentWarnings.push({ url, warning }))
+    return decoded
   }
 
   /**
@@ -248,15 +578,19 @@ class SitemapHealthCheck {
    */
   async fetchAndParseSitemap(url) {
     try {
-      const response = await fetch(url, {
+      const response = await this.scheduler.schedule(url, () => fetch(url, {
         headers: { 'User-Agent': 'GoodParty-Sitemap-Validator/1.0' }
-      })
+      }))
       
       if (!response.ok) {
         return null
       }
 
-      const content = await response.text()
+      const { content, error } = await this.readSitemapBody(url, response)
+      if (error) {
+        console.error(`Error reading ${url}: ${error}`)
+        return null
+      }
       return this.parser.parse(content)
     } catch (error) {
       console.error(`Error fetching ${url}:`, error.message)
@@ -275,9 +609,15 @@ class SitemapHealthCheck {
     for (const sitemap of sitemaps) {
       const loc = sitemap.loc?.['#text'] || sitemap.loc
       if (loc) {
+        this.reachableSitemaps.add(rebaseUrl(loc, this.baseUrl))
         const parsed = await this.fetchAndParseSitemap(loc)
         if (parsed && parsed.urlset) {
-          await this.processUrlset(loc, parsed.urlset)
+          const entries = await this.processUrlset(loc, parsed.urlset)
+          const lastmod = sitemap.lastmod?.['#text'] ?? sitemap.lastmod
+          const issue = this.checkLastmod && checkIndexLastmod(lastmod, entries)
+          if (issue) {
+            this.results.lastmodIssues.push({ ...issue, sitemap: loc })
+          }
         }
       }
     }
@@ -285,6 +625,7 @@ class SitemapHealthCheck {
 
   /**
    * Process URL set
+   * @returns {Array<{loc: string, lastmod?: string}>} its entries
    */
   async processUrlset(sitemapUrl, urlset) {
     const urls = Array.isArray(urlset.url)
@@ -293,18 +634,20 @@ class SitemapHealthCheck {
 
     console.log(`Processing ${urls.length} URLs from ${sitemapUrl}`)
     
+    const entries = []
     for (const url of urls) {
       const loc = url.loc?.['#text'] || url.loc
       if (loc) {
         this.results.totalUrls++
-        
-        // Check for duplicates
-        if (this.results.duplicateUrls.has(loc)) {
-          console.log(`Duplicate URL found: ${loc}`)
-        }
         this.results.duplicateUrls.add(loc)
+        this.urlIndex.add(loc, sitemapUrl)
+        const lastmod = url.lastmod?.['#text'] ?? url.lastmod
+        entries.push({ loc, lastmod: lastmod === undefined ? undefined : String(lastmod) })
       }
     }
+
+    this.checkSitemapEntries(sitemapUrl, entries)
+    return entries
   }
 
   /**
@@ -317,6 +660,15 @@ class SitemapHealthCheck {
     console.log(`  Total URLs found: ${this.results.totalUrls}`)
     console.log(`  Unique URLs: ${this.results.duplicateUrls.size}`)
     console.log(`  Duplicate URLs: ${this.results.totalUrls - this.results.duplicateUrls.size}`)
+
+    const { urlAnalysis } = this.results
+    if (urlAnalysis && (urlAnalysis.crossSitemapDuplicates + urlAnalysis.nearDuplicateGroups + urlAnalysis.foreignHosts) > 0) {
+      console.log('\nCross-Sitemap URL Issues:')
+      console.log(`  URLs in more than one sitemap: ${urlAnalysis.crossSitemapDuplicates}`)
+      console.log(`  Near-duplicate groups (trailing slash / case / encoding): ${urlAnalysis.nearDuplicateGroups}`)
+      console.log(`  URLs on another host: ${urlAnalysis.foreignHosts}`)
+      console.log('  Run analyzeSitemapUrls.js for the full list as CSV')
+    }
     
     console.log('\nBroken Sitemaps:')
     if (this.results.brokenSitemaps.length === 0) {
@@ -328,6 +680,33 @@ class SitemapHealthCheck {
       })
     }
     
+    if (this.results.stateSitemapMismatches.length > 0) {
+      console.log('\nState Sitemaps: Index vs Config Mismatches:')
+      this.results.stateSitemapMismatches.forEach((mismatch) => {
+        console.log(`  ${formatMismatch(mismatch)}`)
+      })
+    }
+
+    const { robots } = this.results
+    if (robots.url) {
+      console.log('\nrobots.txt:')
+      console.log(`  ${robots.url}: ${robots.status === 'error' ? 'unreachable' : `HTTP ${robots.status}`}` +
+        (this.robots?.disallowAll ? ' (Google treats this as "crawl nothing")' : ''))
+      console.log(`  Declares the sitemap index: ${robots.declaresIndex ? 'yes' : 'no'}` +
+        (robots.sitemaps.length > 0 ? ` (${robots.sitemaps.length} Sitemap: lines)` : ''))
+      robots.unreachableSitemaps.forEach(url => console.log(`  Declared but not reachable from the index: ${url}`))
+      robots.blockedSitemaps.forEach(({ url, rule }) => console.log(`  Sitemap blocked for Googlebot (${rule}): ${url}`))
+      console.log(`  Sitemap URLs blocked for Googlebot: ${robots.blockedUrls.length}`)
+      robots.blockedUrls.slice(0, 5).forEach(({ url, rule }) => console.log(`    ${url} (${rule})`))
+    }
+
+    if (this.results.contentWarnings.length > 0) {
+      console.log('\nSitemap Content Warnings:')
+      this.results.contentWarnings.forEach(({ url, warning }) => {
+        console.log(`  ${url}: ${warning}`)
+      })
+    }
+
     console.log('\nEmpty Sitemaps:')
     if (this.results.emptySitemaps.length === 0) {
       console.log('  None found')
@@ -341,20 +720,77 @@ class SitemapHealthCheck {
     if (this.results.suspiciousUrls.length === 0) {
       console.log('  None found')
     } else {
-      const byReason = {}
-      this.results.suspiciousUrls.forEach(({ url, reason }) => {
-        byReason[reason] = (byReason[reason] || 0) + 1
-      })
-      Object.entries(byReason).forEach(([reason, count]) => {
-        console.log(`  ${reason}: ${count} URLs`)
-      })
+      // A URL counts once per rule it matches
+      for (const { id, severity, message } of this.suspiciousUrlRules) {
+        const count = this.results.suspiciousRuleCounts[id]
+        if (count) console.log(`  [${severity}] ${id}: ${count} URLs (${message})`)
+      }
     }
     
-    console.log('\nURL Status Summary (from samples):')
+    const { coverage } = this.results
+    if (coverage) {
+      const percent = (value) => `${(value * 100).toFixed(1)}%`
+      const estimate = (label, value) => {
+        if (!value) return
+        const interval = value.low === value.high ? 'exact' : `${Number((coverage.confidence * 100).toFixed(1))}% CI ${percent(value.low)}–${percent(value.high)}`
+        console.log(`  ${label}: ${percent(value.rate)} (${interval})`)
+      }
+      const scope = coverage.strategy === 'changed' ? ' of rechecked URLs' : ''
+
+      console.log(`\nURL Status Checks (strategy: ${coverage.strategy}${['sample', 'stratified'].includes(coverage.strategy) ? `, seed: ${coverage.seed}` : ''}):`)
+      console.log(`  Coverage: ${coverage.checkedUrls} of ${coverage.totalUrls} URLs checked` +
+        ` (${coverage.totalUrls > 0 ? percent(coverage.checkedUrls / coverage.totalUrls) : 'n/a'}) in ${coverage.sitemaps} sitemaps`)
+      estimate(`Estimated non-200 rate${scope}`, coverage.non200)
+      estimate(`Estimated 404 rate${scope}`, coverage.notFound)
+      if (coverage.strategy === 'sample' && !this.sampling.sampleRate) {
+        console.log(`  Note: ${this.sampling.sampleSize} URLs per sitemap is a smoke test; at error rates of a few percent the interval` +
+          ' is wider than the rate. Use --strategy stratified for a sample sized from --confidence and --margin.')
+      }
+    }
+
+    console.log('\nURL Status Summary (checked URLs):')
     Object.entries(this.results.urlsByStatus).forEach(([status, count]) => {
       console.log(`  ${status}: ${count}`)
     })
+
+    const flaggedRedirects = this.results.urlsWithRedirects.filter(({ flags }) => flags.length > 0)
+    if (flaggedRedirects.length > 0) {
+      console.log('\nProblem Redirect Chains:')
+      flaggedRedirects.forEach(({ url, hops, flags }) => {
+        console.log(`  ${url} [${flags.join(', ')}]`)
+        console.log(`    ${formatChain(hops)}`)
+      })
+    }
     
+    if (this.checkLastmod) {
+      const { agrees, older, newer, unverifiable } = this.results.lastmodPages
+      const compared = agrees + older + newer
+      const byIssue = {}
+      this.results.lastmodIssues.forEach(({ issue }) => {
+        byIssue[issue] = (byIssue[issue] || 0) + 1
+      })
+
+      console.log('\nLastmod Reliability:')
+      console.log(`  Pages compared with their own dates: ${compared} (${unverifiable} without a usable date)`)
+      if (compared > 0) {
+        console.log(`  lastmod agrees with the page: ${agrees} (${((agrees / compared) * 100).toFixed(1)}%), older: ${older}, newer: ${newer}`)
+      }
+      Object.entries(byIssue).forEach(([issue, count]) => {
+        console.log(`  ${issue}: ${count}`)
+        this.results.lastmodIssues
+          .filter(finding => finding.issue === issue)
+          .slice(0, 3)
+          .forEach(({ url, sitemap, lastmod, detail }) => console.log(`    ${url || sitemap} (lastmod ${lastmod}): ${detail}`))
+      })
+    }
+
+    if (this.results.retriedUrls.length > 0) {
+      const recovered = this.results.retriedUrls.filter(({ transient }) => transient)
+      console.log('\nRetried URLs:')
+      console.log(`  Recovered after retry (transient): ${recovered.length}`)
+      console.log(`  Still failing after ${this.retryOptions.retries + 1} attempts (persistent): ${this.results.retriedUrls.length - recovered.length}`)
+    }
+
     console.log('\nRecommendations:')
     if (this.results.brokenSitemaps.length > 0) {
       console.log('  1. Fix broken sitemaps immediately')
@@ -371,14 +807,67 @@ class SitemapHealthCheck {
     if (this.results.urlsWithRedirects.length > 0) {
       console.log('  5. Update redirected URLs to their final destinations')
     }
+    if (this.results.stateSitemapMismatches.length > 0) {
+      console.log('  6. Reconcile the state list in sitemapDiscovery.js with the sitemap index')
+    }
+    if (this.results.lastmodIssues.length > 0) {
+      console.log('  7. Make lastmod track real content changes; Google ignores lastmod it can\'t trust')
+    }
+    if (robots.url && !robots.declaresIndex) {
+      console.log('  8. Declare the sitemap index in robots.txt (Sitemap: line)')
+    }
+    if (robots.blockedUrls.length > 0 || robots.blockedSitemaps.length > 0) {
+      console.log('  9. Remove robots.txt-blocked URLs from the sitemaps, or allow them in robots.txt')
+    }
+    if (robots.unreachableSitemaps.length > 0) {
+      console.log('  10. Link the sitemaps declared in robots.txt from the index, or drop their Sitemap: lines')
+    }
   }
 }
 
 // Run the health check when executed directly
 const __filename = fileURLToPath(import.meta.url)
 if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
-  const healthCheck = new SitemapHealthCheck()
-  healthCheck.runFullCheck()
+  const args = process.argv.slice(2)
+  const options = {}
+  let baseUrl
+  let urlRulesFile = null
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--strategy') options.strategy = args[++i]
+    else if (args[i] === '--sample-size') options.sampleSize = Number(args[++i])
+    else if (args[i] === '--sample-rate') options.sampleRate = Number(args[++i])
+    else if (args[i] === '--seed') options.seed = args[++i]
+    else if (args[i] === '--confidence') options.confidence = Number(args[++i])
+    else if (args[i] === '--margin') options.marginOfError = Number(args[++i])
+    else if (args[i] === '--state-file') options.stateFile = args[++i]
+    else if (args[i] === '--check-lastmod') options.checkLastmod = true
+    else if (args[i] === '--lastmod-state-file') options.lastmodStateFile = args[++i]
+    else if (args[i] === '--url-rules') urlRulesFile = args[++i]
+    else if (args[i] === '--help') {
+      console.log('Usage: node sitemapHealthCheck.js [baseUrl] [--strategy sample|stratified|full|changed]')
+      console.log('         [--sample-size 10] [--sample-rate 0.1] [--seed s] [--confidence 0.95] [--margin 0.05]')
+      console.log('         [--state-file f] [--check-lastmod] [--lastmod-state-file f] [--url-rules rules.json]')
+      console.log('\nThe default sample (10 URLs per sitemap) is a smoke test: at error rates of a few percent its')
+      console.log('confidence interval is wider than the rate itself. For a rate you can act on, use')
+      console.log('--strategy stratified, which sizes each sitemap\'s sample from --confidence and --margin.')
+      process.exit(0)
+    }
+    else baseUrl = args[i]
+  }
+
+  // Rejected before any URL is checked
+  try {
+    checkConfidence(options.confidence ?? DEFAULT_SAMPLING_OPTIONS.confidence)
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+
+  Promise.resolve(urlRulesFile && loadUrlRules(urlRulesFile))
+    .then((rules) => {
+      if (rules) options.suspiciousUrlRules = rules
+      return new SitemapHealthCheck(baseUrl, options).runFullCheck()
+    })
     .then(() => console.log('\nHealth check complete!'))
     .catch((error) => {
       console.error('Health check failed:', error)
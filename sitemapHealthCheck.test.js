@@ -0,0 +1,44 @@
+// sitemapHealthCheck.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SitemapHealthCheck } from './sitemapHealthCheck.js'
+import { RobotsTxt } from './robotsTxt.js'
+
+function healthCheck(robots) {
+  const check = new SitemapHealthCheck('https://goodparty.org')
+  check.robots = robots
+  return check
+}
+
+test('getBlockingRule names the Disallow rule that blocks Googlebot', () => {
+  const check = healthCheck(new RobotsTxt('User-agent: *\nDisallow: /admin\n\nUser-agent: Googlebot\nDisallow: /candidates/draft\n'))
+  assert.equal(check.getBlockingRule('https://goodparty.org/candidates/draft/a'), 'Disallow: /candidates/draft')
+  // Googlebot has its own group, so the * group doesn't apply
+  assert.equal(check.getBlockingRule('https://goodparty.org/admin'), null)
+  assert.equal(check.getBlockingRule('https://goodparty.org/candidates/jane'), null)
+})
+
+test('getBlockingRule skips other hosts and unparseable URLs', () => {
+  const check = healthCheck(new RobotsTxt('User-agent: *\nDisallow: /\n'))
+  assert.equal(check.getBlockingRule('https://example.org/anything'), null)
+  assert.equal(check.getBlockingRule('not a url'), null)
+  assert.equal(check.getBlockingRule('https://goodparty.org/anything'), 'Disallow: /')
+})
+
+test('getBlockingRule reports an unreachable robots.txt', () => {
+  const robots = new RobotsTxt('', { disallowAll: true })
+  robots.status = 503
+  assert.equal(healthCheck(robots).getBlockingRule('https://goodparty.org/'), 'robots.txt unavailable (503)')
+})
+
+test('suspicious URL reasons come from the first matching rule', () => {
+  const check = new SitemapHealthCheck('https://goodparty.org')
+  assert.equal(check.isSuspiciousUrl('https://goodparty.org/elections/ak'), false)
+  assert.equal(check.getSuspiciousReason('https://goodparty.org/a%20b'), 'Contains spaces')
+  assert.equal(check.getSuspiciousReason('https://goodparty.org/a//b'), 'Double slashes in path')
+})
+
+test('unsupported confidence levels are rejected up front', () => {
+  assert.throws(() => new SitemapHealthCheck('https://goodparty.org', { confidence: 0.97 }), /Unsupported confidence 0\.97/)
+})
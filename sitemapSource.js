@@ -0,0 +1,266 @@
+// sitemapSource.js
+// Streams <url> entries out of a sitemap or sitemap index, read from a URL or
+// from a local .xml / .xml.gz file
+
+import fs from 'fs/promises'
+import { createReadStream } from 'fs'
+import zlib from 'zlib'
+import { Readable, pipeline } from 'stream'
+import fetch from 'node-fetch'
+import { XMLParser } from 'fast-xml-parser'
+import { getDefaultScheduler } from './requestScheduler.js'
+
+const MAX_UNCOMPRESSED_SIZE = 50 * 1024 * 1024 // 50MB, per the sitemap protocol
+
+const XML_CONTENT_TYPES = ['application/xml', 'text/xml']
+const GZIP_CONTENT_TYPES = ['application/gzip', 'application/x-gzip', 'application/octet-stream']
+
+// First element of a document, after the XML declaration, comments and doctype
+const ROOT_ELEMENT = /<(?![?!])(?:[\w.-]+:)?([\w.-]+)/
+const PEEK_LIMIT = 64 * 1024
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+})
+
+/**
+ * Check whether a source is a URL rather than a local path
+ */
+function isUrl(source) {
+  return source.startsWith('http://') || source.startsWith('https://')
+}
+
+function isGzip(buffer) {
+  return buffer[0] === 0x1f && buffer[1] === 0x8b
+}
+
+/**
+ * Turn a sitemap body into text, gunzipping it when it starts with the gzip
+ * magic bytes whatever its name or Content-Type says. Decompression stops at
+ * `maxSize` bytes, the protocol's limit on the uncompressed size.
+ * Warns when the Content-Type (for URLs) or the .gz extension disagrees with
+ * the content.
+ *
+ * @returns {{content: string|null, compressed: boolean, compressedSize: number|null,
+ *   warnings: Array<string>, error?: string}}
+ */
+function decodeSitemap(buffer, { source = '', contentType = null, maxSize = MAX_UNCOMPRESSED_SIZE } = {}) {
+  const compressed = isGzip(buffer)
+  const warnings = contentWarnings(compressed, { source, contentType })
+
+  if (!compressed) {
+    return { content: buffer.toString('utf8'), compressed, compressedSize: null, warnings }
+  }
+
+  try {
+    // One byte over the limit is enough to know the limit is exceeded
+    const content = zlib.gunzipSync(buffer, { maxOutputLength: maxSize + 1 }).toString('utf8')
+    return { content, compressed, compressedSize: buffer.length, warnings }
+  } catch (error) {
+    const message = error.code === 'ERR_BUFFER_TOO_LARGE'
+      ? `Uncompressed size exceeds ${(maxSize / 1024 / 1024).toFixed(0)}MB limit`
+      : `Failed to decompress gzip content: ${error.message}`
+    return { content: null, compressed, compressedSize: buffer.length, warnings, error: message }
+  }
+}
+
+/**
+ * Warnings for a Content-Type (for URLs) or .gz name that disagrees with
+ * whether the content is gzip-compressed
+ */
+function contentWarnings(compressed, { source = '', contentType = null } = {}) {
+  const warnings = []
+  const mediaType = contentType ? contentType.split(';')[0].trim().toLowerCase() : null
+  const pathname = isUrl(source) ? new URL(source).pathname : source
+
+  if (mediaType) {
+    if (compressed && !GZIP_CONTENT_TYPES.includes(mediaType)) {
+      warnings.push(`Content-Type is ${mediaType} but the content is gzip-compressed`)
+    } else if (!compressed && GZIP_CONTENT_TYPES.includes(mediaType)) {
+      warnings.push(`Content-Type is ${mediaType} but the content is not gzip-compressed`)
+    } else if (!compressed && !XML_CONTENT_TYPES.includes(mediaType)) {
+      warnings.push(`Content-Type is ${mediaType}, expected ${XML_CONTENT_TYPES.join(' or ')}`)
+    }
+  }
+  if (pathname.endsWith('.gz') && !compressed) {
+    warnings.push('Name ends in .gz but the content is not gzip-compressed')
+  }
+  return warnings
+}
+
+/**
+ * Streaming counterpart of decodeSitemap: looks at the first chunk of
+ * `readable` and returns a stream of the (gunzipped, if needed) content
+ *
+ * @returns {Promise<{stream: Readable, compressed: boolean}>}
+ */
+async function openSitemapStream(readable) {
+  const iterator = readable[Symbol.asyncIterator]()
+  const first = await iterator.next()
+
+  const chunks = async function* () {
+    if (!first.done) yield first.value
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value
+    }
+  }
+  const stream = Readable.from(chunks(), { objectMode: false })
+
+  if (first.done || !isGzip(first.value)) {
+    return { stream, compressed: false }
+  }
+  const gunzip = zlib.createGunzip()
+  // Read errors are passed on to the gunzip stream by pipeline
+  pipeline(stream, gunzip, () => {})
+  return { stream: gunzip, compressed: true }
+}
+
+/**
+ * Name of the root element of a sitemap URL or file ('sitemapindex', 'urlset'),
+ * read from the start of the (gunzipped) body; the rest is never downloaded.
+ * Null when the first PEEK_LIMIT characters hold no element.
+ */
+async function peekRootElement(source) {
+  const controller = new AbortController()
+  let readable
+  if (isUrl(source)) {
+    const response = await getDefaultScheduler().schedule(source, () => fetch(source, {
+      headers: { 'User-Agent': 'GoodParty-Sitemap-Validator/1.0' },
+      timeout: 30000,
+      signal: controller.signal
+    }))
+
+    if (!response.ok) {
+      controller.abort()
+      throw new Error(`HTTP ${response.status} fetching ${source}`)
+    }
+    readable = response.body
+  } else {
+    readable = createReadStream(source)
+  }
+
+  const { stream } = await openSitemapStream(readable)
+  let head = ''
+  try {
+    for await (const chunk of stream) {
+      head += chunk.toString('utf8')
+      const match = head.match(ROOT_ELEMENT)
+      if (match) return match[1]
+      if (head.length > PEEK_LIMIT) break
+    }
+    return null
+  } finally {
+    // Stop the download (or file read) there
+    stream.destroy()
+    readable.destroy()
+    controller.abort()
+  }
+}
+
+/**
+ * Read a sitemap from a URL or file, gunzipping it if it is compressed
+ */
+async function loadSitemap(source) {
+  let buffer
+  let contentType = null
+  if (isUrl(source)) {
+    const response = await getDefaultScheduler().schedule(source, () => fetch(source, {
+      headers: { 'User-Agent': 'GoodParty-Sitemap-Validator/1.0' },
+      timeout: 30000
+    }))
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} fetching ${source}`)
+    }
+    buffer = Buffer.from(await response.arrayBuffer())
+    contentType = response.headers.get('content-type')
+  } else {
+    buffer = await fs.readFile(source)
+  }
+
+  const { content, error } = decodeSitemap(buffer, { source, contentType })
+  if (error) {
+    throw new Error(`${error} (${source})`)
+  }
+  return content
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : (value ? [value] : [])
+}
+
+function textOf(value) {
+  const text = value?.['#text'] ?? value
+  return text === undefined || text === null ? undefined : String(text).trim()
+}
+
+/**
+ * Move a URL onto another origin, keeping its path and query
+ */
+function rebaseUrl(loc, origin) {
+  const { pathname, search } = new URL(loc, origin)
+  return new URL(pathname + search, origin).href
+}
+
+/**
+ * Yield every <url> entry reachable from a sitemap or sitemap index as
+ * { loc, lastmod, changefreq, priority, sitemap }. Child sitemaps that fail to
+ * load are logged (or passed to onError) and skipped; a failure on the
+ * top-level source throws.
+ *
+ * Options:
+ *   rebase    - origin to load child sitemaps from, whatever host the index lists
+ *               (e.g. a preview deployment whose index points at production)
+ *   onSitemap - called with each <urlset> sitemap and its URL count, so
+ *               empty sitemaps are seen too
+ *   onError   - called with each child sitemap that fails to load and its error,
+ *               instead of logging it
+ */
+async function* streamSitemapEntries(source, { maxDepth = 3, depth = 0, rebase, onSitemap, onError } = {}) {
+  const parsed = parser.parse(await loadSitemap(source))
+
+  if (parsed.sitemapindex) {
+    if (depth >= maxDepth) {
+      console.error(`Skipping ${source}: sitemap index nesting deeper than ${maxDepth}`)
+      return
+    }
+
+    for (const sitemap of asArray(parsed.sitemapindex.sitemap)) {
+      const listed = textOf(sitemap.loc)
+      if (!listed) continue
+      const loc = rebase ? rebaseUrl(listed, rebase) : listed
+
+      try {
+        yield* streamSitemapEntries(loc, { maxDepth, depth: depth + 1, rebase, onSitemap, onError })
+      } catch (error) {
+        if (onError) {
+          onError(loc, error)
+        } else {
+          console.error(`Error reading sitemap ${loc}:`, error.message)
+        }
+      }
+    }
+  } else if (parsed.urlset) {
+    const urls = asArray(parsed.urlset.url)
+    onSitemap?.(source, urls.length)
+
+    for (const url of urls) {
+      const loc = textOf(url.loc)
+      if (!loc) continue
+
+      yield {
+        loc,
+        lastmod: textOf(url.lastmod),
+        changefreq: textOf(url.changefreq),
+        priority: textOf(url.priority),
+        sitemap: source
+      }
+    }
+  } else {
+    throw new Error(`${source} is not a <urlset> or <sitemapindex>`)
+  }
+}
+
+export { streamSitemapEntries, loadSitemap, peekRootElement, decodeSitemap, contentWarnings, openSitemapStream, isUrl, rebaseUrl, MAX_UNCOMPRESSED_SIZE }
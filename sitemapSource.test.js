@@ -0,0 +1,72 @@
+// sitemapSource.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+import { Readable } from 'stream'
+import { decodeSitemap, openSitemapStream, streamSitemapEntries } from './sitemapSource.js'
+
+const xml = '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://a.org/a</loc></url></urlset>'
+const gzipped = zlib.gzipSync(xml)
+
+test('gzip content is decoded whatever its name or Content-Type', () => {
+  const decoded = decodeSitemap(gzipped, { source: 'https://a.org/sitemap.xml', contentType: 'application/gzip' })
+  assert.equal(decoded.content, xml)
+  assert.equal(decoded.compressed, true)
+  assert.equal(decoded.compressedSize, gzipped.length)
+  assert.deepEqual(decoded.warnings, [])
+
+  const plain = decodeSitemap(Buffer.from(xml), { source: 'https://a.org/sitemap.xml', contentType: 'text/xml; charset=utf-8' })
+  assert.deepEqual({ content: plain.content, compressed: plain.compressed, warnings: plain.warnings }, { content: xml, compressed: false, warnings: [] })
+})
+
+test('names and Content-Types that disagree with the content are warned about', () => {
+  assert.deepEqual(decodeSitemap(gzipped, { source: 'https://a.org/sitemap.xml', contentType: 'text/xml' }).warnings,
+    ['Content-Type is text/xml but the content is gzip-compressed'])
+  assert.deepEqual(decodeSitemap(Buffer.from(xml), { source: 'https://a.org/sitemap.xml.gz', contentType: 'application/x-gzip' }).warnings, [
+    'Content-Type is application/x-gzip but the content is not gzip-compressed',
+    'Name ends in .gz but the content is not gzip-compressed'
+  ])
+  assert.deepEqual(decodeSitemap(Buffer.from(xml), { source: 'https://a.org/sitemap.xml', contentType: 'text/html' }).warnings,
+    ['Content-Type is text/html, expected application/xml or text/xml'])
+})
+
+test('decompression stops at maxSize, and corrupt gzip is an error', () => {
+  const tooBig = decodeSitemap(gzipped, { maxSize: 10 })
+  assert.equal(tooBig.content, null)
+  assert.equal(tooBig.error, 'Uncompressed size exceeds 0MB limit')
+
+  const corrupt = decodeSitemap(gzipped.subarray(0, 20))
+  assert.equal(corrupt.content, null)
+  assert.match(corrupt.error, /^Failed to decompress gzip content: /)
+})
+
+test('openSitemapStream gunzips compressed streams and passes plain ones through', async () => {
+  const read = async (stream) => {
+    let text = ''
+    for await (const chunk of stream) text += chunk
+    return text
+  }
+
+  const compressed = await openSitemapStream(Readable.from([gzipped.subarray(0, 5), gzipped.subarray(5)]))
+  assert.equal(compressed.compressed, true)
+  assert.equal(await read(compressed.stream), xml)
+
+  const plain = await openSitemapStream(Readable.from([Buffer.from(xml)]))
+  assert.equal(plain.compressed, false)
+  assert.equal(await read(plain.stream), xml)
+})
+
+test('streamSitemapEntries reads a local .xml.gz file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'sitemap.xml.gz')
+  fs.writeFileSync(file, gzipped)
+
+  const entries = []
+  for await (const { loc } of streamSitemapEntries(file)) entries.push(loc)
+  assert.deepEqual(entries, ['https://a.org/a'])
+})
@@ -0,0 +1,179 @@
+// soft404.js
+// Heuristics for "soft 404s": pages that answer 200 but render a not-found
+// template or have none of the content their URL promises
+
+import { getTitles, getElementTexts } from './htmlMeta.js'
+
+// Raw-HTML markers of an error template. Next.js embeds the page it rendered,
+// so a 200 that rendered /404 or /_error is easy to spot.
+const ERROR_TEMPLATE_MARKERS = [
+  { name: 'next-404-page', pattern: /"page"\s*:\s*"\/(404|_error)"/ },
+  { name: 'next-not-found', pattern: /NEXT_NOT_FOUND|NEXT_HTTP_ERROR_FALLBACK;404/ },
+  { name: 'next-error-heading', pattern: /class="next-error-h1"|This page could not be found/i },
+  { name: 'error-page-class', pattern: /<(body|main|div)\b[^>]*\bclass="[^"]*\b(error-page|not-found|page-404|error-404)\b/i }
+]
+
+// Wording of a not-found page, checked against the <title> and <h1>
+const NOT_FOUND_TEXT = /\b(not found|404|(does not|doesn't) exist|no longer (exists|available)|(could not|couldn't|can't|cannot) be found)\b/i
+
+// Body-size outliers: pages smaller than this share of their route family's
+// median size, in families with at least this many pages
+const DEFAULT_SIZE_RATIO = 0.35
+const DEFAULT_MIN_FAMILY_PAGES = 20
+
+/**
+ * Words of the slug that names a page's subject: the candidate slug on candidate
+ * pages, the last segment (position / county / state) on election pages
+ */
+function subjectWords(url, family) {
+  let segments
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean).map(decodeURIComponent)
+  } catch {
+    return []
+  }
+  let slug = ''
+  if (family === 'candidates') slug = segments[1] || ''
+  else if (family === 'elections') slug = segments[segments.length - 1] || ''
+  return slug.toLowerCase().split(/[-_]+/).filter(word => word.length >= 3 && !/^\d+$/.test(word))
+}
+
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} kB` : `${bytes} B`
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Soft-404 signals that can be read off one page
+ *
+ * @param {string} html
+ * @param {Object} page
+ * @param {string} page.url
+ * @param {string} [page.family] - route family, e.g. 'candidates'
+ * @param {Array<{name: string, pattern: RegExp}>} [page.markers]
+ * @returns {Array<{signal: string, detail: string}>}
+ */
+function pageSignals(html, { url, family = '', markers = ERROR_TEMPLATE_MARKERS }) {
+  const signals = []
+
+  const marker = markers.find(({ pattern }) => pattern.test(html))
+  if (marker) signals.push({ signal: 'error-template', detail: marker.name })
+
+  const title = getTitles(html)[0] || ''
+  const headings = getElementTexts(html, 'h1')
+  if (NOT_FOUND_TEXT.test(title)) {
+    signals.push({ signal: 'not-found-title', detail: title })
+  } else {
+    const heading = headings.find(text => NOT_FOUND_TEXT.test(text))
+    if (heading) signals.push({ signal: 'not-found-heading', detail: heading })
+  }
+
+  // A candidate / election page should name its candidate / office somewhere in the title or H1
+  const words = subjectWords(url, family)
+  if (words.length > 0) {
+    const text = fold([title, ...headings].join(' '))
+    const found = words.filter(word => text.includes(fold(word)))
+    if (found.length < Math.ceil(words.length / 2)) {
+      signals.push({
+        signal: 'no-subject-content',
+        detail: `title / H1 don't mention "${words.join(' ')}"`
+      })
+    }
+  }
+
+  return signals
+}
+
+class Soft404Detector {
+  /**
+   * @param {Object} [options]
+   * @param {Array<{name: string, pattern: RegExp}>} [options.markers] - error-template markers
+   * @param {number} [options.sizeRatio] - flag pages smaller than this share of the family median
+   * @param {number} [options.minFamilyPages] - families with fewer pages get no size check
+   */
+  constructor({ markers = ERROR_TEMPLATE_MARKERS, sizeRatio = DEFAULT_SIZE_RATIO, minFamilyPages = DEFAULT_MIN_FAMILY_PAGES } = {}) {
+    this.markers = markers
+    this.sizeRatio = sizeRatio
+    this.minFamilyPages = minFamilyPages
+    this.flagged = new Map() // url -> { url, family, attempts, signals }
+    this.sizes = new Map()   // route family -> [[url, bytes, attempts]]
+  }
+
+  /**
+   * Check one 200 page. `family` is the size-comparison group (e.g. 'elections/positions'),
+   * `attempts` is carried through to the result. Returns the signals found so far;
+   * size outliers are only known once every page is in (see finish()).
+   */
+  check(url, { html, family = '', attempts = 1 }) {
+    const signals = pageSignals(html, { url, family: family.split('/')[0], markers: this.markers })
+    if (signals.length > 0) this.flagged.set(url, { url, family, attempts, signals })
+
+    if (!this.sizes.has(family)) this.sizes.set(family, [])
+    this.sizes.get(family).push([url, Buffer.byteLength(html), attempts])
+    return signals
+  }
+
+  /**
+   * Every soft 404, with body-size outliers added per route family
+   * @returns {Array<{url, family, attempts, signals: Array<{signal, detail}>}>}
+   */
+  finish() {
+    const flagged = new Map([...this.flagged].map(([url, entry]) => [url, { ...entry, signals: [...entry.signals] }]))
+
+    for (const [family, pages] of this.sizes) {
+      if (pages.length < this.minFamilyPages) continue
+      const typical = median(pages.map(([, bytes]) => bytes))
+      for (const [url, bytes, attempts] of pages) {
+        if (bytes >= typical * this.sizeRatio) continue
+        if (!flagged.has(url)) flagged.set(url, { url, family, attempts, signals: [] })
+        flagged.get(url).signals.push({
+          signal: 'small-body',
+          detail: `${formatSize(bytes)} vs ${formatSize(typical)} median for ${family || 'its family'}`
+        })
+      }
+    }
+    return [...flagged.values()]
+  }
+
+  /**
+   * State for the audit checkpoint, restored with Soft404Detector.fromSnapshot
+   */
+  toSnapshot() {
+    return { flagged: [...this.flagged.values()], sizes: [...this.sizes] }
+  }
+
+  static fromSnapshot(snapshot, options) {
+    const detector = new Soft404Detector(options)
+    if (snapshot) {
+      detector.flagged = new Map(snapshot.flagged.map(entry => [entry.url, entry]))
+      detector.sizes = new Map(snapshot.sizes)
+    }
+    return detector
+  }
+}
+
+/**
+ * One-line summary of a soft 404's signals for the audit CSV
+ */
+function formatSignals(signals) {
+  return signals.map(({ signal, detail }) => detail ? `${signal} (${detail})` : signal).join('; ')
+}
+
+export {
+  Soft404Detector,
+  pageSignals,
+  formatSignals,
+  ERROR_TEMPLATE_MARKERS,
+  NOT_FOUND_TEXT,
+  DEFAULT_SIZE_RATIO,
+  DEFAULT_MIN_FAMILY_PAGES
+}
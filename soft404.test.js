@@ -0,0 +1,56 @@
+// soft404.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { pageSignals, Soft404Detector, formatSignals } from './soft404.js'
+
+const page = (title, h1, body = '') => `<html><head><title>${title}</title></head><body><h1>${h1}</h1>${body}</body></html>`
+const signals = (html, options) => pageSignals(html, options).map(({ signal }) => signal)
+
+test('a page about its subject has no signals', () => {
+  const html = page('Jane Doe for Mayor', 'Jane Doe')
+  assert.deepEqual(signals(html, { url: 'https://goodparty.org/candidate/jane-doe/austin/mayor', family: 'candidates' }), [])
+})
+
+test('error template markers', () => {
+  const html = page('GoodParty', 'GoodParty', '<script>{"page":"/404"}</script>')
+  const [signal] = pageSignals(html, { url: 'https://goodparty.org/about' })
+  assert.deepEqual(signal, { signal: 'error-template', detail: 'next-404-page' })
+})
+
+test('not-found wording in the title wins over the heading', () => {
+  assert.deepEqual(signals(page('Page not found', 'Not found'), { url: 'https://goodparty.org/about' }), ['not-found-title'])
+  assert.deepEqual(signals(page('GoodParty', "This page doesn't exist"), { url: 'https://goodparty.org/about' }), ['not-found-heading'])
+})
+
+test('a candidate page that never names its candidate', () => {
+  const html = page('GoodParty', 'Find candidates')
+  assert.deepEqual(signals(html, { url: 'https://goodparty.org/candidate/bob-ray/travis-county/mayor', family: 'candidates' }), ['no-subject-content'])
+})
+
+test('subject words match without accents', () => {
+  const html = page('José Núñez', 'José Núñez')
+  assert.deepEqual(signals(html, { url: 'https://goodparty.org/candidate/jose-nunez/x/y', family: 'candidates' }), [])
+})
+
+test('finish adds small-body outliers per family', () => {
+  const detector = new Soft404Detector({ minFamilyPages: 3 })
+  const big = page('Mayor', 'Mayor', 'x'.repeat(5000))
+  for (let i = 0; i < 3; i++) detector.check(`https://goodparty.org/blog/p${i}`, { html: big, family: 'blog' })
+  detector.check('https://goodparty.org/blog/tiny', { html: page('Tiny', 'Tiny'), family: 'blog' })
+
+  const flagged = detector.finish()
+  assert.deepEqual(flagged.map(({ url }) => url), ['https://goodparty.org/blog/tiny'])
+  assert.equal(flagged[0].signals[0].signal, 'small-body')
+})
+
+test('families smaller than minFamilyPages get no size check', () => {
+  const detector = new Soft404Detector()
+  detector.check('https://goodparty.org/blog/a', { html: page('A', 'A', 'x'.repeat(5000)), family: 'blog' })
+  detector.check('https://goodparty.org/blog/b', { html: page('B', 'B'), family: 'blog' })
+  assert.deepEqual(detector.finish(), [])
+})
+
+test('formatSignals', () => {
+  assert.equal(formatSignals([{ signal: 'a', detail: 'x' }, { signal: 'b', detail: '' }]), 'a (x); b')
+})
@@ -0,0 +1,245 @@
+// urlRules.js
+// Declarative URL pattern rules, shared by the health check's suspicious-URL
+// flags, the validator (--check-urls / --url-rules) and the 404 clustering in
+// cluster404s.js. Extra rules, overrides and disabled rules come from a JSON or
+// JS config file (see loadUrlRules).
+
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+const SEVERITIES = ['error', 'warning', 'info']
+
+// Parts of the URL a `pattern` can be matched against
+const TARGETS = {
+  url: (url) => url,
+  path: (url, { parsed }) => parsed && parsed.pathname,
+  query: (url, { parsed }) => parsed && parsed.search.slice(1),
+  slug: (url, { parsed }) => parsed && parsed.pathname.split('/').filter(Boolean).pop()
+}
+
+// Longer than this is unwieldy for people and for some crawlers (the protocol limit is 2048)
+const MAX_URL_LENGTH = 255
+
+/**
+ * Validate rule definitions and turn them into { id, severity, message, test }.
+ * A definition is { id, severity, message } plus either `pattern` (a RegExp, or
+ * a string with optional `flags`, matched against `target`: 'url', 'path',
+ * 'query' or 'slug') or `test(url, context)`, which returns true or a string
+ * with details. `context.parsed` is the parsed URL (null when unparseable);
+ * callers can add more, e.g. cluster404s.js adds the route `tokens`.
+ * Throws on a rule without an id, with an unknown severity or target, or with
+ * neither a pattern nor a test.
+ */
+function compileRules(definitions) {
+  return definitions.map((definition) => {
+    const { id, severity = 'warning', message = id, pattern, flags, target = 'url', test } = definition
+    if (!id) throw new Error(`URL rule without an id: ${JSON.stringify(definition)}`)
+    if (!SEVERITIES.includes(severity)) throw new Error(`URL rule ${id}: severity must be one of ${SEVERITIES.join(', ')}`)
+    if (!TARGETS[target]) throw new Error(`URL rule ${id}: target must be one of ${Object.keys(TARGETS).join(', ')}`)
+
+    if (typeof test === 'function') return { id, severity, message, test }
+    if (pattern === undefined) throw new Error(`URL rule ${id}: needs a pattern or a test function`)
+
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, flags)
+    const select = TARGETS[target]
+    return {
+      id,
+      severity,
+      message,
+      test: (url, context) => {
+        const value = select(url, context)
+        return typeof value === 'string' && regex.test(value)
+      }
+    }
+  })
+}
+
+// Built-in rules for sitemap URLs: patterns from the SEO report, then general URL hygiene
+const SUSPICIOUS_URL_RULES = compileRules([
+  {
+    id: 'joint-position',
+    severity: 'error',
+    message: 'Malformed position name',
+    pattern: /\/elections\/position\/.*-\(joint\)/
+  },
+  {
+    id: 'double-slash',
+    severity: 'error',
+    message: 'Double slashes in path',
+    pattern: /\/\//,
+    target: 'path'
+  },
+  {
+    id: 'spaces',
+    severity: 'error',
+    message: 'Contains spaces',
+    pattern: / |%20/
+  },
+  {
+    id: 'unencoded-characters',
+    severity: 'error',
+    message: 'Characters that must be percent-encoded',
+    // Spaces are left to the `spaces` rule
+    test: (url) => {
+      const characters = [...new Set(url.match(/[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=% ]|%(?![0-9A-Fa-f]{2})/g) || [])]
+      return characters.length > 0 && `unencoded ${characters.map(character => JSON.stringify(character)).join(' ')}`
+    }
+  },
+  {
+    id: 'fragment',
+    severity: 'error',
+    message: 'Contains a #fragment, which crawlers drop',
+    pattern: /#/
+  },
+  {
+    id: 'uppercase-path',
+    severity: 'warning',
+    message: 'Uppercase letters in the path',
+    // Not the hex digits of percent-escapes
+    test: (url, { parsed }) => parsed !== null && /[A-Z]/.test(parsed.pathname.replace(/%[0-9A-F]{2}/gi, ''))
+  },
+  {
+    id: 'trailing-slash',
+    severity: 'warning',
+    message: 'Trailing slash',
+    pattern: /.\/$/,
+    target: 'path'
+  },
+  {
+    id: 'non-ascii-slug',
+    severity: 'warning',
+    message: 'Non-ASCII characters in the path',
+    test: (url, { parsed }) => parsed !== null && /%[89A-F][0-9A-F]/i.test(parsed.pathname)
+  },
+  {
+    id: 'query-string',
+    severity: 'warning',
+    message: 'Query string in a sitemap URL',
+    pattern: /./,
+    target: 'query'
+  },
+  {
+    id: 'too-long',
+    severity: 'warning',
+    message: `Longer than ${MAX_URL_LENGTH} characters`,
+    test: (url) => url.length > MAX_URL_LENGTH && `${url.length} characters`
+  }
+])
+
+// Route segments expected after the family prefix; more means a slug with a '/' in it
+const MAX_SEGMENTS = {
+  'elections/positions': 4,   // state / county / place / position
+  'elections/counties': 2,    // state / place
+  candidates: 3               // name / place / position
+}
+
+// Patterns common among 404s, used to cluster them; some need cluster404s.js's context
+const NOT_FOUND_PATTERN_RULES = [
+  ...compileRules([
+    {
+      id: 'joint-suffix',
+      severity: 'info',
+      message: 'Position slug ends in -joint / -(joint)',
+      pattern: /-\(?joint\)?(\/|$)/i,
+      target: 'path'
+    },
+    {
+      id: 'extra-segments',
+      severity: 'info',
+      message: 'More path segments than the route has (a "/" inside a slug)',
+      test: (url, { tokens }) => {
+        const max = tokens && MAX_SEGMENTS[tokens.family]
+        return Boolean(max) && tokens.rest.length > max && `${tokens.rest.length} segments, expected at most ${max}`
+      }
+    },
+    {
+      id: 'trailing-number',
+      severity: 'info',
+      message: 'Slug ends in a district / seat number',
+      pattern: /-\d+$/,
+      target: 'slug'
+    },
+    {
+      id: 'county-spelling',
+      severity: 'info',
+      message: 'County slug spelled differently elsewhere',
+      test: (url, { tokens, spellingVariants }) => {
+        if (!tokens || !tokens.county || !spellingVariants) return false
+        const variants = spellingVariants(tokens.state, tokens.county)
+        return variants.length > 0 && `also spelled ${variants.join(', ')}`
+      }
+    }
+  ]),
+  ...SUSPICIOUS_URL_RULES
+]
+
+/**
+ * Combine built-in rules with a config: either an array of rules (added to the
+ * built-ins) or { extends: 'builtin' | 'none', disable: [ids], rules: [...] }.
+ * A config rule with a built-in's id replaces it; one with only an id and a
+ * severity / message changes just that.
+ */
+function resolveRuleConfig(config, builtins = SUSPICIOUS_URL_RULES) {
+  const { extends: base = 'builtin', disable = [], rules = [] } = Array.isArray(config) ? { rules: config } : config
+  if (base !== 'builtin' && base !== 'none') throw new Error(`URL rule config: extends must be "builtin" or "none", got ${base}`)
+
+  const byId = new Map((base === 'builtin' ? builtins : []).map(rule => [rule.id, rule]))
+  for (const rule of rules) {
+    const existing = byId.get(rule.id)
+    const overridesOnly = rule.pattern === undefined && rule.test === undefined
+    byId.set(rule.id, existing && overridesOnly ? { ...existing, ...rule } : rule)
+  }
+  disable.forEach(id => byId.delete(id))
+  return compileRules([...byId.values()])
+}
+
+/**
+ * Load rules from a .json config or a .js / .mjs module (default export, or a
+ * `rules` export), on top of the built-ins unless the config says otherwise
+ */
+async function loadUrlRules(file, builtins = SUSPICIOUS_URL_RULES) {
+  const resolved = path.resolve(file)
+  let config
+  if (/\.json$/i.test(resolved)) {
+    config = JSON.parse(fs.readFileSync(resolved, 'utf8'))
+  } else {
+    const module = await import(pathToFileURL(resolved).href)
+    config = module.default ?? { rules: module.rules }
+  }
+  return resolveRuleConfig(config, builtins)
+}
+
+/**
+ * Every rule a URL matches, in rule order (`rules` as returned by compileRules)
+ * @returns {Array<{id: string, severity: string, message: string, detail: string}>}
+ */
+function matchUrlRules(url, rules, context = {}) {
+  let parsed = null
+  try {
+    parsed = new URL(url)
+  } catch {
+    // Rules that need a parsed URL don't match
+  }
+
+  const matches = []
+  for (const { id, severity, message, test } of rules) {
+    const result = test(url, { parsed, ...context })
+    if (result) {
+      matches.push({ id, severity, message, detail: typeof result === 'string' ? result : '' })
+    }
+  }
+  return matches
+}
+
+export {
+  SUSPICIOUS_URL_RULES,
+  NOT_FOUND_PATTERN_RULES,
+  MAX_SEGMENTS,
+  MAX_URL_LENGTH,
+  SEVERITIES,
+  compileRules,
+  resolveRuleConfig,
+  loadUrlRules,
+  matchUrlRules
+}
@@ -0,0 +1,84 @@
+// urlRules.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SUSPICIOUS_URL_RULES, compileRules, resolveRuleConfig, matchUrlRules } from './urlRules.js'
+
+const ids = (url, rules = SUSPICIOUS_URL_RULES) => matchUrlRules(url, rules).map(({ id }) => id)
+
+test('clean URLs match no built-in rule', () => {
+  assert.deepEqual(ids('https://goodparty.org/elections/ak'), [])
+  assert.deepEqual(ids('https://goodparty.org/'), [])
+})
+
+test('built-in rules', () => {
+  assert.deepEqual(ids('https://goodparty.org/a//b'), ['double-slash'])
+  assert.deepEqual(ids('https://goodparty.org/a%20b'), ['spaces'])
+  assert.deepEqual(ids('https://goodparty.org/a#top'), ['fragment'])
+  assert.deepEqual(ids('https://goodparty.org/Elections/ak'), ['uppercase-path'])
+  assert.deepEqual(ids('https://goodparty.org/elections/'), ['trailing-slash'])
+  assert.deepEqual(ids('https://goodparty.org/a?b=1'), ['query-string'])
+  assert.deepEqual(ids(`https://goodparty.org/${'a'.repeat(300)}`), ['too-long'])
+  assert.deepEqual(ids('https://goodparty.org/elections/position/ak/x/mayor-(joint)'), ['joint-position'])
+})
+
+test('percent-escapes are not uppercase letters, but mark non-ASCII slugs', () => {
+  assert.deepEqual(ids('https://goodparty.org/caf%C3%A9'), ['non-ascii-slug'])
+})
+
+test('unencoded characters and stray % signs carry their details', () => {
+  assert.deepEqual(matchUrlRules('https://goodparty.org/a%zz', SUSPICIOUS_URL_RULES), [{
+    id: 'unencoded-characters',
+    severity: 'error',
+    message: 'Characters that must be percent-encoded',
+    detail: 'unencoded "%"'
+  }])
+})
+
+test('a space is reported once, by the spaces rule', () => {
+  assert.deepEqual(ids('https://goodparty.org/a b'), ['spaces'])
+  assert.deepEqual(matchUrlRules('https://goodparty.org/a b<c', SUSPICIOUS_URL_RULES).map(({ id, detail }) => [id, detail]),
+    [['spaces', ''], ['unencoded-characters', 'unencoded "<"']])
+})
+
+test('matches come back in rule order, so the first one is the reason', () => {
+  assert.deepEqual(ids('https://goodparty.org/A/'), ['uppercase-path', 'trailing-slash'])
+})
+
+test('compileRules accepts pattern strings with flags and a target', () => {
+  const rules = compileRules([{ id: 'staging', severity: 'error', message: 'Staging', pattern: '^STAGING\\.', flags: 'i', target: 'url' }])
+  assert.equal(rules[0].test('https://goodparty.org/', { parsed: new URL('https://goodparty.org/') }), false)
+  assert.deepEqual(ids('https://x.org/', compileRules([{ id: 'slug', pattern: '^x$', target: 'slug' }])), [])
+  assert.deepEqual(ids('https://x.org/a/x', compileRules([{ id: 'slug', pattern: '^x$', target: 'slug' }])), ['slug'])
+})
+
+test('compileRules rejects invalid definitions', () => {
+  assert.throws(() => compileRules([{ severity: 'error', pattern: 'a' }]), /without an id/)
+  assert.throws(() => compileRules([{ id: 'a', severity: 'fatal', pattern: 'a' }]), /severity/)
+  assert.throws(() => compileRules([{ id: 'a', pattern: 'a', target: 'host' }]), /target/)
+  assert.throws(() => compileRules([{ id: 'a' }]), /pattern or a test/)
+})
+
+test('resolveRuleConfig overrides, disables and adds rules', () => {
+  const rules = resolveRuleConfig({
+    disable: ['trailing-slash'],
+    rules: [
+      { id: 'query-string', severity: 'error' },
+      { id: 'staging', severity: 'error', message: 'Points at staging', pattern: '^https://staging\\.' }
+    ]
+  })
+  const url = 'https://staging.goodparty.org/a/?b=1'
+  assert.deepEqual(matchUrlRules(url, rules).map(({ id, severity }) => `${id}:${severity}`), ['query-string:error', 'staging:error'])
+})
+
+test('resolveRuleConfig takes a bare array, and extends: none drops the built-ins', () => {
+  assert.equal(resolveRuleConfig([{ id: 'x', pattern: 'x' }]).length, SUSPICIOUS_URL_RULES.length + 1)
+  assert.deepEqual(resolveRuleConfig({ extends: 'none', rules: [{ id: 'x', pattern: 'x' }] }).map(({ id }) => id), ['x'])
+  assert.throws(() => resolveRuleConfig({ extends: 'other' }), /extends/)
+})
+
+test('test functions get the extra context', () => {
+  const rules = compileRules([{ id: 'ctx', test: (url, { tokens }) => tokens === 'yes' && 'from context' }])
+  assert.deepEqual(matchUrlRules('https://x.org/', rules, { tokens: 'yes' }).map(({ detail }) => detail), ['from context'])
+  assert.deepEqual(matchUrlRules('https://x.org/', rules), [])
+})
@@ -0,0 +1,143 @@
+// urlSampling.js
+// Chooses which sitemap URLs to status-check and estimates error rates
+// (with confidence intervals) from the URLs that were checked
+
+import crypto from 'crypto'
+
+const STRATEGIES = ['full', 'sample', 'stratified', 'changed']
+
+const DEFAULT_SAMPLING_OPTIONS = {
+  strategy: 'sample',
+  sampleSize: 10,           // URLs per sitemap checked by 'sample'
+  sampleRate: null,         // share of URLs checked by 'sample' instead of sampleSize (opt-in, e.g. 0.1)
+  seed: 'sitemap-health',   // same seed + same URLs = same sample
+  confidence: 0.95,
+  marginOfError: 0.05,      // target half-width per sitemap for 'stratified'
+}
+
+// Two-sided z scores for the supported confidence levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.98: 2.3263, 0.99: 2.5758, 0.999: 3.2905 }
+const CONFIDENCE_LEVELS = Object.keys(Z_SCORES).map(Number)
+
+/**
+ * Throw unless `confidence` is one of CONFIDENCE_LEVELS
+ */
+function checkConfidence(confidence) {
+  if (!Z_SCORES[confidence]) {
+    throw new Error(`Unsupported confidence ${confidence} (use one of ${CONFIDENCE_LEVELS.join(', ')})`)
+  }
+}
+
+function zScore(confidence) {
+  checkConfidence(confidence)
+  return Z_SCORES[confidence]
+}
+
+/**
+ * Deterministic value in [0, 1) for a URL under a seed
+ */
+function hashUnit(seed, url) {
+  return crypto.createHash('sha1').update(`${seed}\n${url}`).digest().readUInt32BE(0) / 2 ** 32
+}
+
+/**
+ * URLs to check per sitemap to estimate its error rate within `marginOfError`
+ * at `confidence`, assuming the worst case p = 0.5 and correcting for the
+ * sitemap's size
+ */
+function stratumSampleSize(population, { confidence, marginOfError }) {
+  if (population === 0) return 0
+  const z = zScore(confidence)
+  const n0 = (z * z * 0.25) / (marginOfError * marginOfError)
+  return Math.min(population, Math.ceil(n0 / (1 + (n0 - 1) / population)))
+}
+
+/**
+ * The `size` entries with the lowest seeded hash
+ */
+function lowestRanked(entries, seed, size) {
+  return entries
+    .map(entry => ({ entry, rank: hashUnit(seed, entry.loc) }))
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, size)
+    .map(({ entry }) => entry)
+}
+
+/**
+ * Pick the URLs of one sitemap to check.
+ *   full       - every URL
+ *   sample     - the `sampleSize` URLs with the lowest seeded hash, or, when
+ *                `sampleRate` is set, each URL with that probability
+ *   stratified - the `stratumSampleSize` URLs with the lowest seeded hash
+ *   changed    - URLs that are new or whose lastmod differs from `previous`
+ *                (a Map of url -> lastmod from the last run; everything when null)
+ *
+ * @param {Array<{loc: string, lastmod?: string}>} entries
+ * @returns {Array<{loc: string, lastmod?: string}>}
+ */
+function selectUrls(entries, options, previous = null) {
+  const { strategy, sampleSize, sampleRate, seed } = { ...DEFAULT_SAMPLING_OPTIONS, ...options }
+
+  switch (strategy) {
+    case 'full':
+      return entries
+    case 'sample':
+      if (sampleRate !== null && sampleRate !== undefined) {
+        return entries.filter(({ loc }) => hashUnit(seed, loc) < sampleRate)
+      }
+      return lowestRanked(entries, seed, sampleSize)
+    case 'stratified':
+      return lowestRanked(entries, seed, stratumSampleSize(entries.length, { ...DEFAULT_SAMPLING_OPTIONS, ...options }))
+    case 'changed':
+      if (!previous) return entries
+      return entries.filter(({ loc, lastmod }) => !previous.has(loc) || previous.get(loc) !== (lastmod ?? ''))
+    default:
+      throw new Error(`Unknown strategy: ${strategy} (expected ${STRATEGIES.join(', ')})`)
+  }
+}
+
+/**
+ * Estimate a rate over all strata from per-stratum counts, weighting each
+ * stratum by its population. The interval is a normal approximation with the
+ * Agresti-Coull adjustment (so zero counts in a sample still give a non-zero
+ * width) and the finite population correction (so a fully checked stratum
+ * contributes no uncertainty). Strata with no checked URLs are left out.
+ *
+ * @param {Array<{population: number, checked: number, count: number}>} strata
+ * @returns {{rate: number, low: number, high: number, population: number}|null}
+ */
+function estimateRate(strata, { confidence = DEFAULT_SAMPLING_OPTIONS.confidence } = {}) {
+  const observed = strata.filter(({ population, checked }) => population > 0 && checked > 0)
+  const population = observed.reduce((total, stratum) => total + stratum.population, 0)
+  if (population === 0) return null
+
+  let rate = 0
+  let variance = 0
+  for (const { population: size, checked, count } of observed) {
+    const weight = size / population
+    const adjusted = (count + 2) / (checked + 4)
+    const fpc = size > 1 ? (size - checked) / (size - 1) : 0
+    rate += weight * (count / checked)
+    variance += weight * weight * (adjusted * (1 - adjusted) / checked) * fpc
+  }
+
+  const halfWidth = zScore(confidence) * Math.sqrt(variance)
+  return {
+    rate,
+    low: Math.max(0, rate - halfWidth),
+    high: Math.min(1, rate + halfWidth),
+    population
+  }
+}
+
+export {
+  selectUrls,
+  stratumSampleSize,
+  estimateRate,
+  hashUnit,
+  zScore,
+  STRATEGIES,
+  checkConfidence,
+  CONFIDENCE_LEVELS,
+  DEFAULT_SAMPLING_OPTIONS
+}
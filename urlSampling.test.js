@@ -0,0 +1,62 @@
+// urlSampling.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { selectUrls, stratumSampleSize, estimateRate, zScore, checkConfidence, CONFIDENCE_LEVELS, DEFAULT_SAMPLING_OPTIONS } from './urlSampling.js'
+
+const entries = (count) => Array.from({ length: count }, (_, i) => ({ loc: `https://a.org/${i}` }))
+
+test('stratumSampleSize is the textbook size with the finite population correction', () => {
+  const options = { confidence: 0.95, marginOfError: 0.05 }
+  assert.equal(stratumSampleSize(0, options), 0)
+  assert.equal(stratumSampleSize(50, options), 45)
+  assert.equal(stratumSampleSize(1000, options), 278)
+  assert.equal(stratumSampleSize(1000000, options), 385)
+  assert.equal(stratumSampleSize(1000000, { confidence: 0.99, marginOfError: 0.03 }), 1840)
+})
+
+test('unsupported confidence levels throw', () => {
+  assert.equal(zScore(0.95), 1.96)
+  assert.throws(() => zScore(0.97), /Unsupported confidence/)
+  for (const confidence of CONFIDENCE_LEVELS) checkConfidence(confidence)
+  assert.throws(() => checkConfidence(NaN), /Unsupported confidence NaN \(use one of 0\.8, 0\.9, 0\.95, 0\.98, 0\.99, 0\.999\)/)
+})
+
+test('the default sample is a fixed number of URLs per sitemap', () => {
+  assert.equal(selectUrls(entries(5000), {}).length, DEFAULT_SAMPLING_OPTIONS.sampleSize)
+  assert.equal(selectUrls(entries(4), {}).length, 4)
+  assert.equal(selectUrls(entries(5000), { sampleSize: 25 }).length, 25)
+})
+
+test('samples are reproducible per seed', () => {
+  const urls = entries(1000)
+  assert.deepEqual(selectUrls(urls, { seed: 'a' }), selectUrls(urls, { seed: 'a' }))
+  assert.notDeepEqual(selectUrls(urls, { seed: 'a' }), selectUrls(urls, { seed: 'b' }))
+})
+
+test('sampleRate picks roughly that share', () => {
+  const picked = selectUrls(entries(10000), { sampleRate: 0.1 }).length
+  assert.ok(picked > 900 && picked < 1100, `picked ${picked}`)
+})
+
+test('stratified and changed strategies', () => {
+  assert.equal(selectUrls(entries(1000), { strategy: 'stratified' }).length, 278)
+  const previous = new Map([['https://a.org/0', '2024-01-01'], ['https://a.org/1', '']])
+  const changed = selectUrls([{ loc: 'https://a.org/0', lastmod: '2024-02-01' }, { loc: 'https://a.org/1' }, { loc: 'https://a.org/2' }], { strategy: 'changed' }, previous)
+  assert.deepEqual(changed.map(({ loc }) => loc), ['https://a.org/0', 'https://a.org/2'])
+  assert.throws(() => selectUrls([], { strategy: 'all' }), /Unknown strategy/)
+})
+
+test('estimateRate weights strata by size and is exact for fully checked strata', () => {
+  assert.equal(estimateRate([]), null)
+
+  const exact = estimateRate([{ population: 100, checked: 100, count: 10 }, { population: 300, checked: 300, count: 0 }])
+  assert.equal(exact.rate, 0.025)
+  assert.equal(exact.low, exact.rate)
+  assert.equal(exact.high, exact.rate)
+
+  const sampled = estimateRate([{ population: 10000, checked: 100, count: 5 }])
+  assert.equal(sampled.rate, 0.05)
+  assert.ok(sampled.low < 0.05 && sampled.high > 0.05)
+  assert.ok(sampled.low >= 0)
+})
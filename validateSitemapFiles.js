@@ -2,10 +2,19 @@
 // Run this script to validate actual generated sitemap XML files
 
 import fs from 'fs/promises'
+import { createReadStream } from 'fs'
+import crypto from 'crypto'
+import { StringDecoder } from 'string_decoder'
+import sax from 'sax'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { XMLParser, XMLValidator } from 'fast-xml-parser'
 import fetch from 'node-fetch'
+import { getDefaultScheduler } from './requestScheduler.js'
+import { discoverStateSitemaps, formatMismatch } from './sitemapDiscovery.js'
+import { decodeSitemap, contentWarnings, openSitemapStream } from './sitemapSource.js'
+import { ExtensionChecker, declaredNamespaces } from './sitemapExtensions.js'
+import { SUSPICIOUS_URL_RULES, matchUrlRules, loadUrlRules } from './urlRules.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -15,13 +24,84 @@ const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9'
 const VALID_CHANGEFREQ = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never']
 const MAX_URLS_PER_SITEMAP = 50000
 const MAX_SITEMAP_SIZE = 50 * 1024 * 1024 // 50MB
+const MAX_LOC_LENGTH = 2048
+
+// Rule IDs carried by errors in strict mode: the sitemap 0.9 XSD
+// (sitemap.xsd / siteindex.xsd) plus the protocol's size and count limits
+const SCHEMA_RULES = {
+  'SM-READ': 'The sitemap can be fetched or read and decoded',
+  'SM-XML': 'The document is well-formed XML',
+  'SM-ESCAPE': 'Ampersands in content are escaped as &amp;',
+  'SM-ROOT': 'The root element is <urlset> or <sitemapindex>',
+  'SM-NAMESPACE': `The root element's namespace is exactly ${SITEMAP_NAMESPACE}`,
+  'SM-ELEMENT': 'Only <url> / <sitemap> under the root, and only schema elements (or other namespaces) inside them',
+  'SM-ORDER': 'Children appear in schema order (loc, lastmod, changefreq, priority), before extension elements',
+  'SM-OCCURS': 'Each child appears at most once',
+  'SM-LOC': '<loc> is present and an absolute http(s) URL without spaces',
+  'SM-LOC-LENGTH': `<loc> is at most ${MAX_LOC_LENGTH} characters`,
+  'SM-LASTMOD': '<lastmod> is a W3C Datetime',
+  'SM-CHANGEFREQ': '<changefreq> is one of the allowed values',
+  'SM-PRIORITY': '<priority> is a decimal from 0.0 to 1.0',
+  'SM-COUNT': `Between 1 and ${MAX_URLS_PER_SITEMAP} entries`,
+  'SM-SIZE': 'At most 50MB uncompressed',
+  'EXT-NAMESPACE': 'Extension element prefixes are declared',
+  'EXT-HREFLANG': 'xhtml:link alternates have a valid hreflang and an absolute href',
+  'EXT-IMAGE': 'image:image has a valid image:loc, at most 1000 per URL',
+  'EXT-VIDEO': 'video:video has its required fields with valid values',
+  'EXT-NEWS': 'news:news has its required fields with valid values',
+  'URL-RULE': '<loc> passes the error-severity URL pattern rules (--check-urls / --url-rules)',
+}
+
+// URL pattern rules for --check-urls; SM-LOC already reports spaces
+const URL_RULES = SUSPICIOUS_URL_RULES.filter(({ id }) => id !== 'spaces')
+
+// Children of <url> / <sitemap> in schema order
+const URL_ELEMENTS = ['loc', 'lastmod', 'changefreq', 'priority']
+const SITEMAP_ELEMENTS = ['loc', 'lastmod']
+
+// A decimal as xsd:decimal writes it
+const DECIMAL_PATTERN = /^\+?(\d+(\.\d*)?|\.\d+)$/
+
+// "&" that doesn't start an entity or character reference
+const BARE_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/g
+
+/**
+ * Short fixed-size key for duplicate detection, however long the URL is
+ */
+function urlDigest(loc) {
+  return crypto.createHash('sha1').update(String(loc)).digest('base64').slice(0, 16)
+}
+
+/**
+ * Text of an XMLParser value, which is an object when the element has attributes
+ */
+function textOf(value) {
+  return value?.['#text'] ?? value
+}
+
+// Progress output goes to stdout, or to stderr when stdout carries --format json / junit
+let log = console.log
 
 class SitemapValidator {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.stream] - validate with the streaming (SAX) parser instead of parsing the whole document
+   * @param {boolean} [options.strict] - enforce the sitemap XSD (exact namespace, element order, no unexpected
+   *   elements; invalid values are errors, not warnings) and prefix every error with its SCHEMA_RULES ID
+   * @param {Array} [options.urlRules] - compiled URL pattern rules (urlRules.js) to run on every <loc>;
+   *   matches of error-severity rules are errors, the rest warnings
+   */
+  constructor({ scheduler = getDefaultScheduler(), stream = false, strict = false, urlRules = null } = {}) {
+    this.scheduler = scheduler
+    this.stream = stream
+    this.strict = strict
+    this.urlRules = urlRules
     this.parser = new XMLParser({
       ignoreAttributes: false,
       attributeNamePrefix: '@_',
       textNodeName: '#text',
+      // Keep values as written, like the streaming parser does
+      parseTagValue: false,
     })
     this.errors = []
     this.warnings = []
@@ -31,15 +111,20 @@ class SitemapValidator {
    * Validate a sitemap file from disk
    */
   async validateFile(filePath) {
-    console.log(`\nValidating: ${filePath}`)
+    log(`\nValidating: ${filePath}`)
     this.errors = []
     this.warnings = []
+    this.childSitemaps = null
 
     try {
-      const content = await fs.readFile(filePath, 'utf8')
+      if (this.stream) {
+        return await this.validateStream(createReadStream(filePath), filePath)
+      }
+      const content = this.decodeBody(await fs.readFile(filePath), filePath)
+      if (content === null) return this.getResults()
       return this.validateContent(content, filePath)
     } catch (error) {
-      this.errors.push(`Failed to read file: ${error.message}`)
+      this.addError('SM-READ', `Failed to read file: ${error.message}`)
       return this.getResults()
     }
   }
@@ -47,39 +132,52 @@ class SitemapValidator {
   /**
    * Validate a sitemap from URL
    */
-  async validateUrl(url, options = { recursive: false, depth: 0, maxDepth: 3 }) {
+  async validateUrl(url, options = {}) {
+    options = { recursive: false, depth: 0, maxDepth: 3, ...options }
     const indent = '  '.repeat(options.depth || 0)
-    console.log(`${indent}\nValidating URL: ${url}`)
+    log(`${indent}\nValidating URL: ${url}`)
     this.errors = []
     this.warnings = []
+    this.childSitemaps = null
 
     try {
-      const response = await fetch(url)
+      const response = await this.scheduler.schedule(url, () => fetch(url))
       
       if (!response.ok) {
-        this.errors.push(`HTTP ${response.status}: ${response.statusText}`)
+        this.addError('SM-READ', `HTTP ${response.status}: ${response.statusText}`)
         return this.getResults()
       }
 
-      const content = await response.text()
-      const results = this.validateContent(content, url, options)
+      let results
+      if (this.stream) {
+        results = await this.validateStream(response.body, url, response.headers.get('content-type'))
+      } else {
+        const content = this.decodeBody(Buffer.from(await response.arrayBuffer()), url, response.headers.get('content-type'))
+        if (content === null) return this.getResults()
+        results = this.validateContent(content, url, options)
+      }
       
       // If recursive validation is enabled and this is a sitemap index
       if (options.recursive && results.childSitemaps && results.childSitemaps.length > 0 && options.depth < options.maxDepth) {
         results.childResults = {}
         
-        console.log(`${indent}  Found ${results.childSitemaps.length} child sitemaps`)
+        log(`${indent}  Found ${results.childSitemaps.length} child sitemaps`)
         
         // Limit the number of child sitemaps to process to avoid overwhelming the server
         const maxChildSitemaps = options.depth === 0 ? results.childSitemaps.length : 10
         const childSitemapsToProcess = results.childSitemaps.slice(0, maxChildSitemaps)
         
         if (childSitemapsToProcess.length < results.childSitemaps.length) {
-          console.log(`${indent}  Processing first ${maxChildSitemaps} child sitemaps...`)
+          log(`${indent}  Processing first ${maxChildSitemaps} child sitemaps...`)
         }
         
         for (const childUrl of childSitemapsToProcess) {
-          const childValidator = new SitemapValidator()
+          const childValidator = new SitemapValidator({
+            scheduler: this.scheduler,
+            stream: this.stream,
+            strict: this.strict,
+            urlRules: this.urlRules
+          })
           const childOptions = {
             ...options,
             depth: options.depth + 1
@@ -94,11 +192,33 @@ class SitemapValidator {
       
       return results
     } catch (error) {
-      this.errors.push(`Failed to fetch URL: ${error.message}`)
+      this.addError('SM-READ', `Failed to fetch URL: ${error.message}`)
       return this.getResults()
     }
   }
 
+  /**
+   * Decode a fetched or read sitemap body, gunzipping .xml.gz content.
+   * Returns null (with the error recorded) when it can't be decoded.
+   */
+  decodeBody(buffer, source, contentType = null) {
+    const { content, compressed, compressedSize, warnings, error } = decodeSitemap(buffer, {
+      source,
+      contentType,
+      maxSize: MAX_SITEMAP_SIZE
+    })
+    this.warnings.push(...warnings)
+
+    if (error) {
+      this.addError(/exceeds/.test(error) ? 'SM-SIZE' : 'SM-READ', error)
+      return null
+    }
+    if (compressed) {
+      log(`  Compressed: ${(compressedSize / 1024).toFixed(1)}KB gzip, ${(Buffer.byteLength(content, 'utf8') / 1024).toFixed(1)}KB uncompressed`)
+    }
+    return content
+  }
+
   /**
    * Validate sitemap content
    */
@@ -106,7 +226,17 @@ class SitemapValidator {
     // Check file size
     const sizeInBytes = Buffer.byteLength(content, 'utf8')
     if (sizeInBytes > MAX_SITEMAP_SIZE) {
-      this.errors.push(`File size (${(sizeInBytes / 1024 / 1024).toFixed(2)}MB) exceeds 50MB limit`)
+      this.addError('SM-SIZE', `Uncompressed size (${(sizeInBytes / 1024 / 1024).toFixed(2)}MB) exceeds 50MB limit`)
+    }
+
+    // Entities are decoded by the time <loc> values are parsed, so ampersands
+    // are checked on the raw content
+    const ampersands = this.findBareAmpersands(content)
+    if (ampersands.length > 0) {
+      ampersands.forEach(({ line, column, context }) => {
+        this.addError('SM-ESCAPE', `Unescaped ampersand (line ${line}, column ${column}): ${context}`)
+      })
+      return this.getResults()
     }
 
     // Validate XML structure
@@ -115,7 +245,7 @@ class SitemapValidator {
     })
 
     if (xmlValidation !== true) {
-      this.errors.push(`Invalid XML: ${JSON.stringify(xmlValidation)}`)
+      this.addError('SM-XML', `Invalid XML: ${JSON.stringify(xmlValidation)}`)
       return this.getResults()
     }
 
@@ -124,7 +254,7 @@ class SitemapValidator {
     try {
       parsed = this.parser.parse(content)
     } catch (error) {
-      this.errors.push(`XML parsing error: ${error.message}`)
+      this.addError('SM-XML', `XML parsing error: ${error.message}`)
       return this.getResults()
     }
 
@@ -134,7 +264,7 @@ class SitemapValidator {
     } else if (parsed.urlset) {
       return this.validateUrlset(parsed.urlset, source)
     } else {
-      this.errors.push('Root element must be either <urlset> or <sitemapindex>')
+      this.addError('SM-ROOT', 'Root element must be either <urlset> or <sitemapindex>')
       return this.getResults()
     }
   }
@@ -143,125 +273,414 @@ class SitemapValidator {
    * Validate sitemap index
    */
   validateSitemapIndex(sitemapindex, source) {
-    console.log('  Type: Sitemap Index')
+    log('  Type: Sitemap Index')
 
-    // Check namespace
-    if (!sitemapindex['@_xmlns'] || !sitemapindex['@_xmlns'].includes('sitemaps.org')) {
-      this.errors.push('Missing or invalid xmlns namespace')
-    }
+    this.checkNamespace(sitemapindex['@_xmlns'])
+    this.checkRootChildren(sitemapindex, 'sitemap')
 
     // Get sitemaps
     const sitemaps = Array.isArray(sitemapindex.sitemap) 
       ? sitemapindex.sitemap 
       : (sitemapindex.sitemap ? [sitemapindex.sitemap] : [])
 
-    console.log(`  Sitemaps: ${sitemaps.length}`)
+    log(`  Sitemaps: ${sitemaps.length}`)
 
     if (sitemaps.length === 0) {
-      this.warnings.push('Sitemap index contains no sitemaps')
+      this.addSchemaWarning('SM-COUNT', 'Sitemap index contains no sitemaps')
     }
 
-    // Validate each sitemap entry
-    sitemaps.forEach((sitemap, index) => {
-      if (!sitemap.loc) {
-        this.errors.push(`Sitemap ${index + 1}: Missing required <loc> element`)
-      } else if (!this.isValidUrl(sitemap.loc)) {
-        this.errors.push(`Sitemap ${index + 1}: Invalid URL: ${sitemap.loc}`)
-      }
+    if (sitemaps.length > MAX_URLS_PER_SITEMAP) {
+      this.addError('SM-COUNT', `Too many sitemaps (${sitemaps.length}). Maximum is ${MAX_URLS_PER_SITEMAP}`)
+    }
 
-      if (sitemap.lastmod && !this.isValidDate(sitemap.lastmod)) {
-        this.warnings.push(`Sitemap ${index + 1}: Invalid lastmod date: ${sitemap.lastmod}`)
-      }
-    })
+    // Validate each sitemap entry
+    this.childSitemaps = []
+    sitemaps.forEach((sitemap, index) => this.validateSitemapEntry(sitemap, `Sitemap ${index + 1}`))
 
     return this.getResults()
   }
 
+  /**
+   * Validate one <sitemap> entry of an index; `label` prefixes its messages
+   */
+  validateSitemapEntry(sitemap, label) {
+    if (this.strict) {
+      this.checkEntryStructure(sitemap, label, SITEMAP_ELEMENTS)
+    }
+
+    const loc = textOf(sitemap.loc)
+    if (!loc) {
+      this.addError('SM-LOC', `${label}: Missing required <loc> element`)
+    } else if (!this.isValidUrl(loc)) {
+      this.addError('SM-LOC', `${label}: Invalid URL: ${loc}`)
+    } else if (String(loc).length > MAX_LOC_LENGTH) {
+      this.addError('SM-LOC-LENGTH', `${label}: <loc> is ${String(loc).length} characters. Maximum is ${MAX_LOC_LENGTH}`)
+    } else {
+      this.childSitemaps.push(loc)
+    }
+
+    const lastmod = textOf(sitemap.lastmod)
+    if (lastmod && !this.isValidDate(lastmod)) {
+      this.addSchemaWarning('SM-LASTMOD', `${label}: Invalid lastmod date: ${lastmod}`)
+    }
+  }
+
   /**
    * Validate regular sitemap (urlset)
    */
   validateUrlset(urlset, source) {
-    console.log('  Type: URL Sitemap')
+    log('  Type: URL Sitemap')
 
-    // Check namespace
-    if (!urlset['@_xmlns'] || !urlset['@_xmlns'].includes('sitemaps.org')) {
-      this.errors.push('Missing or invalid xmlns namespace')
-    }
+    this.checkNamespace(urlset['@_xmlns'])
+    this.checkRootChildren(urlset, 'url')
 
     // Get URLs
     const urls = Array.isArray(urlset.url) 
       ? urlset.url 
       : (urlset.url ? [urlset.url] : [])
 
-    console.log(`  URLs: ${urls.length}`)
+    log(`  URLs: ${urls.length}`)
 
     if (urls.length === 0) {
-      this.warnings.push('Sitemap contains no URLs')
+      this.addSchemaWarning('SM-COUNT', 'Sitemap contains no URLs')
     }
 
     if (urls.length > MAX_URLS_PER_SITEMAP) {
-      this.errors.push(`Too many URLs (${urls.length}). Maximum is ${MAX_URLS_PER_SITEMAP}`)
+      this.addError('SM-COUNT', `Too many URLs (${urls.length}). Maximum is ${MAX_URLS_PER_SITEMAP}`)
     }
 
     // Track duplicate URLs
-    const urlSet = new Set()
+    const seen = new Set()
+    const extensions = new ExtensionChecker(declaredNamespaces(urlset), this)
 
     // Validate each URL entry
-    urls.forEach((url, index) => {
-      // Check required <loc>
-      if (!url.loc) {
-        this.errors.push(`URL ${index + 1}: Missing required <loc> element`)
-        return
-      }
+    urls.forEach((url, index) => this.validateUrlEntry(url, `URL ${index + 1}`, seen, extensions))
+    extensions.finish(loc => seen.has(urlDigest(loc)))
 
-      const loc = url.loc['#text'] || url.loc
+    return this.getResults()
+  }
 
-      // Validate URL format
-      if (!this.isValidUrl(loc)) {
-        this.errors.push(`URL ${index + 1}: Invalid URL format: ${loc}`)
+  /**
+   * Validate one <url> entry; `label` prefixes its messages. `url` has the
+   * XMLParser shape (values may be { '#text' } objects). `seen` holds digests of
+   * the locs so far, so duplicate detection costs the same per URL however long it is.
+   * `extensions` (an ExtensionChecker) checks image, video, news and hreflang children.
+   */
+  validateUrlEntry(url, label, seen, extensions) {
+    if (this.strict) {
+      this.checkEntryStructure(url, label, URL_ELEMENTS)
+    }
+
+    // Check required <loc>
+    if (!url.loc) {
+      this.addError('SM-LOC', `${label}: Missing required <loc> element`)
+      return
+    }
+
+    const loc = String(textOf(url.loc))
+
+    // Validate URL format
+    if (!this.isValidUrl(loc)) {
+      this.addError('SM-LOC', `${label}: Invalid URL format: ${loc}`)
+    }
+
+    if (loc.length > MAX_LOC_LENGTH) {
+      this.addError('SM-LOC-LENGTH', `${label}: <loc> is ${loc.length} characters. Maximum is ${MAX_LOC_LENGTH}`)
+    }
+
+    // Check for duplicates, up to the per-sitemap URL limit
+    const digest = urlDigest(loc)
+    if (seen.has(digest)) {
+      this.warnings.push(`${label}: Duplicate URL: ${loc}`)
+    } else if (seen.size < MAX_URLS_PER_SITEMAP) {
+      seen.add(digest)
+    }
+
+    // Validate optional fields
+    if (url.lastmod) {
+      const lastmod = textOf(url.lastmod)
+      if (!this.isValidDate(lastmod)) {
+        this.addSchemaWarning('SM-LASTMOD', `${label}: Invalid lastmod date: ${lastmod}`)
+      }
+    }
+
+    if (url.changefreq) {
+      const changefreq = textOf(url.changefreq)
+      if (!VALID_CHANGEFREQ.includes(changefreq)) {
+        this.addSchemaWarning('SM-CHANGEFREQ', `${label}: Invalid changefreq: ${changefreq}`)
       }
+    }
 
-      // Check for duplicates
-      if (urlSet.has(loc)) {
-        this.warnings.push(`URL ${index + 1}: Duplicate URL: ${loc}`)
+    if (url.priority !== undefined) {
+      const value = String(textOf(url.priority))
+      const priority = parseFloat(value)
+      if (isNaN(priority) || priority < 0 || priority > 1 || (this.strict && !DECIMAL_PATTERN.test(value))) {
+        this.addSchemaWarning('SM-PRIORITY', `${label}: Invalid priority: ${value}`)
       }
-      urlSet.add(loc)
+    }
 
-      // Validate optional fields
-      if (url.lastmod) {
-        const lastmod = url.lastmod['#text'] || url.lastmod
-        if (!this.isValidDate(lastmod)) {
-          this.warnings.push(`URL ${index + 1}: Invalid lastmod date: ${lastmod}`)
+    // Check for common issues
+    if (loc.includes(' ')) {
+      this.addError('SM-LOC', `${label}: Contains spaces (should be encoded): ${loc}`)
+    }
+    if (this.urlRules) {
+      for (const { id, severity, message, detail } of matchUrlRules(loc, this.urlRules)) {
+        const text = `${label}: ${message}${detail ? ` (${detail})` : ''} [${id}]: ${loc}`
+        if (severity === 'error') {
+          this.addError('URL-RULE', text)
+        } else {
+          this.warnings.push(text)
         }
       }
+    }
 
-      if (url.changefreq) {
-        const changefreq = url.changefreq['#text'] || url.changefreq
-        if (!VALID_CHANGEFREQ.includes(changefreq)) {
-          this.warnings.push(`URL ${index + 1}: Invalid changefreq: ${changefreq}`)
+    extensions?.checkUrl(url, label)
+  }
+
+  /**
+   * Validate a sitemap or sitemap index from a readable stream with a SAX
+   * parser. Each <url> / <sitemap> entry is checked as soon as it closes, with
+   * the same checks as validateUrlset / validateSitemapIndex, and messages
+   * carry the line and column of the entry's start tag.
+   */
+  async validateStream(readable, source, contentType = null) {
+    const { stream, compressed } = await openSitemapStream(readable)
+    this.warnings.push(...contentWarnings(compressed, { source, contentType }))
+
+    const parser = sax.parser(true, { position: true })
+    const decoder = new StringDecoder('utf8')
+    const seen = new Set()
+    let extensions = null
+    let root = null
+    let depth = 0
+    let entry = null
+    let nodes = [] // open elements of the current entry, outermost first
+    let count = 0
+    let stopped = false
+    let tagStart = null
+
+    const where = () => `line ${parser.line + 1}, column ${parser.column + 1}`
+
+    // The parser is just past "<name" plus one character when a tag starts
+    parser.onopentagstart = ({ name }) => {
+      tagStart = `line ${parser.line + 1}, column ${parser.column - name.length - 1}`
+    }
+
+    parser.onerror = (error) => {
+      if (stopped) return
+      const message = error.message.split('\n')[0]
+      if (/entity/i.test(message)) {
+        this.addError('SM-ESCAPE', `Unescaped ampersand or invalid entity (${where()})`)
+      } else {
+        this.addError('SM-XML', `Invalid XML: ${message} (${where()})`)
+      }
+      stopped = true
+    }
+
+    parser.onopentag = ({ name, attributes }) => {
+      if (stopped) return
+      depth++
+
+      if (depth === 1) {
+        root = name
+        if (root !== 'urlset' && root !== 'sitemapindex') {
+          this.addError('SM-ROOT', 'Root element must be either <urlset> or <sitemapindex>')
+          stopped = true
+          return
         }
+        log(root === 'urlset' ? '  Type: URL Sitemap' : '  Type: Sitemap Index')
+        if (root === 'sitemapindex') this.childSitemaps = []
+
+        this.checkNamespace(attributes.xmlns)
+        extensions = new ExtensionChecker(declaredNamespaces(attributes), this)
+      } else if (depth === 2 && name === (root === 'urlset' ? 'url' : 'sitemap')) {
+        entry = { position: tagStart }
+        nodes = [{ name, attributes: {}, children: {}, text: '' }]
+      } else if (depth === 2) {
+        if (this.strict) this.addError('SM-ELEMENT', `Unexpected element <${name}> in <${root}> (${tagStart})`)
+      } else if (entry) {
+        nodes.push({ name, attributes, children: {}, text: '' })
       }
+    }
+
+    parser.ontext = parser.oncdata = (text) => {
+      if (entry && !stopped) nodes[nodes.length - 1].text += text
+    }
 
-      if (url.priority) {
-        const priority = parseFloat(url.priority['#text'] || url.priority)
-        if (isNaN(priority) || priority < 0 || priority > 1) {
-          this.warnings.push(`URL ${index + 1}: Invalid priority: ${url.priority}`)
+    parser.onclosetag = () => {
+      if (stopped) return
+      if (depth > 2 && entry) {
+        // Fold the element into its parent in the XMLParser shape
+        const { name, attributes, children, text } = nodes.pop()
+        const value = Object.keys(attributes).length === 0 && Object.keys(children).length === 0
+          ? text.trim()
+          : {
+              ...Object.fromEntries(Object.entries(attributes).map(([key, attribute]) => [`@_${key}`, attribute])),
+              ...children,
+              ...(text.trim() ? { '#text': text.trim() } : {})
+            }
+        const parent = nodes[nodes.length - 1].children
+        parent[name] = name in parent ? [parent[name], value].flat() : value
+      } else if (depth === 2 && entry) {
+        count++
+        const { children, text } = nodes.pop()
+        const values = text.trim() ? { ...children, '#text': text.trim() } : children
+        if (root === 'urlset') {
+          this.validateUrlEntry(values, `URL ${count} (${entry.position})`, seen, extensions)
+        } else {
+          this.validateSitemapEntry(values, `Sitemap ${count} (${entry.position})`)
         }
+        entry = null
       }
+      depth--
+    }
 
-      // Check for common issues
-      if (loc.includes(' ')) {
-        this.errors.push(`URL ${index + 1}: Contains spaces (should be encoded): ${loc}`)
+    let size = 0
+    for await (const chunk of stream) {
+      size += chunk.length
+      if (size > MAX_SITEMAP_SIZE) {
+        this.addError('SM-SIZE', 'Uncompressed size exceeds 50MB limit')
+        stopped = true
       }
+      if (stopped) break
+      parser.write(decoder.write(chunk))
+    }
+    if (!stopped) {
+      parser.write(decoder.end())
+      parser.close()
+    }
+    if (!root && !stopped) {
+      this.addError('SM-XML', 'Invalid XML: empty document')
+    }
+    if (stopped || !root) {
+      return this.getResults()
+    }
 
-      if (loc.includes('&') && !loc.includes('&amp;')) {
-        this.errors.push(`URL ${index + 1}: Unescaped ampersand: ${loc}`)
+    if (root === 'urlset') {
+      log(`  URLs: ${count}`)
+      if (count === 0) this.addSchemaWarning('SM-COUNT', 'Sitemap contains no URLs')
+      if (count > MAX_URLS_PER_SITEMAP) {
+        this.addError('SM-COUNT', `Too many URLs (${count}). Maximum is ${MAX_URLS_PER_SITEMAP}`)
       }
-    })
+      extensions.finish(loc => seen.has(urlDigest(loc)))
+    } else {
+      log(`  Sitemaps: ${count}`)
+      if (count === 0) this.addSchemaWarning('SM-COUNT', 'Sitemap index contains no sitemaps')
+      if (count > MAX_URLS_PER_SITEMAP) {
+        this.addError('SM-COUNT', `Too many sitemaps (${count}). Maximum is ${MAX_URLS_PER_SITEMAP}`)
+      }
+    }
 
     return this.getResults()
   }
 
+  /**
+   * Record an error; in strict mode it starts with its SCHEMA_RULES ID
+   */
+  addError(rule, message) {
+    this.errors.push(this.strict ? `[${rule}] ${message}` : message)
+  }
+
+  /**
+   * Record a problem the schema forbids but crawlers tolerate: a warning
+   * normally, an error in strict mode
+   */
+  addSchemaWarning(rule, message) {
+    if (this.strict) {
+      this.addError(rule, message)
+    } else {
+      this.warnings.push(message)
+    }
+  }
+
+  /**
+   * Check the root element's default namespace; strict mode requires an exact match
+   */
+  checkNamespace(namespace) {
+    if (!namespace || !namespace.includes('sitemaps.org')) {
+      this.addError('SM-NAMESPACE', 'Missing or invalid xmlns namespace')
+    } else if (this.strict && namespace !== SITEMAP_NAMESPACE) {
+      this.addError('SM-NAMESPACE', `Namespace must be exactly ${SITEMAP_NAMESPACE}, got ${namespace}`)
+    }
+  }
+
+  /**
+   * Strict mode: the root may only contain `entryName` elements
+   */
+  checkRootChildren(root, entryName) {
+    if (!this.strict) return
+    for (const key of Object.keys(root)) {
+      if (key === '#text') {
+        this.addError('SM-ELEMENT', `Unexpected text in the root element: ${String(root[key]).slice(0, 80)}`)
+      } else if (!key.startsWith('@_') && key !== entryName) {
+        this.addError('SM-ELEMENT', `Unexpected element <${key}> in the root element`)
+      }
+    }
+  }
+
+  /**
+   * Strict mode: children of a <url> / <sitemap> entry must be the schema's
+   * `elements` in order, each at most once, followed by elements of other
+   * namespaces (prefixed). XMLParser keeps children in document order of first
+   * appearance, and groups repeats into arrays.
+   */
+  checkEntryStructure(entry, label, elements) {
+    let previous = null
+    let extension = null
+
+    for (const [key, value] of Object.entries(entry)) {
+      if (key.startsWith('@_')) continue
+      if (key === '#text') {
+        this.addError('SM-ELEMENT', `${label}: Unexpected text: ${String(value).slice(0, 80)}`)
+        continue
+      }
+      if (key.includes(':')) {
+        extension = extension || key
+        continue
+      }
+      if (!elements.includes(key)) {
+        this.addError('SM-ELEMENT', `${label}: Unexpected element <${key}>`)
+        continue
+      }
+
+      if (Array.isArray(value)) {
+        this.addError('SM-OCCURS', `${label}: <${key}> appears ${value.length} times. It is allowed once`)
+      }
+      if (extension) {
+        this.addError('SM-ORDER', `${label}: <${key}> must come before extension elements like <${extension}>`)
+      } else if (previous && elements.indexOf(key) < elements.indexOf(previous)) {
+        this.addError('SM-ORDER', `${label}: <${key}> must come before <${previous}>`)
+      }
+      if (!previous || elements.indexOf(key) > elements.indexOf(previous)) {
+        previous = key
+      }
+    }
+  }
+
+  /**
+   * Positions of "&" in raw content that don't start an entity reference
+   */
+  findBareAmpersands(content) {
+    const found = []
+    let line = 1
+    let lineStart = 0
+    let scanned = 0
+
+    for (const match of content.matchAll(BARE_AMPERSAND)) {
+      for (let i = content.indexOf('\n', scanned); i !== -1 && i < match.index; i = content.indexOf('\n', i + 1)) {
+        line++
+        lineStart = i + 1
+      }
+      scanned = match.index
+      found.push({
+        line,
+        column: match.index - lineStart + 1,
+        context: content.slice(Math.max(lineStart, match.index - 40), match.index + 40).split('\n')[0].trim()
+      })
+    }
+    return found
+  }
+
   /**
    * Validate URL format
    */
@@ -302,11 +721,16 @@ class SitemapValidator {
    * Get validation results
    */
   getResults() {
-    return {
+    const results = {
       valid: this.errors.length === 0,
       errors: this.errors,
       warnings: this.warnings,
     }
+    // Child sitemap URLs of an index, followed by validateUrl in recursive mode
+    if (this.childSitemaps) {
+      results.childSitemaps = this.childSitemaps
+    }
+    return results
   }
 
   /**
@@ -314,25 +738,25 @@ class SitemapValidator {
    */
   static printRecursiveResults(results, indent = '') {
     for (const [url, result] of Object.entries(results)) {
-      console.log(`${indent}${url}`)
+      log(`${indent}${url}`)
       
       if (result.valid) {
-        console.log(`${indent}  ✓ Valid`)
+        log(`${indent}  ✓ Valid`)
       } else {
-        console.log(`${indent}  ✗ Invalid`)
+        log(`${indent}  ✗ Invalid`)
       }
       
       if (result.errors.length > 0) {
-        console.log(`${indent}  Errors: ${result.errors.length}`)
-        result.errors.forEach(error => console.log(`${indent}    - ${error}`))
+        log(`${indent}  Errors: ${result.errors.length}`)
+        result.errors.forEach(error => log(`${indent}    - ${error}`))
       }
       
       if (result.warnings.length > 0) {
-        console.log(`${indent}  Warnings: ${result.warnings.length}`)
+        log(`${indent}  Warnings: ${result.warnings.length}`)
       }
       
       if (result.childResults) {
-        console.log(`${indent}  Child sitemaps:`)
+        log(`${indent}  Child sitemaps:`)
         this.printRecursiveResults(result.childResults, indent + '    ')
       }
     }
@@ -343,7 +767,7 @@ class SitemapValidator {
  * Validate multiple sitemap files with recursive option
  */
 async function validateMultipleSitemaps(paths, options = { recursive: false }) {
-  const validator = new SitemapValidator()
+  const validator = new SitemapValidator({ stream: options.stream, strict: options.strict, urlRules: options.urlRules })
   const results = {}
   let totalErrors = 0
   let totalWarnings = 0
@@ -361,19 +785,19 @@ async function validateMultipleSitemaps(paths, options = { recursive: false }) {
 
     // Print results
     if (result.valid) {
-      console.log('  ✓ Valid')
+      log('  ✓ Valid')
     } else {
-      console.log('  ✗ Invalid')
+      log('  ✗ Invalid')
     }
 
     if (result.errors.length > 0) {
-      console.log('  Errors:')
-      result.errors.forEach(error => console.log(`    - ${error}`))
+      log('  Errors:')
+      result.errors.forEach(error => log(`    - ${error}`))
     }
 
     if (result.warnings.length > 0) {
-      console.log('  Warnings:')
-      result.warnings.forEach(warning => console.log(`    - ${warning}`))
+      log('  Warnings:')
+      result.warnings.forEach(warning => log(`    - ${warning}`))
     }
 
     // Print child sitemap results if recursive
@@ -387,164 +811,190 @@ async function validateMultipleSitemaps(paths, options = { recursive: false }) {
     }
   }
 
-  console.log('\n=== SUMMARY ===')
-  console.log(`Total files validated: ${paths.length}`)
+  log('\n=== SUMMARY ===')
+  log(`Total files validated: ${paths.length}`)
   if (totalChildSitemaps > 0) {
-    console.log(`Total child sitemaps validated: ${totalChildSitemaps}`)
+    log(`Total child sitemaps validated: ${totalChildSitemaps}`)
   }
-  console.log(`Total errors: ${totalErrors}`)
-  console.log(`Total warnings: ${totalWarnings}`)
+  log(`Total errors: ${totalErrors}`)
+  log(`Total warnings: ${totalWarnings}`)
 
   return results
 }
 
 /**
  * Validate all GoodParty sitemaps recursively
+ * @param {string} [baseUrl]
+ * @param {Object} [options] - validator options (see SitemapValidator), e.g. { strict: true }
  */
-async function validateGoodPartySitemaps(baseUrl = 'https://goodparty.org') {
-  console.log(`\nValidating all sitemaps for ${baseUrl}\n`)
+async function validateGoodPartySitemaps(baseUrl = 'https://goodparty.org', options = {}) {
+  log(`\nValidating all sitemaps for ${baseUrl}\n`)
   
   // Start with the main sitemap and let it recursively find all child sitemaps
   const mainSitemap = `${baseUrl}/sitemap.xml`
   
-  console.log('Starting recursive validation from main sitemap...')
-  return validateMultipleSitemaps([mainSitemap], { recursive: true })
+  log('Starting recursive validation from main sitemap...')
+  return validateMultipleSitemaps([mainSitemap], { ...options, recursive: true })
 }
 
 /**
  * Validate GoodParty's problematic sitemaps specifically
+ * @param {string} [baseUrl]
+ * @param {Object} [options] - validator options (see SitemapValidator), e.g. { strict: true }
  */
-async function validateGoodPartyProblemSitemaps(baseUrl = 'https://goodparty.org') {
-  console.log(`\nValidating problematic GoodParty sitemaps at ${baseUrl}\n`)
-  
-  // Complete list of state/territory codes for GoodParty candidate sitemaps
-  const problemStates = [
-    'ak', 'al', 'ar', 'az', 'ca', 'co', 'ct', 'de', 'dc', 'fl',
-    'ga', 'hi', 'ia', 'id', 'il', 'in', 'ks', 'ky', 'la', 'ma',
-    'md', 'me', 'mi', 'mn', 'mo', 'ms', 'mt', 'nc', 'nd', 'ne',
-    'nh', 'nj', 'nm', 'nv', 'ny', 'oh', 'ok', 'or', 'pa', 'ri',
-    'sc', 'sd', 'tn', 'tx', 'ut', 'va', 'vt', 'wa', 'wi', 'wv',
-    'wy'
-  ]
+async function validateGoodPartyProblemSitemaps(baseUrl = 'https://goodparty.org', { stream = false, strict = false, urlRules = null } = {}) {
+  log(`\nValidating problematic GoodParty sitemaps at ${baseUrl}\n`)
   
-  const stateIndexMap = {
-    'ak': 0,
-    'al': 1,
-    'ar': 2,
-    'az': 3,
-    'ca': 4,
-    'co': 5,
-    'ct': 6,
-    'de': 7,
-    'dc': 8,
-    'fl': 9,
-    'ga': 10,
-    'hi': 11,
-    'ia': 12,
-    'id': 13,
-    'il': 14,
-    'in': 15,
-    'ks': 16,
-    'ky': 17,
-    'la': 18,
-    'ma': 19,
-    'md': 20,
-    'me': 21,
-    'mi': 22,
-    'mn': 23,
-    'mo': 24,
-    'ms': 25,
-    'mt': 26,
-    'nc': 27,
-    'nd': 28,
-    'ne': 29,
-    'nh': 30,
-    'nj': 31,
-    'nm': 32,
-    'nv': 33,
-    'ny': 34,
-    'oh': 35,
-    'ok': 36,
-    'or': 37,
-    'pa': 38,
-    'ri': 39,
-    'sc': 40,
-    'sd': 41,
-    'tn': 42,
-    'tx': 43,
-    'ut': 44,
-    'va': 45,
-    'vt': 46,
-    'wa': 47,
-    'wi': 48,
-    'wv': 49,
-    'wy': 50
+  const { source, shards, mismatches, error } = await discoverStateSitemaps(baseUrl)
+  if (source === 'config') {
+    log(`Sitemap index unavailable or lists no state sitemaps (${error}), using the configured state list`)
+  } else {
+    log(`Found ${shards.length} state sitemaps in ${baseUrl}/sitemap.xml`)
   }
-  
+
   const results = {}
   let errorCount = 0
   let validCount = 0
-  
-  for (const state of problemStates) {
-    const index = stateIndexMap[state]
-    const candidateUrl = `${baseUrl}/sitemaps/candidates/${state}/sitemap/${index}.xml`
-    const stateUrl      = `${baseUrl}/sitemaps/state/${state}/sitemap/${index}.xml`
 
-    console.log(`\nChecking ${state.toUpperCase()} candidate sitemap (index ${index})...`)
-    const validatorCandidates = new SitemapValidator()
-    const candidateResult = await validatorCandidates.validateUrl(candidateUrl)
+  for (const { type, state, shard, url } of shards) {
+    const label = type === 'candidates' ? 'candidate' : 'state'
+    log(`\nChecking ${state.toUpperCase()} ${label} sitemap (index ${shard})...`)
+    const validator = new SitemapValidator({ stream, strict, urlRules })
+    const result = await validator.validateUrl(url)
 
-    if (candidateResult.valid) {
-      console.log('  ✓ Valid')
-      validCount++
-    } else {
-      console.log(`  ✗ Invalid - ${candidateResult.errors.join(', ')}`)
-      errorCount++
-    }
-
-    console.log(`Checking ${state.toUpperCase()} state sitemap (index ${index})...`)
-    const validatorState = new SitemapValidator()
-    const stateResult = await validatorState.validateUrl(stateUrl)
-
-    if (stateResult.valid) {
-      console.log('  ✓ Valid')
+    if (result.valid) {
+      log('  ✓ Valid')
       validCount++
     } else {
-      console.log(`  ✗ Invalid - ${stateResult.errors.join(', ')}`)
+      log(`  ✗ Invalid - ${result.errors.join(', ')}`)
       errorCount++
     }
 
-    // store both results under composite key
-    results[state] = {
-      candidates: candidateResult,
-      state: stateResult,
-    }
+    // store results per state, keyed by type (and shard, for states with several)
+    results[state] ||= {}
+    const key = results[state][type] ? `${type} ${shard}` : type
+    results[state][key] = result
   }
+
+  log(`\n=== PROBLEM SITEMAPS SUMMARY ===`)
+  log(`Valid: ${validCount}`)
+  log(`Invalid: ${errorCount}`)
+  log(`\nStates with errors:`)
   
-  console.log(`\n=== PROBLEM SITEMAPS SUMMARY ===`)
-  console.log(`Valid: ${validCount}`)
-  console.log(`Invalid: ${errorCount}`)
-  console.log(`\nStates with errors:`)
-  
-  for (const [state, result] of Object.entries(results)) {
-    if (!result.candidates.valid || !result.state.valid) {
-      console.log(`  ${state.toUpperCase()}:`)
-      if (!result.candidates.valid) {
-        console.log(`    Candidates: ${result.candidates.errors.join(', ')}`)
-      }
-      if (!result.state.valid) {
-        console.log(`    State: ${result.state.errors.join(', ')}`)
+  for (const [state, stateResults] of Object.entries(results)) {
+    const invalid = Object.entries(stateResults).filter(([, result]) => !result.valid)
+    if (invalid.length > 0) {
+      log(`  ${state.toUpperCase()}:`)
+      for (const [key, result] of invalid) {
+        log(`    ${key[0].toUpperCase()}${key.slice(1)}: ${result.errors.join(', ')}`)
       }
     }
   }
+
+  if (mismatches.length > 0) {
+    log(`\nSitemap index vs configured state list:`)
+    mismatches.forEach(mismatch => log(`  ${formatMismatch(mismatch)}`))
+  }
   
   return results
 }
 
-// CLI interface
-if (process.argv[1] === __filename) {
-  const args = process.argv.slice(2)
+/**
+ * Flatten a results tree into [{ name, result, depth }], following childResults
+ * (depth counts the index levels above a sitemap). Problem-sitemap results
+ * ({ <state>: { candidates, state } }) are named "<state> <kind>".
+ */
+function flattenResults(results, prefix = '', depth = 0) {
+  const flat = []
+  for (const [key, value] of Object.entries(results)) {
+    const name = prefix ? `${prefix} ${key}` : key
+    if (Array.isArray(value.errors)) {
+      flat.push({ name, result: value, depth })
+      if (value.childResults) flat.push(...flattenResults(value.childResults, '', depth + 1))
+    } else {
+      flat.push(...flattenResults(value, name, depth))
+    }
+  }
+  return flat
+}
+
+/**
+ * Totals across every sitemap in a results tree
+ */
+function summarizeResults(results) {
+  const flat = flattenResults(results)
+  return {
+    sitemaps: flat.length,
+    valid: flat.filter(({ result }) => result.valid).length,
+    invalid: flat.filter(({ result }) => !result.valid).length,
+    errors: flat.reduce((total, { result }) => total + result.errors.length, 0),
+    warnings: flat.reduce((total, { result }) => total + result.warnings.length, 0),
+  }
+}
+
+/**
+ * 1 if any sitemap has errors (or warnings, with failOnWarnings), else 0
+ */
+function getExitCode(results, { failOnWarnings = false } = {}) {
+  const { errors, warnings } = summarizeResults(results)
+  return errors > 0 || (failOnWarnings && warnings > 0) ? 1 : 0
+}
 
+/**
+ * Serialize the full results tree (childResults, errors and warnings) as JSON
+ */
+function formatJson(results) {
+  return JSON.stringify({ summary: summarizeResults(results), results }, null, 2)
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Serialize results as a JUnit report: one test case per sitemap. Errors are
+ * failures; warnings are failures with failOnWarnings, otherwise system-out.
+ */
+function formatJunit(results, { failOnWarnings = false, suiteName = 'sitemap-validation' } = {}) {
+  const flat = flattenResults(results)
+  let failures = 0
+
+  const testcases = flat.map(({ name, result }) => {
+    const parts = []
+    if (result.errors.length > 0) {
+      failures++
+      parts.push(`      <failure type="SitemapError" message="${result.errors.length} error(s)">${escapeXml(result.errors.join('\n'))}</failure>`)
+    } else if (failOnWarnings && result.warnings.length > 0) {
+      failures++
+      parts.push(`      <failure type="SitemapWarning" message="${result.warnings.length} warning(s)">${escapeXml(result.warnings.join('\n'))}</failure>`)
+    }
+    if (result.warnings.length > 0 && !(failOnWarnings && result.errors.length === 0)) {
+      parts.push(`      <system-out>${escapeXml(result.warnings.join('\n'))}</system-out>`)
+    }
+
+    return parts.length > 0
+      ? `    <testcase classname="sitemap" name="${escapeXml(name)}">\n${parts.join('\n')}\n    </testcase>`
+      : `    <testcase classname="sitemap" name="${escapeXml(name)}"/>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${flat.length}" failures="${failures}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${flat.length}" failures="${failures}">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n')
+}
+
+// CLI interface. Exit codes go through process.exitCode: process.exit() can cut
+// off output that is still being written to a pipe.
+function main(args) {
   if (args.length === 0) {
     console.log('Usage: node validateSitemapFiles.js [options] [file1.xml] [file2.xml] ...')
     console.log('       node validateSitemapFiles.js [options] [url1] [url2] ...')
@@ -553,14 +1003,24 @@ if (process.argv[1] === __filename) {
     console.log('\nOptions:')
     console.log('  --recursive         Follow and validate child sitemaps in sitemap indexes')
     console.log('  --goodparty         Validate all GoodParty sitemaps (optionally specify base URL)')
-    console.log('  --problem-sitemaps  Validate only the 35 problematic state sitemaps')
+    console.log('  --problem-sitemaps  Validate only the state sitemaps (found via the sitemap index)')
+    console.log('  --format <fmt>      Output format: text (default), json or junit')
+    console.log('  --output <file>     Write json / junit output to a file instead of stdout')
+    console.log('  --fail-on-warnings  Exit with code 1 on warnings as well as errors')
+    console.log('  --stream            Validate entry by entry with a streaming parser (large sitemaps; messages include line/column)')
+    console.log('  --strict            Enforce the sitemap 0.9 XSD; every error starts with its rule ID (e.g. [SM-ORDER])')
+    console.log('  --check-urls        Run the built-in URL pattern rules on every <loc> (see urlRules.js)')
+    console.log('  --url-rules <file>  Run the URL pattern rules from a JSON / JS config (implies --check-urls)')
+    console.log('\nExit code: 0 if every sitemap is valid, 1 otherwise.')
     console.log('\nExamples:')
     console.log('  node validateSitemapFiles.js https://example.com/sitemap.xml')
     console.log('  node validateSitemapFiles.js --recursive https://example.com/sitemap.xml')
     console.log('  node validateSitemapFiles.js --goodparty')
     console.log('  node validateSitemapFiles.js --goodparty https://staging.goodparty.org')
     console.log('  node validateSitemapFiles.js --problem-sitemaps')
-    process.exit(1)
+    console.log('  node validateSitemapFiles.js --problem-sitemaps https://preview.example.com --format junit --output junit.xml')
+    process.exitCode = 1
+    return
   }
 
   // Parse options
@@ -568,12 +1028,18 @@ if (process.argv[1] === __filename) {
   let goodparty = false
   let problemSitemaps = false
   let baseUrl = null
+  let format = 'text'
+  let output = null
+  let failOnWarnings = false
+  let stream = false
+  let strict = false
+  let checkUrls = false
+  let urlRulesFile = null
   const paths = []
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--recursive') {
       recursive = true
-      console.log('Recursive mode enabled')
     } else if (args[i] === '--goodparty') {
       goodparty = true
       // Check if next argument is a URL
@@ -588,26 +1054,86 @@ if (process.argv[1] === __filename) {
         baseUrl = args[i + 1]
         i++ // Skip the URL in next iteration
       }
+    } else if (args[i] === '--format') {
+      format = args[++i]
+    } else if (args[i] === '--output') {
+      output = args[++i]
+    } else if (args[i] === '--fail-on-warnings') {
+      failOnWarnings = true
+    } else if (args[i] === '--stream') {
+      stream = true
+    } else if (args[i] === '--strict') {
+      strict = true
+    } else if (args[i] === '--check-urls') {
+      checkUrls = true
+    } else if (args[i] === '--url-rules') {
+      urlRulesFile = args[++i]
     } else {
       paths.push(args[i])
     }
   }
 
-  if (problemSitemaps) {
-    validateGoodPartyProblemSitemaps(baseUrl).then(() => process.exit(0))
-  } else if (goodparty) {
-    validateGoodPartySitemaps(baseUrl).then(() => process.exit(0))
-  } else {
-    console.log(`Validating ${paths.length} sitemap(s) with recursive=${recursive}`)
-    validateMultipleSitemaps(paths, { recursive }).then((results) => {
-      // Print tree structure if recursive
-      if (recursive && Object.keys(results).length > 0) {
-        console.log('\n=== DETAILED RESULTS ===')
-        SitemapValidator.printRecursiveResults(results)
+  if (!['text', 'json', 'junit'].includes(format)) {
+    console.error(`Unknown format: ${format} (expected text, json or junit)`)
+    process.exitCode = 1
+    return
+  }
+
+  // Keep stdout clean for machine-readable output
+  if (format !== 'text' && !output) {
+    log = console.error
+  }
+  // Scheduler messages follow the same stream (the scheduler is shared, so create it first)
+  getDefaultScheduler({ log: (message) => log(message) })
+  if (recursive) {
+    log('Recursive mode enabled')
+  }
+
+  // Print or write the results in the requested format, with an exit code that reflects them
+  const finish = async (results) => {
+    if (format !== 'text') {
+      const formatted = format === 'json'
+        ? formatJson(results)
+        : formatJunit(results, { failOnWarnings })
+      if (output) {
+        await fs.writeFile(output, formatted)
+        log(`\n${format} results written to ${output}`)
+      } else {
+        process.stdout.write(formatted + '\n')
       }
-      process.exit(0)
-    })
+    }
+    process.exitCode = getExitCode(results, { failOnWarnings })
   }
+
+  const fail = (error) => {
+    console.error('Validation failed:', error)
+    process.exitCode = 1
+  }
+
+  const validate = async () => {
+    const urlRules = urlRulesFile ? await loadUrlRules(urlRulesFile, URL_RULES) : (checkUrls ? URL_RULES : null)
+    if (problemSitemaps) {
+      return validateGoodPartyProblemSitemaps(baseUrl || undefined, { stream, strict, urlRules })
+    }
+    if (goodparty) {
+      return validateGoodPartySitemaps(baseUrl || undefined, { stream, strict, urlRules })
+    }
+
+    log(`Validating ${paths.length} sitemap(s) with recursive=${recursive}`)
+    const results = await validateMultipleSitemaps(paths, { recursive, stream, strict, urlRules })
+    // Print tree structure if recursive
+    if (recursive && format === 'text' && Object.keys(results).length > 0) {
+      log('\n=== DETAILED RESULTS ===')
+      SitemapValidator.printRecursiveResults(results)
+    }
+    return results
+  }
+
+  validate().then(finish).catch(fail)
+}
+
+if (process.argv[1] === __filename) {
+  main(process.argv.slice(2))
 }
 
-export { SitemapValidator, validateMultipleSitemaps }
\ No newline at end of file
+export { SitemapValidator, validateMultipleSitemaps, flattenResults, summarizeResults, getExitCode, formatJson, formatJunit, SCHEMA_RULES }
\ No newline at end of file
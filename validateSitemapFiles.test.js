@@ -0,0 +1,196 @@
+// validateSitemapFiles.test.js
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+import { SUSPICIOUS_URL_RULES } from './urlRules.js'
+import { SitemapValidator, flattenResults, summarizeResults, getExitCode, formatJson, formatJunit, SCHEMA_RULES } from './validateSitemapFiles.js'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'))
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+let files = 0
+
+// Validate `xml` from a file, like the CLI does for local paths
+async function validate(xml, options = {}) {
+  const file = path.join(dir, `${++files}.xml`)
+  fs.writeFileSync(file, xml)
+  return new SitemapValidator(options).validateFile(file)
+}
+
+const urlset = (body, namespaces = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${namespaces}>
+${body}
+</urlset>
+`
+
+const result = (errors = [], warnings = [], extra = {}) => ({ valid: errors.length === 0, errors, warnings, ...extra })
+
+const byUrl = {
+  'https://a.org/sitemap.xml': result([], [], {
+    childResults: {
+      'https://a.org/1.xml': result(['Missing <loc>']),
+      'https://a.org/2.xml': result([], ['Invalid lastmod date: yesterday'])
+    }
+  })
+}
+const byState = {
+  ak: { candidates: result(['Missing <loc>']), state: result() }
+}
+
+test('flattenResults handles url -> result trees and problem-sitemap groups', () => {
+  assert.deepEqual(flattenResults(byUrl).map(({ name, depth }) => [name, depth]), [
+    ['https://a.org/sitemap.xml', 0],
+    ['https://a.org/1.xml', 1],
+    ['https://a.org/2.xml', 1]
+  ])
+  assert.deepEqual(flattenResults(byState).map(({ name, depth }) => [name, depth]), [['ak candidates', 0], ['ak state', 0]])
+})
+
+test('summary and exit code count child sitemaps too', () => {
+  assert.deepEqual(summarizeResults(byUrl), { sitemaps: 3, valid: 2, invalid: 1, errors: 1, warnings: 1 })
+  assert.equal(getExitCode(byUrl), 1)
+  assert.equal(getExitCode({ 'https://a.org/2.xml': byUrl['https://a.org/sitemap.xml'].childResults['https://a.org/2.xml'] }), 0)
+  assert.equal(getExitCode({ 'https://a.org/2.xml': result([], ['x']) }, { failOnWarnings: true }), 1)
+})
+
+test('formatJson keeps the results tree next to the summary', () => {
+  const parsed = JSON.parse(formatJson(byState))
+  assert.deepEqual(parsed.summary, { sitemaps: 2, valid: 1, invalid: 1, errors: 1, warnings: 0 })
+  assert.deepEqual(parsed.results, byState)
+})
+
+test('formatJunit has one test case per sitemap, and warnings fail only with failOnWarnings', () => {
+  const junit = formatJunit(byUrl)
+  assert.match(junit, /<testsuites tests="3" failures="1">/)
+  assert.match(junit, /<testcase classname="sitemap" name="https:\/\/a\.org\/sitemap\.xml"\/>/)
+  assert.match(junit, /<failure type="SitemapError" message="1 error\(s\)">Missing &lt;loc&gt;<\/failure>/)
+  assert.match(junit, /<system-out>Invalid lastmod date: yesterday<\/system-out>/)
+
+  const strict = formatJunit(byUrl, { failOnWarnings: true })
+  assert.match(strict, /<testsuites tests="3" failures="2">/)
+  assert.match(strict, /<failure type="SitemapWarning" message="1 warning\(s\)">Invalid lastmod date: yesterday<\/failure>/)
+  assert.doesNotMatch(strict, /<system-out>/)
+})
+
+test('stream mode reports the same problems as the in-memory parser, with line and column', async () => {
+  const xml = urlset([
+    '  <url><loc>https://a.org/a</loc><lastmod>yesterday</lastmod></url>',
+    '  <url><loc>https://a.org/a</loc></url>',
+    '  <url><loc>https://a.org/b c</loc><priority>1.5</priority></url>'
+  ].join('\n'))
+  const parsed = await validate(xml)
+  const streamed = await validate(xml, { stream: true })
+
+  assert.deepEqual(streamed.errors, ['URL 3 (line 5, column 3): Contains spaces (should be encoded): https://a.org/b c'])
+  const withoutPosition = (messages) => messages.map((message) => message.replace(/ \(line \d+, column \d+\)/, ''))
+  assert.deepEqual(withoutPosition(streamed.errors), parsed.errors)
+  assert.deepEqual(withoutPosition(streamed.warnings), parsed.warnings)
+  assert.equal(streamed.warnings.length, 3)
+})
+
+test('stream mode reports where malformed XML breaks off', async () => {
+  const streamed = await validate('<?xml version="1.0"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n<url><loc>https://a.org/</loc></url>\n', { stream: true })
+  assert.deepEqual(streamed.errors, ['Invalid XML: Unclosed root tag (line 4, column 1)'])
+})
+
+test('stream mode collects the child sitemaps of an index', async () => {
+  const streamed = await validate(`<?xml version="1.0"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://a.org/1.xml</loc></sitemap>
+  <sitemap><loc>https://a.org/2.xml</loc><lastmod>2024-01-01</lastmod></sitemap>
+</sitemapindex>
+`, { stream: true })
+  assert.equal(streamed.valid, true)
+  assert.deepEqual(streamed.childSitemaps, ['https://a.org/1.xml', 'https://a.org/2.xml'])
+})
+
+const EXTENSION_NAMESPACES = [
+  ' xmlns:xhtml="http://www.w3.org/1999/xhtml"',
+  ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+  ' xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"',
+  ' xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"'
+].join('')
+
+test('hreflang alternates are checked for valid codes and links back', async () => {
+  const results = await validate(urlset(`
+  <url>
+    <loc>https://a.org/en</loc>
+    <xhtml:link rel="alternate" hreflang="en" href="https://a.org/en"/>
+    <xhtml:link rel="alternate" hreflang="es" href="https://a.org/es"/>
+    <xhtml:link rel="alternate" hreflang="english" href="https://a.org/x"/>
+  </url>
+  <url>
+    <loc>https://a.org/es</loc>
+    <xhtml:link rel="alternate" hreflang="es" href="https://a.org/es"/>
+  </url>`, EXTENSION_NAMESPACES))
+  assert.deepEqual(results.errors, ['URL 1: Invalid hreflang: english'])
+  assert.deepEqual(results.warnings, ["URL 1: hreflang alternate https://a.org/es doesn't link back to https://a.org/en"])
+})
+
+test('image, video and news entries need their required children, and prefixes must be declared', async () => {
+  const results = await validate(urlset(`
+  <url>
+    <loc>https://a.org/media</loc>
+    <image:image><image:loc>https://a.org/a.png</image:loc></image:image>
+    <video:video><video:thumbnail_loc>https://a.org/t.png</video:thumbnail_loc><video:title>T</video:title><video:description>D</video:description></video:video>
+    <news:news><news:title>N</news:title></news:news>
+    <geo:geo>x</geo:geo>
+  </url>`, EXTENSION_NAMESPACES))
+  assert.deepEqual(results.errors, [
+    'URL 1 <video:video>: Needs <video:content_loc> or <video:player_loc>',
+    'URL 1 <news:news>: Missing required <news:publication>',
+    'URL 1 <news:news>: Missing required <news:publication_date>',
+    'URL 1: <geo:geo> uses undeclared namespace prefix "geo"'
+  ])
+})
+
+test('strict mode turns schema problems into errors with their rule IDs, in both parsers', async () => {
+  const xml = `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.90">
+<url><loc>https://a.org/</loc><foo>x</foo></url>
+<url><lastmod>2024-01-01</lastmod><loc>https://a.org/b</loc><changefreq>sometimes</changefreq></url>
+</urlset>
+`
+  const loose = await validate(xml)
+  assert.equal(loose.valid, true)
+  assert.deepEqual(loose.warnings, ['URL 1: Unknown element <foo>', 'URL 2: Invalid changefreq: sometimes'])
+
+  const expected = [
+    '[SM-NAMESPACE] Namespace must be exactly http://www.sitemaps.org/schemas/sitemap/0.9, got http://www.sitemaps.org/schemas/sitemap/0.90',
+    '[SM-ELEMENT] URL 1: Unexpected element <foo>',
+    '[SM-ORDER] URL 2: <loc> must come before <lastmod>',
+    '[SM-CHANGEFREQ] URL 2: Invalid changefreq: sometimes'
+  ]
+  const strict = await validate(xml, { strict: true })
+  assert.deepEqual(strict.errors, expected)
+  assert.deepEqual(strict.warnings, [])
+
+  const streamed = await validate(xml, { strict: true, stream: true })
+  assert.deepEqual(streamed.errors.map((error) => error.replace(/ \(line \d+, column \d+\)/, '')), expected)
+
+  for (const error of strict.errors) {
+    assert.ok(SCHEMA_RULES[error.match(/^\[([A-Z-]+)\]/)[1]], error)
+  }
+})
+
+test('gzipped sitemaps are validated like plain ones, in both parsers', async () => {
+  const xml = urlset('  <url><loc>https://a.org/a</loc><lastmod>yesterday</lastmod></url>')
+  const expected = await validate(xml)
+  assert.deepEqual(await validate(zlib.gzipSync(xml)), expected)
+
+  const streamed = await validate(zlib.gzipSync(xml), { stream: true })
+  assert.deepEqual(streamed.warnings, ['URL 1 (line 3, column 3): Invalid lastmod date: yesterday'])
+})
+
+test('URL rules add to the built-in checks without repeating the space error', async () => {
+  // The rules --check-urls runs
+  const urlRules = SUSPICIOUS_URL_RULES.filter(({ id }) => id !== 'spaces')
+  const results = await validate(urlset('  <url><loc>https://a.org/b c</loc></url>\n  <url><loc>https://a.org/a//b</loc></url>'), { urlRules })
+  assert.deepEqual(results.errors, [
+    'URL 1: Contains spaces (should be encoded): https://a.org/b c',
+    'URL 2: Double slashes in path [double-slash]: https://a.org/a//b'
+  ])
+})